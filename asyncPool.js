@@ -0,0 +1,27 @@
+/**
+ * Maps items through an async function with at most `limit` calls in flight,
+ * keeping results in input order
+ * @param {Array} items Items to process
+ * @param {number} limit Maximum number of concurrent calls
+ * @param {Function} fn Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { probeDuration, detectSilences } = require('./youtubeDownloader');
+const config = require('./config');
+const { ValidationError, AudioError, AbortError, onAbort } = require('./errors');
+
+// Whatever order they are given in, stages run as trim, denoise, loudnorm, tempo, then mono
+const PREPROCESS_STAGES = ['mono', 'loudnorm', 'denoise', 'trim', 'tempo'];
+
+/**
+ * Parses a comma-separated list of preprocessing stages
+ * @param {string} stages Stage names (mono, loudnorm, denoise, trim, tempo), empty for none
+ * @param {number} tempo Speed-up factor used by the tempo stage (default: config.preprocessTempo)
+ * @returns {Object|null} Preprocessing options ({ stages, tempo }), or null when no stage is given
+ */
+function parsePreprocessOptions(stages, tempo = config.preprocessTempo) {
+  const names = String(stages || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    return null;
+  }
+
+  const unknown = names.filter(name => !PREPROCESS_STAGES.includes(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown preprocessing stage: ${unknown.join(', ')}. Use ${PREPROCESS_STAGES.join(', ')}`);
+  }
+  const factor = parseFloat(tempo);
+  if (names.includes('tempo') && (isNaN(factor) || factor < 0.5 || factor > 2)) {
+    throw new ValidationError(`Invalid tempo: ${tempo}. Use a factor between 0.5 and 2`);
+  }
+
+  return {
+    stages: PREPROCESS_STAGES.filter(name => names.includes(name)),
+    tempo: names.includes('tempo') ? factor : 1,
+  };
+}
+
+/**
+ * Works out which parts of the audio to keep when trimming silence. Leading and trailing
+ * silence is dropped and internal silences are shortened to maxSilence seconds.
+ * @param {number} duration Audio duration in seconds
+ * @param {Object[]} silences Detected silences ({ start, end })
+ * @param {number} maxSilence Longest silence kept inside the audio, in seconds
+ * @returns {Object[]} Kept intervals ({ start, end }) in seconds
+ */
+function getKeptIntervals(duration, silences, maxSilence = config.trimMaxSilence) {
+  const kept = [];
+  let cursor = 0;
+
+  for (const silence of silences) {
+    const start = Math.max(0, silence.start);
+    const end = Math.min(duration, silence.end);
+    if (start <= cursor) {
+      // Leading silence
+      cursor = Math.max(cursor, end);
+    } else if (end >= duration) {
+      // Trailing silence
+      kept.push({ start: cursor, end: start });
+      cursor = duration;
+    } else if (end - start > maxSilence) {
+      kept.push({ start: cursor, end: start + maxSilence / 2 });
+      cursor = end - maxSilence / 2;
+    }
+  }
+  if (cursor < duration) {
+    kept.push({ start: cursor, end: duration });
+  }
+
+  return kept.filter(interval => interval.end > interval.start);
+}
+
+/**
+ * Builds the map from preprocessed audio time back to original audio time
+ * @param {Object[]} kept Kept intervals ({ start, end }) in original time
+ * @param {number} tempo Speed-up factor
+ * @param {number} originalDuration Original audio duration in seconds
+ * @returns {Object} Timestamp map ({ tempo, originalDuration, pieces: [{ start, end, originalStart }] })
+ */
+function buildTimeMap(kept, tempo, originalDuration) {
+  const pieces = [];
+  let position = 0;
+  for (const interval of kept) {
+    const length = (interval.end - interval.start) / tempo;
+    pieces.push({ start: position, end: position + length, originalStart: interval.start });
+    position += length;
+  }
+  return { tempo, originalDuration, pieces };
+}
+
+/**
+ * Converts a time in the preprocessed audio to the original audio
+ * @param {number} time Seconds in the preprocessed audio
+ * @param {Object} timeMap Timestamp map from preprocessAudio
+ * @returns {number} Seconds in the original audio
+ */
+function toOriginalTime(time, timeMap) {
+  const { pieces, tempo } = timeMap;
+  if (pieces.length === 0) {
+    return time * tempo;
+  }
+  const piece = pieces.find(candidate => time < candidate.end) || pieces[pieces.length - 1];
+  return piece.originalStart + (Math.min(Math.max(time, piece.start), piece.end) - piece.start) * tempo;
+}
+
+/**
+ * Converts a time in the original audio to the preprocessed audio. Times inside
+ * removed silence snap to the start of the next kept piece.
+ * @param {number} time Seconds in the original audio
+ * @param {Object} timeMap Timestamp map from preprocessAudio
+ * @returns {number} Seconds in the preprocessed audio
+ */
+function toProcessedTime(time, timeMap) {
+  const { pieces, tempo } = timeMap;
+  if (pieces.length === 0) {
+    return time / tempo;
+  }
+  for (const piece of pieces) {
+    const originalEnd = piece.originalStart + (piece.end - piece.start) * tempo;
+    if (time < piece.originalStart) {
+      return piece.start;
+    }
+    if (time <= originalEnd) {
+      return piece.start + (time - piece.originalStart) / tempo;
+    }
+  }
+  return pieces[pieces.length - 1].end;
+}
+
+/**
+ * Moves a transcription's segment, word and chunk timings from the preprocessed audio back to the original audio
+ * @param {Object} transcription Transcription result in preprocessed time
+ * @param {Object} timeMap Timestamp map from preprocessAudio, or null
+ * @returns {Object} Copy of the result in original time
+ */
+function mapToOriginalTime(transcription, timeMap) {
+  if (!timeMap) {
+    return transcription;
+  }
+
+  const mapped = { ...transcription };
+  if (transcription.segments) {
+    mapped.segments = transcription.segments.map(segment => ({
+      ...segment,
+      start: toOriginalTime(segment.start, timeMap),
+      end: toOriginalTime(segment.end, timeMap),
+    }));
+  }
+  if (transcription.words) {
+    mapped.words = transcription.words.map(word => ({
+      ...word,
+      start: toOriginalTime(word.start, timeMap),
+      end: toOriginalTime(word.end, timeMap),
+    }));
+  }
+  if (transcription.chunks) {
+    mapped.chunks = transcription.chunks.map(chunk => {
+      const start = toOriginalTime(chunk.start || 0, timeMap);
+      return {
+        ...chunk,
+        start,
+        duration: typeof chunk.duration === 'number'
+          ? toOriginalTime((chunk.start || 0) + chunk.duration, timeMap) - start
+          : chunk.duration,
+      };
+    });
+  }
+  if (typeof transcription.duration === 'number') {
+    mapped.duration = timeMap.originalDuration;
+  }
+  return mapped;
+}
+
+/**
+ * Runs the preprocessing stages over an audio file with ffmpeg
+ * @param {string} inputPath Audio file
+ * @param {Object} preprocess Preprocessing options from parsePreprocessOptions
+ * @param {Object} options Output options
+ * @param {string} options.outputPath Path of the preprocessed MP3 (default: <name>_<path hash>_preprocessed.mp3 in the temp directory)
+ * @param {string} options.tempDir Temp directory (default: config.tempDir)
+ * @param {AbortSignal} options.signal Stops preprocessing when aborted
+ * @returns {Promise<Object>} Preprocessed audio ({ path, timeMap })
+ */
+async function preprocessAudio(inputPath, preprocess, options = {}) {
+  const { stages, tempo } = preprocess;
+  // Same-named files from different directories can be preprocessed at the same time
+  const name = path.basename(inputPath, path.extname(inputPath));
+  const fileId = crypto.createHash('md5').update(path.resolve(inputPath)).digest('hex').slice(0, 8);
+  const outputPath = options.outputPath || path.join(options.tempDir || config.tempDir, `${name}_${fileId}_preprocessed.mp3`);
+  await fs.ensureDir(path.dirname(outputPath));
+
+  console.log(`Preprocessing audio: ${stages.join(', ')}`);
+  const duration = await probeDuration(inputPath);
+
+  const filters = [];
+  let kept = [{ start: 0, end: duration }];
+  if (stages.includes('trim')) {
+    kept = getKeptIntervals(duration, await detectSilences(inputPath, { signal: options.signal }));
+    if (kept.length === 0) {
+      throw new AudioError('Audio is silent, nothing left to transcribe after trimming');
+    }
+    const removed = duration - kept.reduce((total, interval) => total + interval.end - interval.start, 0);
+    console.log(`Trimming ${removed.toFixed(1)}s of silence`);
+    const selection = kept.map(interval => `between(t,${interval.start.toFixed(3)},${interval.end.toFixed(3)})`).join('+');
+    filters.push(`aselect='${selection}'`, 'asetpts=N/SR/TB');
+  }
+  if (stages.includes('denoise')) {
+    filters.push('highpass=f=100', 'afftdn=nf=-25');
+  }
+  if (stages.includes('loudnorm')) {
+    filters.push('loudnorm=I=-16:TP=-1.5:LRA=11');
+  }
+  if (stages.includes('tempo')) {
+    filters.push(`atempo=${tempo}`);
+  }
+
+  // Speech needs little bandwidth, so mono audio is uploaded at a much lower bitrate
+  const mono = stages.includes('mono');
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .noVideo()
+      .audioCodec('libmp3lame')
+      .audioBitrate(mono ? 32 : 128)
+      .audioFrequency(mono ? 16000 : 44100);
+    if (mono) {
+      command.audioChannels(1);
+    }
+    if (filters.length > 0) {
+      command.audioFilters(filters);
+    }
+    const stopListening = onAbort(options.signal, () => {
+      command.kill('SIGKILL');
+      reject(new AbortError());
+    });
+    command
+      .output(outputPath)
+      .on('end', () => {
+        stopListening();
+        resolve();
+      })
+      .on('error', err => {
+        stopListening();
+        reject(new AudioError(`Audio preprocessing failed: ${err.message}`, { cause: err }));
+      })
+      .run();
+  }).catch(async error => {
+    await fs.remove(outputPath);
+    throw error;
+  });
+
+  const [before, after] = await Promise.all([fs.stat(inputPath), fs.stat(outputPath)]);
+  console.log(`Preprocessed audio: ${(after.size / (1024 * 1024)).toFixed(2)} MB (was ${(before.size / (1024 * 1024)).toFixed(2)} MB)`);
+
+  return { path: outputPath, timeMap: buildTimeMap(kept, tempo, duration) };
+}
+
+module.exports = {
+  PREPROCESS_STAGES,
+  parsePreprocessOptions,
+  getKeptIntervals,
+  toOriginalTime,
+  toProcessedTime,
+  mapToOriginalTime,
+  preprocessAudio
+};
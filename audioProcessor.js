@@ -1,22 +1,33 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { matchesAnyGlob } = require('./globPattern');
+const { ValidationError } = require('./errors');
 
 class AudioProcessor {
-  static supportedFormats = ['.mp3', '.wav', '.m4a', '.flac', '.aac', '.ogg', '.wma'];
+  static audioFormats = ['.mp3', '.wav', '.m4a', '.flac', '.aac', '.ogg', '.wma'];
+
+  // Video recordings are transcribed from their extracted audio track
+  static videoFormats = ['.mp4', '.mkv', '.mov', '.webm', '.avi', '.m4v', '.ts'];
+
+  static supportedFormats = [...AudioProcessor.audioFormats, ...AudioProcessor.videoFormats];
+
+  static isVideoFile(filePath) {
+    return this.videoFormats.includes(path.extname(filePath).toLowerCase());
+  }
 
   static async validateAudioFile(filePath) {
     if (!await fs.pathExists(filePath)) {
-      throw new Error(`File does not exist: ${filePath}`);
+      throw new ValidationError(`File does not exist: ${filePath}`);
     }
 
     const ext = path.extname(filePath).toLowerCase();
     if (!this.supportedFormats.includes(ext)) {
-      throw new Error(`Unsupported audio format: ${ext}. Supported formats: ${this.supportedFormats.join(', ')}`);
+      throw new ValidationError(`Unsupported format: ${ext}. Supported formats: ${this.supportedFormats.join(', ')}`);
     }
 
     const stats = await fs.stat(filePath);
     if (stats.size === 0) {
-      throw new Error('Audio file is empty');
+      throw new ValidationError('File is empty');
     }
 
     return {
@@ -38,18 +49,34 @@ class AudioProcessor {
     await fs.ensureDir(outputDir);
   }
 
-  static async getAudioFilesFromDirectory(dirPath) {
+  static async getAudioFilesFromDirectory(dirPath, options = {}) {
+    const { recursive = false, include = [], exclude = [] } = options;
     if (!await fs.pathExists(dirPath)) {
-      throw new Error(`Directory does not exist: ${dirPath}`);
+      throw new ValidationError(`Directory does not exist: ${dirPath}`);
     }
 
-    const files = await fs.readdir(dirPath);
-    const audioFiles = files.filter(file => {
-      const ext = path.extname(file).toLowerCase();
-      return this.supportedFormats.includes(ext);
-    });
+    const audioFiles = [];
+    const walk = async relativeDir => {
+      const entries = await fs.readdir(path.join(dirPath, relativeDir), { withFileTypes: true });
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const relativePath = path.join(relativeDir, entry.name);
+        if (entry.isDirectory()) {
+          if (recursive && !matchesAnyGlob(relativePath, exclude)) {
+            await walk(relativePath);
+          }
+          continue;
+        }
+
+        const ext = path.extname(entry.name).toLowerCase();
+        if (!this.supportedFormats.includes(ext)) continue;
+        if (include.length > 0 && !matchesAnyGlob(relativePath, include)) continue;
+        if (matchesAnyGlob(relativePath, exclude)) continue;
+        audioFiles.push(path.join(dirPath, relativePath));
+      }
+    };
+    await walk('');
 
-    return audioFiles.map(file => path.join(dirPath, file));
+    return audioFiles;
   }
 }
 
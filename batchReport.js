@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+const REPORT_COLUMNS = ['input', 'output', 'status', 'audioDuration', 'elapsed', 'minutes', 'cost', 'error'];
+const REPORT_FORMATS = ['.json', '.csv'];
+
+/**
+ * Checks that a report path has a supported extension
+ * @param {string} reportPath Report file (.json or .csv)
+ */
+function validateReportPath(reportPath) {
+  const ext = path.extname(reportPath).toLowerCase();
+  if (!REPORT_FORMATS.includes(ext)) {
+    throw new ValidationError(`Unsupported report format: ${ext || 'none'}. Use ${REPORT_FORMATS.join(' or ')}`);
+  }
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a batch report as JSON (the whole report) or CSV (one row per file)
+ * @param {Object} report Batch report ({ startedAt, finishedAt, inputDir, outputDir, totals, files })
+ * @param {string} reportPath Report file (.json or .csv)
+ * @returns {Promise<string>} Path to the written report
+ */
+async function writeBatchReport(report, reportPath) {
+  validateReportPath(reportPath);
+  await fs.ensureDir(path.dirname(reportPath));
+
+  if (path.extname(reportPath).toLowerCase() === '.json') {
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  } else {
+    const rows = report.files.map(file => REPORT_COLUMNS.map(column => formatCsvValue(file[column])).join(','));
+    await fs.writeFile(reportPath, [REPORT_COLUMNS.join(','), ...rows].join('\n') + '\n');
+  }
+  return reportPath;
+}
+
+module.exports = {
+  REPORT_COLUMNS,
+  validateReportPath,
+  writeBatchReport
+};
@@ -0,0 +1,104 @@
+const { parseTimestamp, formatClockTime } = require('./timeUtils');
+
+// A description line such as "12:30 Topic" or "1:02:03 - Topic"
+const DESCRIPTION_CHAPTER = /^\s*\(?((?:\d{1,2}:[0-5]?\d|\d{1,2}):[0-5]\d)\)?\s*[-–—:|]?\s*(.+?)\s*$/;
+
+/**
+ * Parses chapters from timestamps listed in a video description. Like YouTube, this
+ * requires at least three timestamps, the first at 0:00.
+ * @param {string} description Video description
+ * @returns {Object[]} Chapters ({ title, start })
+ */
+function parseDescriptionChapters(description = '') {
+  const chapters = [];
+  for (const line of description.split(/\r?\n/)) {
+    const match = line.match(DESCRIPTION_CHAPTER);
+    if (match) {
+      chapters.push({ title: match[2], start: parseTimestamp(match[1]) });
+    }
+  }
+
+  const ascending = chapters.every((chapter, i) => i === 0 || chapter.start > chapters[i - 1].start);
+  return chapters.length >= 3 && chapters[0].start === 0 && ascending ? chapters : [];
+}
+
+/**
+ * Gets a video's chapters from its chapter markers, or from its description if it has none
+ * @param {Object} info Video info from ytdl.getInfo
+ * @returns {Object[]} Chapters ({ title, start, end }) in seconds
+ */
+function getChapters(info) {
+  const details = info.videoDetails;
+  const duration = parseFloat(details.lengthSeconds) || Infinity;
+
+  let chapters = (details.chapters || []).map(chapter => ({ title: chapter.title, start: chapter.start_time }));
+  if (chapters.length === 0) {
+    chapters = parseDescriptionChapters(details.description || '');
+  }
+
+  return chapters.map((chapter, i) => ({
+    ...chapter,
+    end: i < chapters.length - 1 ? chapters[i + 1].start : duration,
+  }));
+}
+
+/**
+ * Restricts chapters to a section of the video, trimming those that cross its edges
+ * @param {Object[]} chapters Chapters ({ title, start, end })
+ * @param {number} start Section start in seconds
+ * @param {number} end Section end in seconds
+ * @returns {Object[]} Chapters within the section, still in video time
+ */
+function clipChapters(chapters, start = 0, end = Infinity) {
+  return chapters
+    .filter(chapter => chapter.end > start && chapter.start < end)
+    .map(chapter => ({
+      ...chapter,
+      start: Math.max(chapter.start, start),
+      end: Math.min(chapter.end, end),
+    }));
+}
+
+/**
+ * Groups a transcription's segments under the chapters they start in
+ * @param {Object} transcription Transcription with timed segments
+ * @param {Object[]} chapters Chapters ({ title, start, end })
+ * @returns {Object[]} Chapters with their text and segments
+ */
+function assignSegmentsToChapters(transcription, chapters) {
+  if (!Array.isArray(transcription.segments)) {
+    throw new Error('Transcription has no segment timings to map onto chapters');
+  }
+
+  const result = chapters.map(chapter => ({ ...chapter, text: '', segments: [] }));
+  for (const segment of transcription.segments) {
+    // Segments before the first chapter go into it; otherwise the last chapter starting at or before the segment
+    let index = result.findIndex(chapter => segment.start < chapter.end);
+    if (index === -1) index = result.length - 1;
+    result[index].segments.push(segment);
+  }
+
+  result.forEach(chapter => {
+    chapter.text = chapter.segments.map(segment => segment.text.trim()).join(' ');
+  });
+  return result;
+}
+
+/**
+ * Renders chaptered transcript text with a heading per chapter
+ * @param {Object[]} chapters Chapters with text
+ * @returns {string} Transcript text
+ */
+function formatChapteredText(chapters) {
+  return chapters
+    .map(chapter => `## ${chapter.title} [${formatClockTime(chapter.start)}]\n\n${chapter.text}`)
+    .join('\n\n') + '\n';
+}
+
+module.exports = {
+  parseDescriptionChapters,
+  getChapters,
+  clipChapters,
+  assignSegmentsToChapters,
+  formatChapteredText
+};
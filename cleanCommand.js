@@ -0,0 +1,70 @@
+const fs = require('fs-extra');
+const { listWorkspaces } = require('./workspace');
+const { emit } = require('./cliOutput');
+const { ValidationError } = require('./errors');
+const config = require('./config');
+
+/**
+ * Formats a size in bytes as megabytes
+ * @param {number} bytes Size in bytes
+ * @returns {string} Size, e.g. "12.34 MB"
+ */
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Removes the workspaces that jobs left behind: those of processes that are no longer running,
+ * e.g. after a crash or a killed run. Workspaces of running jobs are never touched.
+ * @param {Object} options Parsed command options
+ * @param {string} options.tempDir Temp directory holding the workspaces (default: config.tempDir)
+ * @param {string} options.olderThan Only remove workspaces created at least this many hours ago
+ * @param {boolean} options.all Also remove workspaces kept with --keep-audio
+ * @param {boolean} options.dryRun List what would be removed without removing it
+ * @returns {Promise<Object[]>} Removed workspaces
+ */
+async function runClean(options = {}) {
+  const { tempDir = config.tempDir, all = false, dryRun = false } = options;
+  const olderThan = options.olderThan !== undefined ? parseFloat(options.olderThan) : 0;
+  if (isNaN(olderThan) || olderThan < 0) {
+    throw new ValidationError('--older-than must be a number of hours of at least 0');
+  }
+
+  const cutoff = Date.now() - olderThan * 60 * 60 * 1000;
+  const workspaces = await listWorkspaces(tempDir);
+  const stale = workspaces.filter(workspace => !workspace.active
+    && (all || !workspace.keep)
+    && new Date(workspace.createdAt).getTime() <= cutoff);
+
+  for (const workspace of stale) {
+    if (!dryRun) {
+      await fs.remove(workspace.dir);
+    }
+    console.log(`${dryRun ? 'Would remove' : '✓ Removed'}: ${workspace.dir} (${formatSize(workspace.sizeBytes)})`);
+    emit({
+      event: 'result',
+      input: workspace.dir,
+      status: dryRun ? 'would-remove' : 'removed',
+      name: workspace.name,
+      createdAt: workspace.createdAt,
+      sizeBytes: workspace.sizeBytes,
+    });
+  }
+
+  const freed = stale.reduce((total, workspace) => total + workspace.sizeBytes, 0);
+  const active = workspaces.filter(workspace => workspace.active).length;
+  const kept = workspaces.filter(workspace => !workspace.active && workspace.keep && !all).length;
+  console.log(`\n${dryRun ? 'Would remove' : 'Removed'} ${stale.length} workspace(s), ${formatSize(freed)}`);
+  if (active > 0) {
+    console.log(`- In use by running jobs: ${active}`);
+  }
+  if (kept > 0) {
+    console.log(`- Kept with --keep-audio: ${kept} (remove them with --all)`);
+  }
+  emit({ event: 'summary', dryRun, removed: stale.length, sizeBytes: freed, active, kept });
+  return stale;
+}
+
+module.exports = {
+  runClean
+};
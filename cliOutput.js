@@ -0,0 +1,117 @@
+const util = require('util');
+const { TranscriberError, ValidationError, SpendLimitError, BatchError, AbortError } = require('./errors');
+
+/**
+ * Process exit codes of the CLIs
+ */
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  partial: 3,
+  spendLimit: 4,
+  interrupted: 130,
+};
+
+// Whether events go to stdout as NDJSON; set by configureOutput
+let jsonOutput = false;
+
+/**
+ * Sets up console output for a CLI run. Progress messages are written by the modules with
+ * console.log; with --json they move to stderr so stdout only carries NDJSON events.
+ * @param {Object} options Output options
+ * @param {boolean} options.json Write events to stdout as NDJSON
+ * @param {boolean} options.quiet Only show warnings and errors
+ * @param {boolean} options.verbose Also show debug messages
+ */
+function configureOutput(options = {}) {
+  jsonOutput = Boolean(options.json);
+  const write = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+  const log = jsonOutput ? write : console.log.bind(console);
+
+  console.log = options.quiet ? () => {} : log;
+  console.info = console.log;
+  console.debug = options.verbose && !options.quiet ? log : () => {};
+}
+
+/**
+ * Writes an event as one NDJSON line on stdout, when --json is on
+ * @param {Object} event Event ({ event, ... })
+ */
+function emit(event) {
+  if (jsonOutput) {
+    process.stdout.write(`${JSON.stringify(event)}\n`);
+  }
+}
+
+/**
+ * Gets the exit code for an error that ended a run
+ * @param {Error} error Error thrown by the command
+ * @returns {number} Exit code
+ */
+function getExitCode(error) {
+  if (error instanceof AbortError) return EXIT_CODES.interrupted;
+  if (error instanceof ValidationError) return EXIT_CODES.usage;
+  if (error instanceof SpendLimitError) return EXIT_CODES.spendLimit;
+  if (error instanceof BatchError) return EXIT_CODES.partial;
+  return EXIT_CODES.failure;
+}
+
+/**
+ * Reports the error that ended a run and sets the exit code
+ * @param {Error} error Error thrown by the command
+ * @param {Object} options Output options ({ verbose })
+ */
+function reportError(error, options = {}) {
+  const exitCode = getExitCode(error);
+  console.error('Error:', error.message);
+  if (options.verbose && !(error instanceof TranscriberError && !error.cause)) {
+    console.error(error.cause ? error.cause.stack : error.stack);
+  }
+  emit({
+    event: 'error',
+    code: error.code || 'ERROR',
+    message: error.message,
+    exitCode,
+    ...(error instanceof BatchError && { failed: error.failed, total: error.total }),
+  });
+  process.exitCode = exitCode;
+}
+
+/**
+ * Runs a command with an AbortSignal that Ctrl-C (or SIGTERM) aborts, reporting its outcome.
+ * A second Ctrl-C exits at once.
+ * @param {Function} command Async function called with the signal
+ * @param {Object} options Output options ({ verbose })
+ * @returns {Promise<void>}
+ */
+async function runCommand(command, options = {}) {
+  const controller = new AbortController();
+  const interrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(EXIT_CODES.interrupted);
+    }
+    console.error('\nInterrupted, stopping...');
+    controller.abort();
+  };
+  process.on('SIGINT', interrupt);
+  process.on('SIGTERM', interrupt);
+
+  try {
+    await command(controller.signal);
+  } catch (error) {
+    reportError(error, options);
+  } finally {
+    process.off('SIGINT', interrupt);
+    process.off('SIGTERM', interrupt);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  configureOutput,
+  emit,
+  getExitCode,
+  reportError,
+  runCommand
+};
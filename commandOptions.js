@@ -0,0 +1,176 @@
+const Transcriber = require('./transcriber');
+const { Summarizer } = require('./transcriptSummarizer');
+const SpendGuard = require('./spendGuard');
+const { loadGlossary } = require('./glossary');
+const { loadCorrectionRules } = require('./correctionRules');
+const { PREPROCESS_STAGES, parsePreprocessOptions } = require('./audioPreprocessor');
+const { sumEstimates } = require('./costEstimator');
+const { engineNames } = require('./transcriptionEngines');
+const { supportedOutputFormats, validateOutputFormat } = require('./outputFormatter');
+const { ValidationError } = require('./errors');
+const { emit } = require('./cliOutput');
+const config = require('./config');
+
+/**
+ * Adds the transcription options shared by every CLI to a commander command
+ * @param {Command} command Command to add the options to
+ * @param {string} noun What one input is, e.g. "video" or "file", for the spend limit help
+ * @returns {Command} The command
+ */
+function addTranscribeOptions(command, noun) {
+  return command
+    .option('-l, --language <code>', 'Language code (e.g., "en", "fr", "de"), or "auto" to detect it', config.defaultLanguage)
+    .option('--translate', 'Produce an English translation instead of a transcript in the spoken language')
+    .option('--with-original', 'With --translate, also save the original-language transcript with aligned segments')
+    .option('-t, --temperature <number>', 'Temperature for the model (0.0-1.0)', '0')
+    .option('--overlap <seconds>', 'Seconds of audio shared between consecutive chunks', String(config.chunkOverlap))
+    .option('--preprocess <stages>', `Comma-separated audio preprocessing before upload (${PREPROCESS_STAGES.join(', ')})`, config.preprocess)
+    .option('--tempo <factor>', 'Speed-up factor of the tempo preprocessing stage (0.5-2)', String(config.preprocessTempo))
+    .option('--format <format>', `Output format (${supportedOutputFormats.join(', ')})`, 'txt')
+    .option('--word-timestamps', 'Request word-level timings, kept in json output and used by the html format')
+    .option('--concurrency <number>', 'Number of chunks transcribed in parallel', String(config.concurrency))
+    .option('--no-cache', 'Do not read or write the local transcription cache')
+    .option('--keep-audio', `Keep each ${noun}'s temp workspace (downloaded or extracted audio and chunks) instead of deleting it`)
+    .option('--engine <name>', `Transcription engine (${engineNames.join(', ')})`, config.engine)
+    .option('--base-url <url>', 'Base URL of an OpenAI-compatible transcription server', config.openaiBaseUrl)
+    .option('--glossary <file>', 'Text file of names and terms, one per line, seeded into every chunk\'s prompt', config.glossaryFile)
+    .option('--rules <file>', 'Text file of "find => replace" corrections applied to the transcript', config.correctionRulesFile)
+    .option('--summarize', `Also save show notes (summary, key points, chapters, quotes) of each ${noun} next to its transcript`)
+    .option('--summary-model <name>', 'Chat model writing the show notes', config.summaryModel)
+    .option('--dry-run', 'Report audio duration, chunk count and estimated cost without transcribing')
+    .option('--max-cost <usd>', `Abort a ${noun}, or skip ${noun}s of a batch or list, that would take this run over this cost`)
+    .option('--max-minutes <minutes>', `Abort a ${noun}, or skip ${noun}s of a batch or list, that would take this run over this many audio minutes`);
+}
+
+/**
+ * Checks the transcription options shared by every command before any work starts
+ * @param {Object} options Parsed command options
+ */
+function validateTranscribeOptions(options) {
+  validateOutputFormat(options.format);
+  parsePreprocessOptions(options.preprocess, options.tempo);
+  if (options.withOriginal && !options.translate) {
+    throw new ValidationError('--with-original can only be used with --translate');
+  }
+  if (options.wordTimestamps && options.translate && !options.withOriginal) {
+    console.warn('Warning: translations have no word timings; add --with-original to keep them for the original transcript');
+  }
+}
+
+/**
+ * Creates the spend guard for the --max-cost and --max-minutes limits and the monthly budget
+ * @param {Object} options Parsed command options ({ maxCost, maxMinutes })
+ * @returns {SpendGuard} Spend guard
+ */
+function createSpendGuard(options) {
+  const parseLimit = (name, value) => {
+    if (value === undefined) return null;
+    const limit = parseFloat(value);
+    if (isNaN(limit) || limit < 0) {
+      throw new ValidationError(`Invalid ${name}: ${value}`);
+    }
+    return limit;
+  };
+  return new SpendGuard({
+    maxCost: parseLimit('--max-cost', options.maxCost),
+    maxMinutes: parseLimit('--max-minutes', options.maxMinutes),
+  });
+}
+
+/**
+ * Loads the --glossary terms and --rules corrections
+ * @param {Object} options Parsed command options ({ glossary, rules })
+ * @returns {Promise<Object>} Pipeline options ({ glossary, rules })
+ */
+async function loadVocabulary(options) {
+  return {
+    glossary: options.glossary ? await loadGlossary(options.glossary) : [],
+    rules: options.rules ? await loadCorrectionRules(options.rules) : null,
+  };
+}
+
+/**
+ * Creates the transcriber for the --engine, --base-url and --no-cache options
+ * @param {Object} options Parsed command options
+ * @returns {Transcriber} Transcriber
+ */
+function createTranscriber(options) {
+  return new Transcriber({
+    cache: options.cache,
+    engine: options.engine,
+    baseUrl: options.baseUrl,
+  });
+}
+
+/**
+ * Creates the summarizer of the --summarize and --summary-model options
+ * @param {Object} options Parsed command options
+ * @returns {Summarizer|null} Summarizer, or null without --summarize
+ */
+function createSummarizer(options) {
+  if (!options.summarize) {
+    return null;
+  }
+  return new Summarizer({ model: options.summaryModel, concurrency: parseInt(options.concurrency) });
+}
+
+/**
+ * Describes the engine of a dry run, which needs no engine, only its name and model for pricing
+ * @param {Object} options Parsed command options ({ engine, baseUrl })
+ * @returns {Object} Engine description ({ name, baseURL, model })
+ */
+function getEngineDescription(options) {
+  return { name: options.engine, baseURL: options.baseUrl, model: options.engine === 'openai' ? config.whisperModel : null };
+}
+
+/**
+ * Prints and emits the totals of a dry run
+ * @param {Object[]} estimates Estimates of the items that would be transcribed
+ * @param {SpendGuard} guard Spend guard
+ * @param {Object} engine Engine description ({ name, baseURL, model })
+ * @param {string} noun What the items are, e.g. "video" or "file"
+ */
+async function printDryRunSummary(estimates, guard, engine, noun) {
+  const total = sumEstimates(estimates);
+  const price = estimates.length > 0 ? estimates[0].pricePerMinute : 0;
+  console.log(`\nDry run: ${total.items} ${noun}${total.items === 1 ? '' : 's'}, ${(total.duration / 60).toFixed(1)} minutes of audio, ${total.chunks} chunk${total.chunks === 1 ? '' : 's'}`);
+  console.log(`Estimated cost with ${engine.model || engine.name} at $${price}/min: $${total.cost.toFixed(2)}`);
+  const spent = guard.monthlyBudget > 0 ? await guard.ledger.getMonthlySpend() : null;
+  if (spent !== null) {
+    console.log(`Spent this month: $${spent.toFixed(2)} of the $${guard.monthlyBudget.toFixed(2)} budget`);
+  }
+  emit({ event: 'summary', dryRun: true, ...total, pricePerMinute: price, ...(spent !== null && { monthlySpend: spent }) });
+}
+
+/**
+ * Creates the progress callback of one item: it counts usage against the spend guard and
+ * emits the event for --json
+ * @param {SpendGuard} guard Spend guard
+ * @param {string} input Item the events belong to (URL or file)
+ * @param {Object} options Handler options
+ * @param {Object} options.reservation The item's reservation on the guard, replaced by its usage
+ * @param {Function} options.onUsage Also called with usage events
+ * @returns {Function} Progress callback
+ */
+function createProgressHandler(guard, input, options = {}) {
+  const { reservation = null, onUsage = () => {} } = options;
+  return event => {
+    if (event.type === 'usage') {
+      guard.settle(reservation, event);
+      onUsage(event);
+    }
+    emit({ event: 'progress', input, ...event });
+  };
+}
+
+module.exports = {
+  addTranscribeOptions,
+  validateTranscribeOptions,
+  createSpendGuard,
+  loadVocabulary,
+  createTranscriber,
+  createSummarizer,
+  getEngineDescription,
+  printDryRunSummary,
+  createProgressHandler
+};
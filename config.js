@@ -2,19 +2,48 @@ require('dotenv').config();
 
 const config = {
   openaiApiKey: process.env.OPENAI_API_KEY,
+  openaiBaseUrl: process.env.OPENAI_BASE_URL,
+  engine: process.env.TRANSCRIPTION_ENGINE || 'openai',
+  whisperServerUrl: process.env.WHISPER_SERVER_URL || 'http://127.0.0.1:8080',
+  whisperCommand: process.env.WHISPER_COMMAND || 'whisper-cli',
+  whisperCommandModel: process.env.WHISPER_COMMAND_MODEL,
   outputDir: process.env.OUTPUT_DIR || './output',
   tempDir: process.env.TEMP_DIR || './temp',
+  cacheDir: process.env.CACHE_DIR || './cache',
+  searchIndexPath: process.env.SEARCH_INDEX || './search-index.json',
   whisperModel: process.env.WHISPER_MODEL || 'whisper-1',
   defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en',
   maxRetries: parseInt(process.env.MAX_RETRIES || '3'),
-  retryDelay: parseInt(process.env.RETRY_DELAY || '1000'),
+  retryDelay: parseInt(process.env.RETRY_DELAY || '1000'), // base delay, doubled on each retry
+  maxRetryDelay: parseInt(process.env.MAX_RETRY_DELAY || '60000'),
+  concurrency: parseInt(process.env.CONCURRENCY || '1'),
+  batchParallel: parseInt(process.env.BATCH_PARALLEL || '1'),
+  requestsPerMinute: parseInt(process.env.REQUESTS_PER_MINUTE || '0'), // 0 = unlimited
+  glossaryFile: process.env.GLOSSARY_FILE, // one term per line, seeded into every prompt
+  correctionRulesFile: process.env.CORRECTION_RULES_FILE, // "find => replace" lines applied to every transcript
+  promptMaxTokens: parseInt(process.env.PROMPT_MAX_TOKENS || '224'),
+  summaryModel: process.env.SUMMARY_MODEL || 'gpt-4o-mini',
+  summaryBaseUrl: process.env.SUMMARY_BASE_URL || process.env.OPENAI_BASE_URL, // any OpenAI-compatible chat completions server
+  summaryApiKey: process.env.SUMMARY_API_KEY || process.env.OPENAI_API_KEY,
+  summaryContextTokens: parseInt(process.env.SUMMARY_CONTEXT_TOKENS || '12000'), // transcript tokens sent per request
   chunkSize: parseInt(process.env.CHUNK_SIZE || '25000000'), // 25MB in bytes
+  chunkOverlap: parseFloat(process.env.CHUNK_OVERLAP || '0'), // seconds
+  silenceThreshold: process.env.SILENCE_THRESHOLD || '-30dB',
+  silenceMinDuration: parseFloat(process.env.SILENCE_MIN_DURATION || '0.5'), // seconds
+  splitSearchWindow: parseFloat(process.env.SPLIT_SEARCH_WINDOW || '30'), // seconds
+  ffmpegConcurrency: parseInt(process.env.FFMPEG_CONCURRENCY || '2'), // ffmpeg processes cutting chunks at a time
+  preprocess: process.env.PREPROCESS || '', // comma-separated stages, empty = none
+  preprocessTempo: parseFloat(process.env.PREPROCESS_TEMPO || '1.25'),
+  trimMaxSilence: parseFloat(process.env.TRIM_MAX_SILENCE || '1'), // seconds
+  watchPollInterval: parseFloat(process.env.WATCH_POLL_INTERVAL || '5'), // seconds
+  watchStableTime: parseFloat(process.env.WATCH_STABLE_TIME || '10'), // seconds
+  serverPort: parseInt(process.env.SERVER_PORT || '3000'),
+  serverWorkers: parseInt(process.env.SERVER_WORKERS || '1'),
+  serverDataDir: process.env.SERVER_DATA_DIR || './server_data',
+  serverMaxUpload: parseFloat(process.env.SERVER_MAX_UPLOAD || '2048'), // MB
+  usageLedgerPath: process.env.USAGE_LEDGER || './usage-ledger.jsonl',
+  monthlyBudget: parseFloat(process.env.MONTHLY_BUDGET || '0'), // USD, 0 = no budget
+  pricePerMinute: process.env.PRICE_PER_MINUTE ? parseFloat(process.env.PRICE_PER_MINUTE) : null, // USD, overrides the model price table
 };
 
-// Validate essential config
-if (!config.openaiApiKey) {
-  console.error('Error: OPENAI_API_KEY is required in .env file');
-  process.exit(1);
-}
-
 module.exports = config;
\ No newline at end of file
@@ -0,0 +1,142 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+/**
+ * Loads correction rules from a text file with one "find => replace" rule per line.
+ * A find written as /pattern/flags is a regular expression and its replacement may use $1 etc.;
+ * anything else is replaced literally. Blank lines and lines starting with # are ignored.
+ * @param {string} filePath Rules file
+ * @returns {Promise<Object[]>} Rules ({ line, find, replace, replacement, pattern })
+ */
+async function loadCorrectionRules(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new ValidationError(`Correction rules file not found: ${filePath}`);
+  }
+  const content = await fs.readFile(filePath, 'utf8');
+  const rules = [];
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    const separator = line.indexOf(' => ');
+    if (separator === -1) {
+      throw new ValidationError(`Invalid correction rule on line ${index + 1} of ${filePath}: expected "find => replace"`);
+    }
+    const find = line.slice(0, separator).trim();
+    const replace = line.slice(separator + 4).trim();
+
+    let pattern;
+    const regex = find.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      pattern = regex
+        ? new RegExp(regex[1], regex[2].includes('g') ? regex[2] : `${regex[2]}g`)
+        : new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    } catch (error) {
+      throw new ValidationError(`Invalid correction rule on line ${index + 1} of ${filePath}: ${error.message}`);
+    }
+    // Literal replacements must not expand $ patterns
+    rules.push({ line: index + 1, find, replace, replacement: regex ? replace : replace.replace(/\$/g, '$$$$'), pattern });
+  });
+
+  return rules;
+}
+
+/**
+ * Applies correction rules to a transcription's text, segments, words and chapters
+ * @param {Object} transcription Transcription result
+ * @param {Object[]} rules Rules from loadCorrectionRules
+ * @returns {Object} Corrected copy and what changed ({ transcription, corrections: [{ line, find, replace, count, segments }] })
+ */
+function applyCorrections(transcription, rules) {
+  const corrections = [];
+  const corrected = { ...transcription };
+
+  const applyRule = (text, rule) => ({
+    text: text.replace(rule.pattern, rule.replacement),
+    count: (text.match(rule.pattern) || []).length,
+  });
+
+  for (const rule of rules) {
+    const { text, count } = applyRule(corrected.text || '', rule);
+    corrected.text = text;
+
+    // Segments record where a rule fired, so editors can check the changes
+    const segments = [];
+    if (corrected.segments) {
+      corrected.segments = corrected.segments.map((segment, index) => {
+        const result = applyRule(segment.text, rule);
+        if (result.count === 0) {
+          return segment;
+        }
+        segments.push({ id: segment.id !== undefined ? segment.id : index, start: segment.start, count: result.count });
+        return { ...segment, text: result.text };
+      });
+    }
+    // Single-word rules also fix the word timings; rules spanning words only change text and segments
+    if (corrected.words) {
+      corrected.words = corrected.words.map(word => ({ ...word, word: applyRule(word.word, rule).text }));
+    }
+    if (corrected.chapters) {
+      corrected.chapters = corrected.chapters.map(chapter =>
+        (chapter.text ? { ...chapter, text: applyRule(chapter.text, rule).text } : chapter));
+    }
+
+    if (count > 0 || segments.length > 0) {
+      corrections.push({ line: rule.line, find: rule.find, replace: rule.replace, count, segments });
+    }
+  }
+
+  return { transcription: corrected, corrections };
+}
+
+/**
+ * Gets the path of the correction report written next to an output file
+ * @param {string} outputPath Transcript output path (e.g. output/abc.srt)
+ * @returns {string} Report path (e.g. output/abc.corrections.json)
+ */
+function getCorrectionReportPath(outputPath) {
+  const base = path.basename(outputPath, path.extname(outputPath));
+  return path.join(path.dirname(outputPath), `${base}.corrections.json`);
+}
+
+/**
+ * Applies correction rules and writes the report of which ones fired next to the output
+ * @param {Object} transcription Transcription result
+ * @param {Object[]} rules Rules from loadCorrectionRules, or null for none
+ * @param {string} outputPath Transcript output path
+ * @returns {Promise<Object>} Corrected transcription
+ */
+async function correctTranscription(transcription, rules, outputPath) {
+  if (!rules || rules.length === 0) {
+    return transcription;
+  }
+
+  const { transcription: corrected, corrections } = applyCorrections(transcription, rules);
+  const total = corrections.reduce((sum, correction) => sum + correction.count, 0);
+  console.log(`Applied ${total} correction${total === 1 ? '' : 's'} from ${corrections.length} of ${rules.length} rules`);
+  for (const correction of corrections) {
+    console.log(`  ${correction.find} => ${correction.replace}: ${correction.count}`);
+  }
+
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeFile(getCorrectionReportPath(outputPath), JSON.stringify({
+    createdAt: new Date().toISOString(),
+    rules: rules.length,
+    corrections: total,
+    fired: corrections,
+    unused: rules
+      .filter(rule => !corrections.some(correction => correction.line === rule.line))
+      .map(rule => ({ line: rule.line, find: rule.find })),
+  }, null, 2));
+  return corrected;
+}
+
+module.exports = {
+  loadCorrectionRules,
+  applyCorrections,
+  getCorrectionReportPath,
+  correctTranscription
+};
@@ -0,0 +1,219 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getVideoInfo, probeDuration } = require('./youtubeDownloader');
+const { getCaptionTracks, selectCaptionTrack } = require('./youtubeCaptions');
+const { formatClockTime } = require('./timeUtils');
+const { isMediaUrl } = require('./mediaInput');
+const AudioProcessor = require('./audioProcessor');
+const config = require('./config');
+
+// OpenAI transcription prices in USD per audio minute
+const MODEL_PRICES = {
+  'whisper-1': 0.006,
+  'gpt-4o-transcribe': 0.006,
+  'gpt-4o-mini-transcribe': 0.003,
+};
+
+// YouTube audio, video tracks and media URLs are extracted as 128 kbps MP3, and the mono
+// preprocessing stage uploads 32 kbps MP3
+const EXTRACTED_AUDIO_BYTES_PER_SECOND = 128000 / 8;
+const MONO_AUDIO_BYTES_PER_SECOND = 32000 / 8;
+
+/**
+ * Gets the price per audio minute of an engine. Local engines and self-hosted servers are free
+ * unless PRICE_PER_MINUTE says otherwise.
+ * @param {Object} engine Engine or engine description ({ name, baseURL, model })
+ * @returns {number} USD per minute
+ */
+function getPricePerMinute(engine) {
+  if (config.pricePerMinute !== null) {
+    return config.pricePerMinute;
+  }
+  if (engine.name !== 'openai' || engine.baseURL) {
+    return 0;
+  }
+  return MODEL_PRICES[engine.model] !== undefined ? MODEL_PRICES[engine.model] : MODEL_PRICES['whisper-1'];
+}
+
+/**
+ * Measures the audio seconds a transcription request is billed for
+ * @param {string} audioFilePath Audio sent to the engine
+ * @param {Object} transcription Engine result
+ * @returns {Promise<number>} Seconds, 0 when the duration can't be determined
+ */
+async function measureBilledSeconds(audioFilePath, transcription) {
+  if (typeof transcription.duration === 'number') {
+    return transcription.duration;
+  }
+  try {
+    return await probeDuration(audioFilePath);
+  } catch (error) {
+    console.warn(`Warning: could not measure ${path.basename(audioFilePath)} for the usage ledger: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Estimates how many chunks audio will be split into, mirroring splitAudioIfNeeded
+ * @param {number} duration Audio duration in seconds
+ * @param {number} bytesPerSecond Audio bitrate in bytes per second
+ * @param {number} overlap Seconds shared between consecutive chunks
+ * @returns {number} Chunk count
+ */
+function estimateChunkCount(duration, bytesPerSecond, overlap = config.chunkOverlap) {
+  if (duration * bytesPerSecond <= config.chunkSize) {
+    return 1;
+  }
+  const maxChunkDuration = (config.chunkSize * 0.95) / bytesPerSecond - overlap;
+  return Math.ceil(duration / maxChunkDuration);
+}
+
+/**
+ * Gets the duration and bitrate of the audio uploaded after preprocessing. Trimmed silence
+ * can't be known without decoding the audio, so estimates stay on the safe side of it.
+ * @param {number} duration Audio duration in seconds
+ * @param {number} bytesPerSecond Audio bitrate in bytes per second
+ * @param {Object} preprocess Preprocessing options ({ stages, tempo }), or null
+ * @returns {Object} Uploaded audio ({ duration, bytesPerSecond })
+ */
+function getUploadedAudio(duration, bytesPerSecond, preprocess) {
+  if (!preprocess) {
+    return { duration, bytesPerSecond };
+  }
+  return {
+    duration: duration / preprocess.tempo,
+    bytesPerSecond: preprocess.stages.includes('mono') ? MONO_AUDIO_BYTES_PER_SECOND : EXTRACTED_AUDIO_BYTES_PER_SECOND,
+  };
+}
+
+/**
+ * Builds an estimate from the audio that would be sent to the engine
+ * @param {Object} item Estimated item ({ source, duration, uploadedDuration, chunks, passes, overlap, free })
+ * @param {Object} engine Engine or engine description ({ name, baseURL, model })
+ * @returns {Object} Estimate ({ source, duration, chunks, minutes, cost, model, pricePerMinute, captions })
+ */
+function buildEstimate(item, engine) {
+  const { source, duration, uploadedDuration = duration, chunks, passes = 1, overlap = 0, free = false } = item;
+
+  // Overlapping chunks send the shared seconds twice
+  const billedSeconds = free ? 0 : (uploadedDuration + overlap * (chunks - 1)) * passes;
+  const pricePerMinute = getPricePerMinute(engine);
+  return {
+    source,
+    duration,
+    chunks: free ? 0 : chunks * passes,
+    minutes: billedSeconds / 60,
+    cost: (billedSeconds / 60) * pricePerMinute,
+    model: engine.model || engine.name,
+    pricePerMinute,
+    captions: free,
+  };
+}
+
+/**
+ * Estimates the cost of transcribing an audio or video file, or a media URL
+ * @param {string} filePath Audio or video file, or direct media or HLS URL
+ * @param {Object} engine Engine or engine description ({ name, baseURL, model })
+ * @param {Object} options Transcription options ({ overlap, translate, withOriginal, preprocess })
+ * @returns {Promise<Object>} Estimate
+ */
+async function estimateAudioFile(filePath, engine, options = {}) {
+  const { overlap = config.chunkOverlap, translate = false, withOriginal = false, preprocess = null } = options;
+  const url = isMediaUrl(filePath);
+  const duration = (await probeDuration(filePath)) || 0;
+
+  // Anything that isn't already an audio file is uploaded as its extracted audio track
+  const bytesPerSecond = url || AudioProcessor.isVideoFile(filePath)
+    ? EXTRACTED_AUDIO_BYTES_PER_SECOND
+    : (await fs.stat(filePath)).size / duration;
+  const uploaded = duration > 0 ? getUploadedAudio(duration, bytesPerSecond, preprocess) : null;
+
+  return buildEstimate({
+    source: url ? filePath : path.basename(filePath),
+    duration,
+    uploadedDuration: uploaded ? uploaded.duration : 0,
+    chunks: uploaded ? estimateChunkCount(uploaded.duration, uploaded.bytesPerSecond, overlap) : 1,
+    passes: translate && withOriginal ? 2 : 1,
+    overlap,
+  }, engine);
+}
+
+/**
+ * Estimates the cost of transcribing a YouTube video without downloading it
+ * @param {string} url YouTube video URL
+ * @param {Object} engine Engine or engine description ({ name, baseURL, model })
+ * @param {Object} options Transcription options ({ clip, captions, language, overlap, translate, withOriginal, preprocess, info })
+ * @returns {Promise<Object>} Estimate; free when usable captions exist
+ */
+async function estimateYouTubeVideo(url, engine, options = {}) {
+  const {
+    clip = null,
+    captions = 'never',
+    language = config.defaultLanguage,
+    overlap = config.chunkOverlap,
+    translate = false,
+    withOriginal = false,
+    preprocess = null,
+  } = options;
+  const info = options.info || await getVideoInfo(url);
+
+  const length = parseFloat(info.videoDetails.lengthSeconds) || 0;
+  const start = clip ? clip.start || 0 : 0;
+  const end = clip && clip.end !== undefined ? Math.min(clip.end, length) : length;
+  const duration = Math.max(0, end - start);
+
+  // Captions are used instead of the engine whenever they are wanted and available
+  const usesCaptions = captions !== 'never' && !translate
+    && Boolean(selectCaptionTrack(getCaptionTracks(info), language));
+
+  const uploaded = getUploadedAudio(duration, EXTRACTED_AUDIO_BYTES_PER_SECOND, preprocess);
+
+  return buildEstimate({
+    source: info.videoDetails.videoId,
+    duration,
+    uploadedDuration: uploaded.duration,
+    chunks: estimateChunkCount(uploaded.duration, uploaded.bytesPerSecond, overlap),
+    passes: translate && withOriginal ? 2 : 1,
+    overlap,
+    free: usesCaptions,
+  }, engine);
+}
+
+/**
+ * Describes an estimate on one line
+ * @param {Object} estimate Estimate
+ * @returns {string} Duration, chunks, billed minutes and cost
+ */
+function formatEstimate(estimate) {
+  if (estimate.captions) {
+    return `${formatClockTime(estimate.duration)}, YouTube captions, $0.00`;
+  }
+  const chunks = `${estimate.chunks} chunk${estimate.chunks === 1 ? '' : 's'}`;
+  return `${formatClockTime(estimate.duration)}, ${chunks}, ${estimate.minutes.toFixed(1)} billed minutes, $${estimate.cost.toFixed(2)}`;
+}
+
+/**
+ * Adds up estimates
+ * @param {Object[]} estimates Estimates
+ * @returns {Object} Totals ({ items, duration, chunks, minutes, cost })
+ */
+function sumEstimates(estimates) {
+  return estimates.reduce((total, estimate) => ({
+    items: total.items + 1,
+    duration: total.duration + estimate.duration,
+    chunks: total.chunks + estimate.chunks,
+    minutes: total.minutes + estimate.minutes,
+    cost: total.cost + estimate.cost,
+  }), { items: 0, duration: 0, chunks: 0, minutes: 0, cost: 0 });
+}
+
+module.exports = {
+  MODEL_PRICES,
+  getPricePerMinute,
+  measureBilledSeconds,
+  estimateChunkCount,
+  estimateAudioFile,
+  estimateYouTubeVideo,
+  formatEstimate,
+  sumEstimates
+};
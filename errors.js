@@ -0,0 +1,151 @@
+/**
+ * Base class of the errors thrown by the transcription pipeline. `code` tells callers what
+ * failed without matching on messages; the underlying error, if any, is kept as `cause`.
+ */
+class TranscriberError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   * @param {Error} options.cause Error that led to this one
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause !== undefined ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = 'TRANSCRIBER_ERROR';
+  }
+}
+
+/**
+ * Invalid input or options: a bad URL, an unsupported file or format, an unreadable rules file
+ */
+class ValidationError extends TranscriberError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'VALIDATION_FAILED';
+  }
+}
+
+/**
+ * Fetching the video info, audio, media URL or captions failed
+ */
+class DownloadError extends TranscriberError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'DOWNLOAD_FAILED';
+  }
+}
+
+/**
+ * ffmpeg failed to extract, preprocess, probe or cut the audio
+ */
+class AudioError extends TranscriberError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'AUDIO_FAILED';
+  }
+}
+
+/**
+ * The audio could not be split into chunks
+ */
+class SplitError extends AudioError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'SPLIT_FAILED';
+  }
+}
+
+/**
+ * The transcription engine kept failing. `status` is the last HTTP status, if there was one.
+ */
+class ApiError extends TranscriberError {
+  /**
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   * @param {Error} options.cause Last error thrown by the engine
+   * @param {number} options.attempts Number of attempts made
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = 'API_FAILED';
+    this.status = options.cause && typeof options.cause.status === 'number' ? options.cause.status : null;
+    this.attempts = options.attempts || 1;
+  }
+}
+
+/**
+ * A job was not started because it would go over a spend limit or the monthly budget
+ */
+class SpendLimitError extends TranscriberError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'SPEND_LIMIT';
+  }
+}
+
+/**
+ * Some items of a batch, playlist or URL list failed; the others were transcribed
+ */
+class BatchError extends TranscriberError {
+  /**
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   * @param {number} options.failed Number of failed items
+   * @param {number} options.total Number of items in the batch
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = 'BATCH_FAILED';
+    this.failed = options.failed || 0;
+    this.total = options.total || 0;
+  }
+}
+
+/**
+ * The work was cancelled through its AbortSignal
+ */
+class AbortError extends TranscriberError {
+  constructor(message = 'The operation was aborted', options) {
+    super(message, options);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * Throws an AbortError if a signal has been aborted
+ * @param {AbortSignal} signal Signal to check, may be undefined
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
+}
+
+/**
+ * Calls a function once when a signal aborts
+ * @param {AbortSignal} signal Signal to listen to, may be undefined
+ * @param {Function} listener Called on abort
+ * @returns {Function} Stops listening
+ */
+function onAbort(signal, listener) {
+  if (!signal) {
+    return () => {};
+  }
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+}
+
+module.exports = {
+  TranscriberError,
+  ValidationError,
+  DownloadError,
+  AudioError,
+  SplitError,
+  ApiError,
+  SpendLimitError,
+  BatchError,
+  AbortError,
+  throwIfAborted,
+  onAbort
+};
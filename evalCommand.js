@@ -0,0 +1,352 @@
+const path = require('path');
+const fs = require('fs-extra');
+const ytdl = require('ytdl-core');
+const AudioProcessor = require('./audioProcessor');
+const { transcribeYouTube, transcribeFile } = require('./library');
+const { isMediaUrl, getMediaUrlName } = require('./mediaInput');
+const { getTranscriptDocumentPath } = require('./transcriptSchema');
+const { evaluateTranscript, sumScores } = require('./transcriptEval');
+const { loadVocabulary } = require('./commandOptions');
+const { emit } = require('./cliOutput');
+const { ValidationError, BatchError } = require('./errors');
+const config = require('./config');
+
+// Reference transcripts found next to the recordings of an eval directory
+const REFERENCE_SUFFIXES = ['.ref.txt', '.ref.srt', '.ref.vtt', '.ref.json'];
+
+/**
+ * Reads the plain text of a transcript: a text file, SRT or WebVTT subtitles, a transcript
+ * document or a JSON transcription
+ * @param {string} filePath Transcript file
+ * @param {boolean} preferDocument Read the transcript document saved next to an output instead, when
+ *   there is one, so chapter headings and subtitle cues don't count as words
+ * @returns {Promise<string>} Transcript text
+ */
+async function readTranscriptText(filePath, preferDocument = false) {
+  if (!await fs.pathExists(filePath)) {
+    throw new ValidationError(`Transcript not found: ${filePath}`);
+  }
+  const documentPath = filePath.endsWith('.transcript.json') ? filePath : getTranscriptDocumentPath(filePath);
+  if (preferDocument && await fs.pathExists(documentPath)) {
+    filePath = documentPath;
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.json') {
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`${filePath} is not valid JSON: ${error.message}`, { cause: error });
+    }
+    if (typeof json.text !== 'string') {
+      throw new ValidationError(`${filePath} has no "text" field`);
+    }
+    return json.text;
+  }
+  if (ext === '.srt' || ext === '.vtt') {
+    // Keep only cue text: no header, notes, cue numbers, timings or tags
+    return content
+      .split(/\r?\n\r?\n/)
+      .filter(block => !/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block.trim()))
+      .map(block => block.split(/\r?\n/).filter(line => !/^\d+$/.test(line.trim()) && !line.includes('-->')).join(' '))
+      .join(' ')
+      .replace(/<[^>]+>/g, '');
+  }
+  return content;
+}
+
+/**
+ * Works out what an eval set input is
+ * @param {string} input File path, YouTube URL or video id, or media URL
+ * @param {string} baseDir Directory relative paths are resolved against
+ * @returns {Object} Input ({ type, source, name }), type being youtube, url or file
+ */
+function resolveInput(input, baseDir) {
+  if (ytdl.validateURL(input)) {
+    return { type: 'youtube', source: input, name: ytdl.getVideoID(input) };
+  }
+  if (isMediaUrl(input)) {
+    return { type: 'url', source: input, name: getMediaUrlName(input) };
+  }
+  const filePath = path.resolve(baseDir, input);
+  if (ytdl.validateID(input) && !fs.pathExistsSync(filePath)) {
+    return { type: 'youtube', source: `https://www.youtube.com/watch?v=${input}`, name: input };
+  }
+  return { type: 'file', source: filePath, name: path.basename(filePath, path.extname(filePath)) };
+}
+
+/**
+ * Loads an eval set: a directory of recordings with references named <name>.ref.txt (or .ref.srt,
+ * .ref.vtt, .ref.json) next to them, or a JSON manifest listing items ({ input, reference, hypothesis,
+ * name }) with paths relative to the manifest
+ * @param {string} setPath Directory or manifest
+ * @returns {Promise<Object[]>} Items ({ name, input, reference, hypothesis })
+ */
+async function loadEvalSet(setPath) {
+  if (!await fs.pathExists(setPath)) {
+    throw new ValidationError(`Eval set not found: ${setPath}`);
+  }
+
+  const items = [];
+  if ((await fs.stat(setPath)).isDirectory()) {
+    for (const file of await AudioProcessor.getAudioFilesFromDirectory(setPath)) {
+      const base = file.slice(0, -path.extname(file).length);
+      let reference = null;
+      for (const suffix of REFERENCE_SUFFIXES) {
+        if (await fs.pathExists(`${base}${suffix}`)) {
+          reference = `${base}${suffix}`;
+          break;
+        }
+      }
+      if (!reference) {
+        console.warn(`Warning: no reference for ${path.basename(file)}, expected ${path.basename(base)}.ref.txt`);
+        continue;
+      }
+      items.push({ name: path.basename(base), input: resolveInput(file, setPath), reference, hypothesis: null });
+    }
+  } else {
+    let manifest;
+    try {
+      manifest = await fs.readJson(setPath);
+    } catch (error) {
+      throw new ValidationError(`Eval manifest ${setPath} is not valid JSON: ${error.message}`, { cause: error });
+    }
+    const baseDir = path.dirname(path.resolve(setPath));
+    const entries = Array.isArray(manifest) ? manifest : manifest.items;
+    if (!Array.isArray(entries)) {
+      throw new ValidationError(`Eval manifest ${setPath} must be an array of items, or have an "items" array`);
+    }
+    entries.forEach((entry, i) => {
+      if (!entry || typeof entry.reference !== 'string' || (typeof entry.input !== 'string' && typeof entry.hypothesis !== 'string')) {
+        throw new ValidationError(`Eval manifest item ${i + 1} needs a "reference" and an "input" or "hypothesis"`);
+      }
+      const input = entry.input ? resolveInput(entry.input, baseDir) : null;
+      items.push({
+        name: entry.name || (input ? input.name : path.basename(entry.hypothesis, path.extname(entry.hypothesis))),
+        input,
+        reference: path.resolve(baseDir, entry.reference),
+        hypothesis: entry.hypothesis ? path.resolve(baseDir, entry.hypothesis) : null,
+      });
+    });
+  }
+
+  if (items.length === 0) {
+    throw new ValidationError(`No items with a reference transcript in ${setPath}`);
+  }
+  // Outputs are named after the items, so names must not collide
+  const seen = new Map();
+  for (const item of items) {
+    const count = (seen.get(item.name) || 0) + 1;
+    seen.set(item.name, count);
+    if (count > 1) item.name = `${item.name}_${count}`;
+  }
+  return items;
+}
+
+/**
+ * Gets the transcript of an eval item: its given hypothesis, the output of an earlier run with
+ * --reuse, or a new transcription
+ * @param {Object} item Eval item
+ * @param {Object} options Parsed command options
+ * @param {Object} vocabulary Glossary and correction rules ({ glossary, rules })
+ * @returns {Promise<string>} Path to the transcript
+ */
+async function getHypothesis(item, options, vocabulary) {
+  if (item.hypothesis) {
+    return item.hypothesis;
+  }
+  const outputPath = path.join(options.outputDir, `${item.name}.txt`);
+  if (options.reuse && await fs.pathExists(outputPath)) {
+    console.log(`Reusing ${outputPath}`);
+    return outputPath;
+  }
+
+  const transcribeOptions = {
+    engine: options.engine,
+    baseUrl: options.baseUrl,
+    model: options.model,
+    cache: options.cache,
+    outputPath,
+    format: 'txt',
+    language: options.language,
+    temperature: parseFloat(options.temperature),
+    overlap: parseFloat(options.overlap),
+    concurrency: parseInt(options.concurrency),
+    preprocess: options.preprocess,
+    tempo: options.tempo,
+    captions: options.captions,
+    ...vocabulary,
+    signal: options.signal,
+    onProgress: event => emit({ event: 'progress', input: item.name, ...event }),
+  };
+  const { outputPath: savedPath } = item.input.type === 'youtube'
+    ? await transcribeYouTube(item.input.source, transcribeOptions)
+    : await transcribeFile(item.input.source, transcribeOptions);
+  return savedPath;
+}
+
+/**
+ * Formats an error rate as a percentage
+ * @param {number} rate Error rate
+ * @returns {string} Percentage, e.g. "12.5%"
+ */
+function formatRate(rate) {
+  return rate === null ? 'n/a' : `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Describes how error rates changed against a baseline, in percentage points
+ * @param {Object} scores Scores ({ words, characters })
+ * @param {Object} baseline Baseline scores, or null
+ * @returns {string|null} Change, e.g. "WER -2.0 pts, CER +0.4 pts", or null without a baseline
+ */
+function formatChange(scores, baseline) {
+  if (!baseline || scores.words.errorRate === null || typeof baseline.words.errorRate !== 'number') {
+    return null;
+  }
+  const points = (rate, previous) => {
+    const change = (rate - previous) * 100;
+    return `${change > 0 ? '+' : ''}${change.toFixed(1)} pts`;
+  };
+  return `WER ${points(scores.words.errorRate, baseline.words.errorRate)}, `
+    + `CER ${points(scores.characters.errorRate, baseline.characters.errorRate)}`;
+}
+
+/**
+ * Transcribes, or loads, every item of an eval set and scores it against its reference with
+ * word and character error rates
+ * @param {string} setPath Eval set directory or manifest
+ * @param {Object} options Parsed command options: outputDir, reuse, report, baseline, diff,
+ *   normalizeNumbers, the transcription options, and signal to interrupt the run
+ */
+async function runEval(setPath, options) {
+  options = { ...options, outputDir: path.resolve(options.outputDir) };
+  if (!['prefer', 'only', 'never'].includes(options.captions)) {
+    throw new ValidationError(`Invalid --captions mode: ${options.captions}. Use prefer, only or never`);
+  }
+  if (options.report && path.extname(options.report).toLowerCase() !== '.json') {
+    throw new ValidationError(`Eval reports are JSON: ${options.report}`);
+  }
+  const items = await loadEvalSet(setPath);
+  const vocabulary = await loadVocabulary(options);
+  const normalization = { numbers: options.normalizeNumbers };
+
+  let baseline = null;
+  if (options.baseline) {
+    try {
+      baseline = await fs.readJson(options.baseline);
+    } catch (error) {
+      throw new ValidationError(`Cannot read baseline report ${options.baseline}: ${error.message}`, { cause: error });
+    }
+  }
+  const baselineFile = name => (baseline ? baseline.files.find(file => file.name === name && file.status === 'completed') : null);
+
+  console.log('Transcript Evaluation');
+  console.log('=====================');
+  console.log(`Eval set: ${setPath} (${items.length} item${items.length === 1 ? '' : 's'})`);
+  console.log(`Output directory: ${options.outputDir}`);
+  await fs.ensureDir(options.outputDir);
+
+  const results = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const result = {
+      name: item.name,
+      input: item.input ? item.input.source : null,
+      reference: item.reference,
+      hypothesis: null,
+      status: null,
+      words: null,
+      characters: null,
+      alignment: null,
+      error: null,
+    };
+    console.log(`\nEvaluating ${i+1}/${items.length}: ${item.name}`);
+
+    try {
+      const referenceText = await readTranscriptText(item.reference);
+      result.hypothesis = await getHypothesis(item, options, vocabulary);
+      const hypothesisText = await readTranscriptText(result.hypothesis, true);
+      const score = evaluateTranscript(referenceText, hypothesisText, normalization);
+      Object.assign(result, { status: 'completed', ...score });
+
+      const { words, characters } = score;
+      console.log(`✓ ${item.name}: WER ${formatRate(words.errorRate)}`
+        + ` (${words.substitutions} substituted, ${words.deletions} deleted, ${words.insertions} inserted of ${words.reference} words),`
+        + ` CER ${formatRate(characters.errorRate)}`);
+      const change = formatChange(score, baselineFile(item.name));
+      if (change) {
+        console.log(`  Change from baseline: ${change}`);
+      }
+      if (options.diff) {
+        console.log(score.alignment);
+      }
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw error;
+      }
+      console.error(`✗ Failed: ${item.name}: ${error.message}`);
+      Object.assign(result, { status: 'failed', error: error.message });
+    }
+    results.push(result);
+    emit({
+      event: 'result',
+      input: item.name,
+      status: result.status,
+      ...(result.status === 'completed'
+        ? { hypothesis: result.hypothesis, wordErrorRate: result.words.errorRate, characterErrorRate: result.characters.errorRate }
+        : { error: result.error }),
+    });
+  }
+
+  const scored = results.filter(result => result.status === 'completed');
+  const totals = {
+    files: results.length,
+    completed: scored.length,
+    failed: results.length - scored.length,
+    ...sumScores(scored),
+  };
+  console.log('\nEvaluation summary:');
+  console.log(`Files scored: ${totals.completed} of ${totals.files}`);
+  console.log(`WER: ${formatRate(totals.words.errorRate)} over ${totals.words.reference} reference words`);
+  console.log(`CER: ${formatRate(totals.characters.errorRate)} over ${totals.characters.reference} reference characters`);
+  const change = formatChange(totals, baseline && baseline.totals);
+  if (change) {
+    console.log(`Change from baseline: ${change}`);
+  }
+  emit({ event: 'summary', ...totals, wordErrorRate: totals.words.errorRate, characterErrorRate: totals.characters.errorRate });
+
+  if (options.report) {
+    // The settings identify the run when reports are compared
+    const report = {
+      createdAt: new Date().toISOString(),
+      evalSet: path.resolve(setPath),
+      settings: {
+        engine: options.engine,
+        model: options.model || (options.engine === 'openai' ? config.whisperModel : null),
+        language: options.language,
+        temperature: parseFloat(options.temperature),
+        overlap: parseFloat(options.overlap),
+        preprocess: options.preprocess || null,
+        captions: options.captions,
+        normalizeNumbers: options.normalizeNumbers,
+      },
+      ...(options.baseline && { baseline: path.resolve(options.baseline) }),
+      totals,
+      files: results,
+    };
+    await fs.ensureDir(path.dirname(path.resolve(options.report)));
+    await fs.writeJson(options.report, report, { spaces: 2 });
+    console.log(`Report written to: ${options.report}`);
+  }
+
+  if (totals.failed > 0) {
+    throw new BatchError(`${totals.failed} of ${totals.files} items failed`, { failed: totals.failed, total: totals.files });
+  }
+}
+
+module.exports = {
+  runEval
+};
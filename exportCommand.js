@@ -0,0 +1,56 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { readTranscriptDocument, transcriptFromDocument } = require('./transcriptSchema');
+const { validateOutputFormat, getFileExtension, formatTranscription } = require('./outputFormatter');
+const { emit } = require('./cliOutput');
+const { BatchError } = require('./errors');
+
+/**
+ * Renders a saved transcript document in another output format
+ * @param {string} input Transcript document, or any output saved next to one
+ * @param {string} format Output format
+ * @param {string} outputDir Directory to save to, or null for the document's directory
+ * @returns {Promise<string>} Path to the exported file
+ */
+async function exportTranscript(input, format, outputDir) {
+  const { documentPath, document } = await readTranscriptDocument(input);
+  const base = path.basename(documentPath, '.transcript.json');
+  const outputPath = path.join(outputDir || path.dirname(documentPath), `${base}.${getFileExtension(format)}`);
+  const content = formatTranscription(transcriptFromDocument(document), format, { source: document.source, outputPath });
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeFile(outputPath, content);
+  return outputPath;
+}
+
+/**
+ * Exports saved transcripts to another output format without transcribing them again
+ * @param {string[]} inputs Transcript documents, or outputs saved next to them
+ * @param {Object} options Parsed command options ({ format, outputDir })
+ */
+async function runExport(inputs, options) {
+  validateOutputFormat(options.format);
+  const outputDir = options.outputDir ? path.resolve(options.outputDir) : null;
+
+  let failed = 0;
+  for (const input of inputs) {
+    try {
+      const outputPath = await exportTranscript(input, options.format, outputDir);
+      console.log(`✓ ${input} -> ${outputPath}`);
+      emit({ event: 'result', input, status: 'completed', output: outputPath });
+    } catch (error) {
+      // A single input fails the command with its own error
+      if (inputs.length === 1) throw error;
+      failed++;
+      console.error(`✗ Failed: ${input}: ${error.message}`);
+      emit({ event: 'result', input, status: 'failed', error: error.message, code: error.code || 'ERROR' });
+    }
+  }
+
+  if (failed > 0) {
+    throw new BatchError(`${failed} of ${inputs.length} transcripts failed to export`, { failed, total: inputs.length });
+  }
+}
+
+module.exports = {
+  runExport
+};
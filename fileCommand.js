@@ -0,0 +1,459 @@
+const path = require('path');
+const fs = require('fs-extra');
+const AudioProcessor = require('./audioProcessor');
+const FolderWatcher = require('./folderWatcher');
+const { isMediaUrl, getMediaUrlName } = require('./mediaInput');
+const { parsePreprocessOptions } = require('./audioPreprocessor');
+const { writeBatchReport, validateReportPath } = require('./batchReport');
+const { getTranscriptDocumentPath } = require('./transcriptSchema');
+const { summarizeSavedTranscript, hasSummary } = require('./transcriptSummarizer');
+const { mapWithConcurrency } = require('./asyncPool');
+const { estimateAudioFile, formatEstimate } = require('./costEstimator');
+const { getResponseFormat, getFileExtension } = require('./outputFormatter');
+const {
+  validateTranscribeOptions,
+  createSpendGuard,
+  loadVocabulary,
+  createTranscriber,
+  createSummarizer,
+  getEngineDescription,
+  printDryRunSummary,
+  createProgressHandler,
+} = require('./commandOptions');
+const { emit, EXIT_CODES } = require('./cliOutput');
+const { ValidationError, SpendLimitError, BatchError, throwIfAborted } = require('./errors');
+const config = require('./config');
+
+/**
+ * Builds the processAudioFile options from the command options
+ * @param {Object} options Parsed command options
+ * @param {Object} vocabulary Glossary and correction rules ({ glossary, rules })
+ * @returns {Object} Transcription options
+ */
+function getTranscribeOptions(options, vocabulary) {
+  return {
+    language: options.language,
+    temperature: parseFloat(options.temperature),
+    // Detection needs the reported language, alignment and word timings need verbose output
+    responseFormat: options.language === 'auto' || options.wordTimestamps || (options.translate && options.withOriginal)
+      ? 'verbose_json'
+      : getResponseFormat(options.format),
+    format: options.format,
+    translate: options.translate,
+    withOriginal: options.withOriginal,
+    wordTimestamps: Boolean(options.wordTimestamps),
+    overlap: parseFloat(options.overlap),
+    concurrency: parseInt(options.concurrency),
+    preprocess: parsePreprocessOptions(options.preprocess, options.tempo),
+    keepAudio: Boolean(options.keepAudio),
+    ...vocabulary,
+  };
+}
+
+/**
+ * Estimates one file with the command options
+ * @param {Object} options Parsed command options
+ * @param {string} inputPath Audio or video file, or media URL
+ * @param {Object} engine Engine or engine description
+ * @returns {Promise<Object>} Estimate
+ */
+function estimateFile(options, inputPath, engine) {
+  return estimateAudioFile(inputPath, engine, {
+    overlap: parseFloat(options.overlap),
+    translate: options.translate,
+    withOriginal: options.withOriginal,
+    preprocess: parsePreprocessOptions(options.preprocess, options.tempo),
+  });
+}
+
+/**
+ * Names the output of an input: <name>.<ext> with --keep-filename, otherwise <name>_<timestamp>.<ext>
+ * @param {Object} options Parsed command options ({ keepFilename, format })
+ * @param {string} inputPath Input file, or the name of a media URL
+ * @param {string} outputDir Output directory
+ * @returns {string} Output path
+ */
+function getOutputPath(options, inputPath, outputDir) {
+  return options.keepFilename
+    ? path.join(outputDir, `${path.basename(inputPath, path.extname(inputPath))}.${getFileExtension(options.format)}`)
+    : AudioProcessor.generateOutputPath(inputPath, outputDir, getFileExtension(options.format));
+}
+
+/**
+ * Finds the newest output of an input; timestamped outputs of the same input sort chronologically by name
+ * @param {Object} options Parsed command options ({ keepFilename, format })
+ * @param {string} inputPath Input file
+ * @param {string} outputDir Output directory
+ * @returns {Promise<string|null>} Output path, or null when there is none
+ */
+async function findExistingOutput(options, inputPath, outputDir) {
+  const ext = getFileExtension(options.format);
+  const name = path.basename(inputPath, path.extname(inputPath));
+  if (options.keepFilename) {
+    const outputPath = path.join(outputDir, `${name}.${ext}`);
+    return await fs.pathExists(outputPath) ? outputPath : null;
+  }
+  if (!await fs.pathExists(outputDir)) {
+    return null;
+  }
+  const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escapedName}_\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z\\.${ext}$`);
+  const matches = (await fs.readdir(outputDir)).filter(file => pattern.test(file)).sort();
+  return matches.length > 0 ? path.join(outputDir, matches[matches.length - 1]) : null;
+}
+
+/**
+ * Reads the audio duration from the transcript document saved next to an output
+ * @param {string} outputPath Saved transcription
+ * @returns {Promise<number|null>} Duration in seconds, or null without a readable document
+ */
+async function readTranscriptDuration(outputPath) {
+  try {
+    return (await fs.readJson(getTranscriptDocumentPath(outputPath))).duration;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Transcribes one audio or video file, or a direct media or HLS URL
+ * @param {string} input File path or URL
+ * @param {Object} options Parsed command options: output or outputDir, keepFilename, the shared
+ *   transcription options, and signal to interrupt the run
+ * @returns {Promise<string|null>} Path to the saved transcription, or null for a dry run
+ */
+async function runFile(input, options) {
+  const url = isMediaUrl(input);
+  const inputPath = url ? input : path.resolve(input);
+  validateTranscribeOptions(options);
+  const vocabulary = await loadVocabulary(options);
+
+  if (!url && (!(await fs.pathExists(inputPath)) || (await fs.stat(inputPath)).isDirectory())) {
+    throw new ValidationError(`Input must be an audio or video file: ${input}`);
+  }
+  // URL outputs are named after the last part of the URL path
+  const outputPath = options.output
+    ? path.resolve(options.output)
+    : getOutputPath(options, url ? getMediaUrlName(inputPath) : inputPath, path.resolve(options.outputDir));
+
+  console.log('Audio Transcriber');
+  console.log('=================');
+  if (url) {
+    console.log(`Processing: ${inputPath}`);
+  } else {
+    const fileInfo = await AudioProcessor.validateAudioFile(inputPath);
+    console.log(`Processing: ${fileInfo.name}${fileInfo.extension} (${fileInfo.sizeMB} MB)`);
+  }
+
+  const guard = createSpendGuard(options);
+  if (options.dryRun) {
+    const estimate = await estimateFile(options, inputPath, getEngineDescription(options));
+    console.log(`Estimate: ${formatEstimate(estimate)}`);
+    const reason = await guard.check(estimate);
+    if (reason) console.log(`Would abort, ${reason}`);
+    emit({ event: 'result', input, status: reason ? 'over-limit' : 'estimated', estimate, ...(reason && { error: reason }) });
+    await printDryRunSummary(reason ? [] : [estimate], guard, getEngineDescription(options), 'file');
+    return null;
+  }
+
+  await AudioProcessor.ensureOutputDirectory(path.dirname(outputPath));
+
+  const transcriber = createTranscriber(options);
+  const summarizer = createSummarizer(options);
+  if (guard.active) {
+    const estimate = await estimateFile(options, inputPath, transcriber.engine);
+    console.log(`Estimate: ${formatEstimate(estimate)}`);
+    const reason = await guard.check(estimate);
+    if (reason) {
+      throw new SpendLimitError(`Not transcribing, ${reason}`);
+    }
+  }
+  const transcribeOptions = {
+    ...getTranscribeOptions(options, vocabulary),
+    summarizer,
+    signal: options.signal,
+    onProgress: createProgressHandler(guard, input),
+  };
+  const savedPath = url
+    ? await transcriber.processMediaUrl(inputPath, outputPath, transcribeOptions)
+    : await transcriber.processAudioFile(inputPath, outputPath, transcribeOptions);
+
+  console.log(`Transcription completed: ${savedPath}`);
+  emit({ event: 'result', input, status: 'completed', output: savedPath, transcript: getTranscriptDocumentPath(savedPath) });
+  return savedPath;
+}
+
+/**
+ * Transcribes every audio and video file of a directory, skipping files whose output is up to date
+ * @param {string} input Input directory
+ * @param {Object} options Parsed command options: outputDir, recursive, include, exclude, parallel,
+ *   force, report, keepFilename, the shared transcription options, and signal to interrupt the run
+ */
+async function runBatch(input, options) {
+  const inputDir = path.resolve(input);
+  const outputDir = path.resolve(options.outputDir);
+  const parallel = parseInt(options.parallel);
+  validateTranscribeOptions(options);
+  options.report.forEach(validateReportPath);
+  if (isNaN(parallel) || parallel < 1) {
+    throw new ValidationError(`Invalid --parallel: ${options.parallel}`);
+  }
+  if (isMediaUrl(input) || !(await fs.pathExists(inputDir)) || !(await fs.stat(inputDir)).isDirectory()) {
+    throw new ValidationError(`Input must be a directory: ${input}`);
+  }
+  const vocabulary = await loadVocabulary(options);
+
+  console.log('Batch Audio Transcriber');
+  console.log('=======================');
+  console.log(`Input directory: ${inputDir}`);
+  console.log(`Output directory: ${outputDir}`);
+
+  const audioFiles = await AudioProcessor.getAudioFilesFromDirectory(inputDir, {
+    recursive: options.recursive,
+    include: options.include,
+    exclude: options.exclude,
+  });
+
+  if (audioFiles.length === 0) {
+    console.log('No audio files found in the input directory');
+    emit({ event: 'summary', files: 0 });
+    return;
+  }
+
+  console.log(`Found ${audioFiles.length} audio files to process${parallel > 1 ? `, ${parallel} at a time` : ''}`);
+
+  const guard = createSpendGuard(options);
+  const transcriber = options.dryRun ? null : createTranscriber(options);
+  const summarizer = options.dryRun ? null : createSummarizer(options);
+  const engine = transcriber ? transcriber.engine : getEngineDescription(options);
+  if (transcriber) {
+    await AudioProcessor.ensureOutputDirectory(outputDir);
+  }
+  const startedAt = new Date();
+  const estimates = [];
+
+  const results = await mapWithConcurrency(audioFiles, parallel, async (inputFile, i) => {
+    const relativePath = path.relative(inputDir, inputFile);
+    // Outputs mirror the input tree
+    const fileOutputDir = path.join(outputDir, path.dirname(relativePath));
+    const result = {
+      input: relativePath,
+      output: null,
+      status: null,
+      audioDuration: null,
+      elapsed: null,
+      minutes: 0,
+      cost: 0,
+      error: null,
+    };
+    const fileStartedAt = Date.now();
+    let reservation = null;
+    console.log(`\nProcessing ${i+1}/${audioFiles.length}: ${relativePath}`);
+
+    try {
+      // Files not yet started when the run is interrupted are left alone
+      if (options.signal && options.signal.aborted) {
+        return Object.assign(result, { status: 'interrupted' });
+      }
+      await AudioProcessor.validateAudioFile(inputFile);
+
+      if (!options.force) {
+        const existing = await findExistingOutput(options, inputFile, fileOutputDir);
+        if (existing && (await fs.stat(existing)).mtimeMs >= (await fs.stat(inputFile)).mtimeMs) {
+          console.log(`Skipping ${relativePath}, up to date: ${path.relative(outputDir, existing)}`);
+          // Show notes that failed, or weren't asked for, on an earlier run are filled in
+          if (summarizer && !await hasSummary(existing)) {
+            await summarizeSavedTranscript(existing, summarizer, { signal: options.signal, onProgress: createProgressHandler(guard, relativePath) });
+          }
+          return Object.assign(result, {
+            output: path.relative(outputDir, existing),
+            status: 'up-to-date',
+            audioDuration: await readTranscriptDuration(existing),
+          });
+        }
+      }
+
+      // Files that would go over a limit are skipped so smaller ones later in the batch still run.
+      // A file's estimate stays reserved while it runs, so files running in parallel can't overshoot.
+      if (!transcriber || guard.active) {
+        const estimate = await estimateFile(options, inputFile, engine);
+        console.log(`Estimate for ${relativePath}: ${formatEstimate(estimate)}`);
+        const { reason, reservation: reserved } = await guard.tryReserve(estimate);
+        if (reason) {
+          console.log(`Skipping ${relativePath}, ${reason}`);
+          return Object.assign(result, { status: 'over-limit', audioDuration: estimate.duration, error: reason });
+        }
+        reservation = reserved;
+        if (!transcriber) {
+          // Dry runs keep their reservations as the planned total
+          reservation = null;
+          estimates.push(estimate);
+          return Object.assign(result, {
+            status: 'estimated',
+            audioDuration: estimate.duration,
+            minutes: estimate.minutes,
+            cost: estimate.cost,
+          });
+        }
+      }
+
+      const savedPath = await transcriber.processAudioFile(inputFile, getOutputPath(options, inputFile, fileOutputDir), {
+        ...getTranscribeOptions(options, vocabulary),
+        summarizer,
+        signal: options.signal,
+        onProgress: createProgressHandler(guard, relativePath, {
+          reservation,
+          onUsage: event => {
+            result.minutes = event.minutes;
+            result.cost = event.cost;
+          },
+        }),
+      });
+
+      console.log(`✓ Completed: ${path.relative(outputDir, savedPath)}`);
+      return Object.assign(result, {
+        output: path.relative(outputDir, savedPath),
+        status: 'completed',
+        audioDuration: await readTranscriptDuration(savedPath),
+      });
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        return Object.assign(result, { status: 'interrupted', error: error.message });
+      }
+      console.error(`✗ Failed: ${relativePath}: ${error.message}`);
+      return Object.assign(result, { status: 'failed', error: error.message });
+    } finally {
+      // A file that failed before its usage was recorded gives its reservation back
+      guard.release(reservation);
+      result.elapsed = (Date.now() - fileStartedAt) / 1000;
+      emit({ event: 'result', ...result });
+    }
+  });
+
+  const count = status => results.filter(r => r.status === status).length;
+  const report = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    dryRun: Boolean(options.dryRun),
+    inputDir,
+    outputDir,
+    totals: {
+      files: results.length,
+      completed: count('completed'),
+      upToDate: count('up-to-date'),
+      overLimit: count('over-limit'),
+      estimated: count('estimated'),
+      failed: count('failed'),
+      ...(count('interrupted') > 0 && { interrupted: count('interrupted') }),
+      minutes: results.reduce((total, r) => total + r.minutes, 0),
+      cost: results.reduce((total, r) => total + r.cost, 0),
+    },
+    files: results,
+  };
+  for (const reportPath of options.report) {
+    await writeBatchReport(report, path.resolve(reportPath));
+    console.log(`Report written to: ${reportPath}`);
+  }
+
+  if (!transcriber) {
+    console.log(`\nUp to date: ${count('up-to-date')}, over limit: ${count('over-limit')}, failed to estimate: ${count('failed')}`);
+    await printDryRunSummary(estimates, guard, engine, 'file');
+  } else {
+    console.log('\nBatch processing summary:');
+    console.log(`✓ Completed: ${count('completed')}`);
+    console.log(`- Up to date: ${count('up-to-date')}`);
+    console.log(`- Over limit: ${count('over-limit')}`);
+    console.log(`✗ Failed: ${count('failed')}`);
+    emit({ event: 'summary', ...report.totals });
+  }
+
+  // Reports are written first so an interrupted batch still records what it finished
+  throwIfAborted(options.signal);
+  if (count('failed') > 0) {
+    console.log('\nFailed files:');
+    results.filter(r => r.status === 'failed').forEach(r => {
+      console.log(`  - ${r.input}: ${r.error}`);
+    });
+    throw new BatchError(`${count('failed')} of ${results.length} files failed`, { failed: count('failed'), total: results.length });
+  }
+}
+
+/**
+ * Keeps watching a directory and transcribes new files as they arrive, until SIGINT or SIGTERM
+ * @param {string} input Directory to watch
+ * @param {Object} options Parsed command options: outputDir, pollInterval, stableTime, keepFilename
+ *   and the shared transcription options
+ */
+async function runWatch(input, options) {
+  const inboxDir = path.resolve(input);
+  const outputDir = path.resolve(options.outputDir);
+  validateTranscribeOptions(options);
+  if (options.dryRun) {
+    throw new ValidationError('--dry-run cannot be used with --watch');
+  }
+  if (isMediaUrl(input) || !(await fs.pathExists(inboxDir)) || !(await fs.stat(inboxDir)).isDirectory()) {
+    throw new ValidationError(`Input must be a directory: ${input}`);
+  }
+  const vocabulary = await loadVocabulary(options);
+
+  console.log('Watch Folder Transcriber');
+  console.log('========================');
+  console.log(`Output directory: ${outputDir}`);
+
+  await AudioProcessor.ensureOutputDirectory(outputDir);
+
+  const guard = createSpendGuard(options);
+  const transcriber = createTranscriber(options);
+  const summarizer = createSummarizer(options);
+  const watcher = new FolderWatcher({
+    inboxDir,
+    transcriber,
+    getOutputPath: inputPath => getOutputPath(options, inputPath, outputDir),
+    transcribeOptions: {
+      ...getTranscribeOptions(options, vocabulary),
+      summarizer,
+      onProgress: event => {
+        if (event.type === 'usage') guard.add(event);
+        emit({ event: 'progress', ...event });
+      },
+    },
+    // Files over a limit go to failed/ and can be moved back into the inbox to retry
+    checkFile: async inputPath => {
+      if (!guard.active) return;
+      const reason = await guard.check(await estimateFile(options, inputPath, transcriber.engine));
+      if (reason) {
+        throw new SpendLimitError(`Over spend limit, ${reason}`);
+      }
+    },
+    onResult: result => emit({ event: 'result', ...result }),
+    pollInterval: parseFloat(options.pollInterval),
+    stableTime: parseFloat(options.stableTime),
+  });
+
+  // Let the file being transcribed finish so it isn't left half-processed. A second Ctrl-C exits
+  // at once, through process.exit so the 'exit' handlers still remove the file's workspace.
+  let stopping = false;
+  const stop = () => {
+    if (stopping) {
+      process.exit(EXIT_CODES.interrupted);
+    }
+    stopping = true;
+    console.log('\nStopping after the current file... (press Ctrl+C again to exit now)');
+    watcher.stop();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  try {
+    await watcher.start();
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+  }
+}
+
+module.exports = {
+  runFile,
+  runBatch,
+  runWatch
+};
@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const path = require('path');
+const AudioProcessor = require('./audioProcessor');
+const TranscriptionCache = require('./transcriptionCache');
+const { summarizeSavedTranscript, hasSummary } = require('./transcriptSummarizer');
+const config = require('./config');
+
+/**
+ * Watches an inbox directory and transcribes audio files once they are fully written.
+ * Originals are moved into processed/ or failed/ subfolders, and a state file keyed by
+ * content hash keeps restarts from transcribing the same recording twice.
+ */
+class FolderWatcher {
+  /**
+   * @param {Object} options Watcher options
+   * @param {string} options.inboxDir Directory to watch
+   * @param {Transcriber} options.transcriber Transcriber used for each file
+   * @param {Function} options.getOutputPath Returns the transcript path for an input file
+   * @param {Object} options.transcribeOptions Options passed to processAudioFile
+   * @param {Function} options.checkFile Called with each file before it is transcribed; throws to fail the file
+   * @param {Function} options.onResult Called with the outcome of each file ({ input, status, output, error })
+   * @param {number} options.pollInterval Seconds between directory scans (default: config.watchPollInterval)
+   * @param {number} options.stableTime Seconds a file's size must stay unchanged before it is picked up (default: config.watchStableTime)
+   * @param {string} options.statePath State file (default: .transcriber-state.json in the inbox)
+   */
+  constructor(options) {
+    const {
+      inboxDir,
+      transcriber,
+      getOutputPath,
+      transcribeOptions = {},
+      checkFile = async () => {},
+      onResult = () => {},
+      pollInterval = config.watchPollInterval,
+      stableTime = config.watchStableTime,
+      statePath = path.join(inboxDir, '.transcriber-state.json'),
+    } = options;
+
+    this.inboxDir = inboxDir;
+    this.transcriber = transcriber;
+    this.getOutputPath = getOutputPath;
+    this.transcribeOptions = transcribeOptions;
+    this.checkFile = checkFile;
+    this.onResult = onResult;
+    this.pollInterval = pollInterval;
+    this.stableTime = stableTime;
+    this.statePath = statePath;
+    this.processedDir = path.join(inboxDir, 'processed');
+    this.failedDir = path.join(inboxDir, 'failed');
+
+    // Last seen size and modification time of files that are still being written
+    this.candidates = new Map();
+    this.state = { files: {} };
+    this.stopped = false;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  /**
+   * Watches the inbox until stop() is called
+   * @returns {Promise<void>} Resolves once the watcher has stopped
+   */
+  async start() {
+    await Promise.all([fs.ensureDir(this.processedDir), fs.ensureDir(this.failedDir)]);
+    if (await fs.pathExists(this.statePath)) {
+      this.state = await fs.readJson(this.statePath);
+    }
+
+    console.log(`Watching ${this.inboxDir} (scan every ${this.pollInterval}s, files must be unchanged for ${this.stableTime}s)`);
+
+    while (!this.stopped) {
+      try {
+        await this.scan();
+      } catch (error) {
+        console.error(`Scan failed: ${error.message}`);
+      }
+      if (!this.stopped) {
+        await new Promise(resolve => {
+          this.wake = resolve;
+          this.timer = setTimeout(resolve, this.pollInterval * 1000);
+        });
+      }
+    }
+    console.log('Stopped watching');
+  }
+
+  /**
+   * Stops watching after the file being transcribed, if any, is finished
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+
+  /**
+   * Checks the inbox once and transcribes every file that has stopped growing
+   * @returns {Promise<void>}
+   */
+  async scan() {
+    const files = await AudioProcessor.getAudioFilesFromDirectory(this.inboxDir);
+    const now = Date.now();
+
+    for (const file of files) {
+      if (this.stopped) break;
+
+      let stats;
+      try {
+        stats = await fs.stat(file);
+      } catch (error) {
+        // Removed or renamed since the directory was read
+        this.candidates.delete(file);
+        continue;
+      }
+      if (!stats.isFile()) continue;
+
+      const seen = this.candidates.get(file);
+      if (!seen || seen.size !== stats.size || seen.mtimeMs !== stats.mtimeMs) {
+        this.candidates.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, stableSince: now });
+        continue;
+      }
+      if (stats.size === 0 || now - seen.stableSince < this.stableTime * 1000) {
+        continue;
+      }
+
+      this.candidates.delete(file);
+      await this.processFile(file);
+    }
+
+    // Forget files that disappeared without being picked up
+    for (const file of this.candidates.keys()) {
+      if (!files.includes(file)) this.candidates.delete(file);
+    }
+  }
+
+  /**
+   * Transcribes one file and moves it out of the inbox
+   * @param {string} file Path to the audio file
+   * @returns {Promise<void>}
+   */
+  async processFile(file) {
+    const name = path.basename(file);
+    const hash = await TranscriptionCache.hashFile(file);
+    const previous = this.state.files[hash];
+
+    try {
+      // A file transcribed before only needs its missing show notes, but failures here are handled
+      // like transcription failures so the file doesn't stay in the inbox and get retried every poll
+      if (previous && previous.status === 'completed') {
+        console.log(`\nAlready transcribed ${name} (${previous.output}), moving it to processed/`);
+        const { summarizer } = this.transcribeOptions;
+        if (summarizer && !await hasSummary(previous.output)) {
+          await summarizeSavedTranscript(previous.output, summarizer, this.transcribeOptions);
+        }
+        await this.moveTo(file, this.processedDir);
+        this.onResult({ input: name, status: 'up-to-date', output: previous.output });
+        return;
+      }
+
+      console.log(`\nNew file: ${name}`);
+      await AudioProcessor.validateAudioFile(file);
+      await this.checkFile(file);
+      const outputPath = this.getOutputPath(file);
+      const savedPath = await this.transcriber.processAudioFile(file, outputPath, this.transcribeOptions);
+      await this.record(hash, { file: name, status: 'completed', output: savedPath });
+      await this.moveTo(file, this.processedDir);
+      console.log(`✓ Completed: ${path.basename(savedPath)}`);
+      this.onResult({ input: name, status: 'completed', output: savedPath });
+    } catch (error) {
+      console.error(`✗ Failed: ${name}: ${error.message}`);
+      await this.record(hash, { file: name, status: 'failed', error: error.message });
+      await this.moveTo(file, this.failedDir);
+      this.onResult({ input: name, status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Records the outcome for a file in the inbox state, so it isn't transcribed again
+   * @param {string} hash Content hash of the file
+   * @param {Object} entry Outcome ({ file, status, output, error })
+   * @returns {Promise<void>}
+   */
+  async record(hash, entry) {
+    this.state.files[hash] = { ...entry, updatedAt: new Date().toISOString() };
+    await fs.writeJson(this.statePath, this.state, { spaces: 2 });
+  }
+
+  /**
+   * Moves a file into a folder without overwriting an earlier file of the same name
+   * @param {string} file File to move
+   * @param {string} dir Destination folder
+   * @returns {Promise<string>} New path of the file
+   */
+  async moveTo(file, dir) {
+    const ext = path.extname(file);
+    const base = path.basename(file, ext);
+    let destination = path.join(dir, `${base}${ext}`);
+    for (let i = 1; await fs.pathExists(destination); i++) {
+      destination = path.join(dir, `${base}_${i}${ext}`);
+    }
+    await fs.move(file, destination);
+    return destination;
+  }
+}
+
+module.exports = FolderWatcher;
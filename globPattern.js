@@ -0,0 +1,56 @@
+/**
+ * Converts a glob pattern to a regular expression. Supports * (within a path segment),
+ * ** (across segments), ? and {a,b} alternatives.
+ * @param {string} pattern Glob pattern using / as the separator
+ * @returns {RegExp} Regular expression matching whole paths, ignoring case
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches no directory at all
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks a relative path against glob patterns. Patterns without a slash match the file
+ * name in any directory, like .gitignore entries.
+ * @param {string} relativePath Path relative to the searched directory
+ * @param {string[]} patterns Glob patterns
+ * @returns {boolean} True when any pattern matches
+ */
+function matchesAnyGlob(relativePath, patterns) {
+  const normalized = relativePath.split('\\').join('/');
+  const name = normalized.split('/').pop();
+  return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? normalized : name));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesAnyGlob
+};
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const config = require('./config');
+const { ValidationError } = require('./errors');
+
+/**
+ * Roughly estimates the tokens in a prompt. Names and mixed-case terms split into more
+ * tokens than plain English, so this errs on the high side.
+ * @param {string} text Prompt text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 3);
+}
+
+/**
+ * Formats glossary terms as the start of a prompt
+ * @param {string[]} terms Glossary terms
+ * @returns {string} Prompt text, empty without terms
+ */
+function formatGlossary(terms) {
+  return terms.length > 0 ? `Glossary: ${terms.join(', ')}.` : '';
+}
+
+/**
+ * Loads glossary terms from a text file with one term per line. Blank lines and lines starting with # are ignored.
+ * @param {string} filePath Glossary file
+ * @param {number} maxTokens Prompt length limit (default: config.promptMaxTokens)
+ * @returns {Promise<string[]>} Terms that fit in the prompt
+ */
+async function loadGlossary(filePath, maxTokens = config.promptMaxTokens) {
+  if (!await fs.pathExists(filePath)) {
+    throw new ValidationError(`Glossary file not found: ${filePath}`);
+  }
+  const content = await fs.readFile(filePath, 'utf8');
+  const terms = [...new Set(content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#')))];
+
+  // Terms past the limit would be cut off by the engine anyway, so they are dropped up front
+  const kept = [];
+  for (const term of terms) {
+    if (estimateTokens(formatGlossary([...kept, term])) > maxTokens) {
+      console.warn(`Warning: glossary is longer than the ${maxTokens}-token prompt limit, ignoring ${terms.length - kept.length} of ${terms.length} terms from "${term}" on`);
+      break;
+    }
+    kept.push(term);
+  }
+  return kept;
+}
+
+/**
+ * Builds the prompt for a chunk from the glossary and the end of the previous chunk's text.
+ * The glossary always comes first; the context fills whatever room is left, keeping its most recent words.
+ * @param {string[]} terms Glossary terms
+ * @param {string} context Previous chunk's text
+ * @param {number} maxTokens Prompt length limit (default: config.promptMaxTokens)
+ * @returns {string} Prompt
+ */
+function buildPrompt(terms = [], context = '', maxTokens = config.promptMaxTokens) {
+  const glossary = formatGlossary(terms);
+  if (!context) {
+    return glossary;
+  }
+
+  // Use the last ~100 words of context, fewer when the glossary leaves less room
+  const words = context.split(' ').filter(Boolean).slice(-100);
+  const build = contextWords => [glossary, `Previous context: ${contextWords.join(' ')}`].filter(Boolean).join(' ');
+  while (words.length > 0 && estimateTokens(build(words)) > maxTokens) {
+    words.shift();
+  }
+  return words.length > 0 ? build(words) : glossary;
+}
+
+module.exports = {
+  estimateTokens,
+  loadGlossary,
+  buildPrompt
+};
@@ -0,0 +1,229 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { formatClockTime } = require('./timeUtils');
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 0 auto; padding: 0 1rem 4rem; line-height: 1.6; color: #222; }
+header { position: sticky; top: 0; background: #fff; padding: 1rem 0 0.5rem; border-bottom: 1px solid #ddd; }
+h1 { font-size: 1.25rem; margin: 0 0 0.5rem; }
+audio { width: 100%; }
+.video { position: relative; padding-top: 40%; }
+.video > * { position: absolute; top: 0; left: 0; width: 100%; height: 100%; }
+label { font-size: 0.875rem; color: #555; }
+.time { color: #888; font-size: 0.875rem; text-decoration: none; margin-right: 0.25rem; }
+.cue { cursor: pointer; border-radius: 3px; }
+.cue:hover { background: #eef; }
+.cue.current { background: #ffe066; }
+`;
+
+// Keeps the player and the transcript in step; the player is filled in by the media script below it
+const SCRIPT = `
+var player = { time: function () { return 0; }, seek: function () {} };
+var cues = Array.prototype.slice.call(document.querySelectorAll('.cue'));
+var starts = cues.map(function (cue) { return parseFloat(cue.dataset.start); });
+var ends = cues.map(function (cue) { return parseFloat(cue.dataset.end); });
+var follow = document.getElementById('follow');
+var current = null;
+
+document.addEventListener('click', function (event) {
+  var target = event.target.closest('[data-start]');
+  if (!target) return;
+  event.preventDefault();
+  player.seek(parseFloat(target.dataset.start));
+});
+
+setInterval(function () {
+  var time = player.time();
+  var low = 0, high = starts.length - 1, index = -1;
+  while (low <= high) {
+    var middle = (low + high) >> 1;
+    if (starts[middle] <= time) { index = middle; low = middle + 1; } else { high = middle - 1; }
+  }
+  // Nothing is highlighted in pauses between words or after the last one
+  var cue = index >= 0 && time < ends[index] ? cues[index] : null;
+  if (cue === current) return;
+  if (current) current.classList.remove('current');
+  if (cue) {
+    cue.classList.add('current');
+    var box = cue.getBoundingClientRect();
+    if (follow.checked && (box.top < window.innerHeight * 0.3 || box.bottom > window.innerHeight)) {
+      cue.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }
+  current = cue;
+}, 100);
+`;
+
+/**
+ * Escapes text for use in HTML content and attributes
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Works out what the page plays: an audio URL, the YouTube video, the media URL or the transcribed file
+ * @param {Object} transcription Transcription result
+ * @param {Object} options Page options (see formatHtml)
+ * @returns {Object|null} Media ({ type: 'audio', src } or { type: 'youtube', videoId, start }), or null
+ */
+function getMedia(transcription, options) {
+  const { source = {}, outputPath, audioUrl } = options;
+  if (audioUrl) {
+    return { type: 'audio', src: audioUrl };
+  }
+
+  const videoId = source.videoId || transcription.videoId;
+  if (source.type === 'youtube' || videoId) {
+    const clip = source.clip || transcription.clip;
+    return { type: 'youtube', videoId, start: clip ? Math.floor(clip.start || 0) : 0 };
+  }
+  if (source.type === 'url') {
+    return { type: 'audio', src: source.url };
+  }
+  if (source.type === 'file' && source.path) {
+    // A relative link keeps working when the page and the recording are moved together
+    if (!outputPath) {
+      return { type: 'audio', src: pathToFileURL(source.path).href };
+    }
+    const relative = path.relative(path.dirname(path.resolve(outputPath)), source.path).split(path.sep);
+    return { type: 'audio', src: relative.map(encodeURIComponent).join('/') };
+  }
+  return null;
+}
+
+/**
+ * Renders the player and the script that connects it to the transcript
+ * @param {Object|null} media Media from getMedia
+ * @returns {Object} Markup for the header and the script ({ player, script })
+ */
+function renderMedia(media) {
+  if (!media) {
+    return { player: '', script: '' };
+  }
+  if (media.type === 'audio') {
+    return {
+      player: `<audio id="player" controls preload="metadata" src="${escapeHtml(media.src)}"></audio>`,
+      script: `<script>
+(function () {
+  var audio = document.getElementById('player');
+  player.time = function () { return audio.currentTime; };
+  player.seek = function (time) { audio.currentTime = time; audio.play(); };
+})();
+</script>`,
+    };
+  }
+
+  const settings = JSON.stringify({ videoId: media.videoId, start: media.start }).replace(/</g, '\\u003c');
+  return {
+    player: '<div class="video"><div id="player"></div></div>',
+    script: `<script>
+window.onYouTubeIframeAPIReady = function () {
+  var settings = ${settings};
+  var video = new YT.Player('player', { videoId: settings.videoId, playerVars: { start: settings.start } });
+  player.time = function () { return video.getCurrentTime ? video.getCurrentTime() : 0; };
+  player.seek = function (time) { video.seekTo(time, true); video.playVideo(); };
+};
+</script>
+<script src="https://www.youtube.com/iframe_api"></script>`,
+  };
+}
+
+/**
+ * Hands each word to the segment it is spoken in
+ * @param {Object[]} segments Segments with start and end
+ * @param {Object[]} words Words with start and end
+ * @returns {Object[][]} Words of each segment, in segment order
+ */
+function groupWordsBySegment(segments, words) {
+  const groups = segments.map(() => []);
+  if (segments.length === 0) {
+    return groups;
+  }
+  let index = 0;
+  for (const word of words) {
+    while (index < segments.length - 1 && word.start >= segments[index].end) {
+      index++;
+    }
+    groups[index].push(word);
+  }
+  return groups;
+}
+
+/**
+ * Renders one segment as a paragraph of clickable words, or of one clickable phrase without word timings
+ * @param {Object} segment Segment with start, end and text
+ * @param {Object[]} words The segment's words
+ * @returns {string} Paragraph markup
+ */
+function renderSegment(segment, words) {
+  const cue = (start, end, text) =>
+    `<span class="cue" data-start="${start.toFixed(2)}" data-end="${end.toFixed(2)}">${escapeHtml(text)}</span>`;
+  const content = words.length > 0
+    ? words.map(word => cue(word.start, word.end, word.word)).join(' ')
+    : cue(segment.start, segment.end, segment.text.trim());
+  return `<p><a class="time" href="#" data-start="${segment.start.toFixed(2)}">${formatClockTime(segment.start)}</a> ${content}</p>`;
+}
+
+/**
+ * Renders a transcription as a self-contained HTML page with a player. Clicking a word or
+ * timestamp seeks playback, and the word being spoken is highlighted while it plays.
+ * @param {Object} transcription Transcription result with segments, and words when word timestamps were requested
+ * @param {Object} options Page options
+ * @param {Object} options.source Source description from the transcript metadata ({ type, videoId, path, title, fileName, clip })
+ * @param {string} options.outputPath Where the page is saved, so a local recording can be linked relative to it
+ * @param {string} options.audioUrl URL of the audio to play, overriding the source
+ * @returns {string} HTML page
+ */
+function formatHtml(transcription, options = {}) {
+  const { segments } = transcription;
+  const source = options.source || {};
+  const title = source.title || source.fileName || source.videoId || transcription.videoId || 'Transcript';
+  const words = groupWordsBySegment(segments, transcription.words || []);
+
+  // Chaptered transcripts get a heading before the first segment of each chapter
+  const chapters = (transcription.chapters || []).filter(chapter => chapter.segments && chapter.segments.length > 0);
+  const headings = new Map(chapters.map(chapter => [chapter.segments[0].start, chapter]));
+  const body = segments.map((segment, index) => {
+    const chapter = headings.get(segment.start);
+    if (chapter) headings.delete(segment.start);
+    const heading = chapter
+      ? `<h2><a class="time" href="#" data-start="${chapter.start.toFixed(2)}">${formatClockTime(chapter.start)}</a> ${escapeHtml(chapter.title)}</h2>\n`
+      : '';
+    return heading + renderSegment(segment, words[index]);
+  }).join('\n');
+
+  const media = renderMedia(getMedia(transcription, options));
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(transcription.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+${media.player}
+<label><input type="checkbox" id="follow" checked> Follow playback</label>
+</header>
+<main>
+${body}
+</main>
+<script>${SCRIPT}</script>
+${media.script}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  formatHtml
+};
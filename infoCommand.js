@@ -0,0 +1,163 @@
+const path = require('path');
+const fs = require('fs-extra');
+const ytdl = require('ytdl-core');
+const AudioProcessor = require('./audioProcessor');
+const { getVideoInfo } = require('./youtubeDownloader');
+const { getCaptionTracks } = require('./youtubeCaptions');
+const { getChapters } = require('./chapters');
+const { isPlaylistUrl, isChannelUrl } = require('./youtubePlaylist');
+const { isMediaUrl } = require('./mediaInput');
+const { estimateYouTubeVideo, estimateAudioFile, formatEstimate } = require('./costEstimator');
+const { resolveTranscriptDocumentPath } = require('./transcriptSchema');
+const { getEngineDescription } = require('./commandOptions');
+const { formatClockTime } = require('./timeUtils');
+const { emit } = require('./cliOutput');
+const { ValidationError } = require('./errors');
+
+/**
+ * Describes a YouTube video: its details, caption tracks, chapters and cost estimate
+ * @param {string} url YouTube video URL
+ * @param {Object} engine Engine description used for the estimate
+ * @returns {Promise<Object>} Info
+ */
+async function getYouTubeInfo(url, engine) {
+  const info = await getVideoInfo(url);
+  const details = info.videoDetails;
+  return {
+    type: 'youtube',
+    url,
+    videoId: details.videoId,
+    title: details.title,
+    channel: details.author ? details.author.name : null,
+    publishDate: details.publishDate || null,
+    duration: parseFloat(details.lengthSeconds) || null,
+    captions: getCaptionTracks(info).map(track => ({
+      language: track.languageCode,
+      kind: track.kind === 'asr' ? 'auto-generated' : 'manual',
+      name: track.name && track.name.simpleText ? track.name.simpleText : null,
+    })),
+    chapters: getChapters(info).map(chapter => ({
+      title: chapter.title,
+      start: chapter.start,
+      end: Number.isFinite(chapter.end) ? chapter.end : null,
+    })),
+    estimate: await estimateYouTubeVideo(url, engine, { info }),
+  };
+}
+
+/**
+ * Describes a saved transcript from its transcript document
+ * @param {string} documentPath Transcript document path
+ * @returns {Promise<Object>} Info
+ */
+async function getTranscriptInfo(documentPath) {
+  const document = await fs.readJson(documentPath);
+  return {
+    type: 'transcript',
+    path: documentPath,
+    source: document.source,
+    createdAt: document.createdAt,
+    language: document.language,
+    duration: document.duration,
+    engine: document.processing.engine || document.processing.transcriptSource || null,
+    model: document.processing.model || null,
+    segments: document.segments.length,
+    words: document.text.split(/\s+/).filter(Boolean).length,
+    chapters: document.chapters ? document.chapters.length : 0,
+    translated: document.processing.task === 'translate',
+  };
+}
+
+/**
+ * Describes an audio or video file, or a media URL, with its cost estimate
+ * @param {string} input File path or URL
+ * @param {Object} engine Engine description used for the estimate
+ * @returns {Promise<Object>} Info
+ */
+async function getMediaInfo(input, engine) {
+  const url = isMediaUrl(input);
+  const estimate = await estimateAudioFile(input, engine);
+  return {
+    type: url ? 'url' : 'file',
+    path: url ? input : path.resolve(input),
+    sizeBytes: url ? null : (await fs.stat(input)).size,
+    duration: estimate.duration,
+    estimate,
+  };
+}
+
+/**
+ * Prints info as readable lines
+ * @param {Object} info Info from one of the get*Info functions
+ */
+function printInfo(info) {
+  const duration = info.duration !== null ? formatClockTime(info.duration) : 'unknown';
+  if (info.type === 'youtube') {
+    console.log(`Title: ${info.title}`);
+    console.log(`Channel: ${info.channel || 'unknown'}`);
+    console.log(`Published: ${info.publishDate || 'unknown'}`);
+    console.log(`Duration: ${duration}`);
+    console.log(`Captions: ${info.captions.length > 0
+      ? info.captions.map(track => `${track.language} (${track.kind})`).join(', ')
+      : 'none'}`);
+    console.log(`Chapters: ${info.chapters.length}`);
+    info.chapters.forEach(chapter => console.log(`  ${formatClockTime(chapter.start)} ${chapter.title}`));
+    console.log(`Estimate: ${formatEstimate(info.estimate)}`);
+  } else if (info.type === 'transcript') {
+    console.log(`Transcript: ${info.path}`);
+    console.log(`Source: ${info.source.url || info.source.path || info.source.fileName || info.source.type}`);
+    console.log(`Created: ${info.createdAt}`);
+    console.log(`Language: ${info.language}${info.translated ? ' (translation)' : ''}`);
+    console.log(`Duration: ${duration}`);
+    console.log(`Engine: ${info.engine || 'unknown'}${info.model ? ` (${info.model})` : ''}`);
+    console.log(`Segments: ${info.segments}, words: ${info.words}, chapters: ${info.chapters}`);
+  } else {
+    console.log(`${info.type === 'url' ? 'URL' : 'File'}: ${info.path}`);
+    if (info.sizeBytes !== null) {
+      console.log(`Size: ${(info.sizeBytes / 1024 / 1024).toFixed(2)} MB`);
+    }
+    console.log(`Duration: ${duration}`);
+    console.log(`Estimate: ${formatEstimate(info.estimate)}`);
+  }
+}
+
+/**
+ * Shows what an input is before transcribing it, or what a saved transcript holds
+ * @param {string} input YouTube video URL, audio or video file, media URL, or transcript
+ *   document (or any output saved next to one)
+ * @param {Object} options Parsed command options ({ engine, baseUrl })
+ * @returns {Promise<Object>} Info
+ */
+async function runInfo(input, options) {
+  const engine = getEngineDescription(options);
+  let info;
+  if (ytdl.validateURL(input)) {
+    info = await getYouTubeInfo(input, engine);
+  } else if (isPlaylistUrl(input) || isChannelUrl(input)) {
+    throw new ValidationError(`info takes a single video URL, not a playlist or channel: ${input}`);
+  } else if (isMediaUrl(input)) {
+    info = await getMediaInfo(input, engine);
+  } else {
+    if (!await fs.pathExists(input) || (await fs.stat(input)).isDirectory()) {
+      throw new ValidationError(`Input must be a YouTube URL, media URL, file or transcript: ${input}`);
+    }
+    // Recordings are described as media even when a transcript of the same name sits next to them
+    const media = AudioProcessor.supportedFormats.includes(path.extname(input).toLowerCase());
+    const documentPath = resolveTranscriptDocumentPath(input);
+    if (media) {
+      info = await getMediaInfo(input, engine);
+    } else if (await fs.pathExists(documentPath)) {
+      info = await getTranscriptInfo(documentPath);
+    } else {
+      throw new ValidationError(`Not an audio or video file, and no transcript document found next to it: ${input}`);
+    }
+  }
+
+  printInfo(info);
+  emit({ event: 'info', ...info });
+  return info;
+}
+
+module.exports = {
+  runInfo
+};
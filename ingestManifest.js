@@ -0,0 +1,53 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Records the status and outputs of every video ingested from playlists, channels and URL lists
+ */
+class IngestManifest {
+  constructor(manifestPath, data) {
+    this.manifestPath = manifestPath;
+    this.data = data;
+  }
+
+  /**
+   * Loads the manifest kept in an output directory, creating an empty one if needed
+   * @param {string} outputDir Directory the transcripts are written to
+   * @returns {Promise<IngestManifest>} Ingest manifest
+   */
+  static async load(outputDir) {
+    const manifestPath = path.join(outputDir, 'ingest-manifest.json');
+    const data = await fs.pathExists(manifestPath)
+      ? await fs.readJson(manifestPath)
+      : { videos: {} };
+    return new IngestManifest(manifestPath, data);
+  }
+
+  getVideo(videoId) {
+    return this.data.videos[videoId] || null;
+  }
+
+  /**
+   * Updates a video's entry and saves the manifest
+   * @param {Object} video Video ({ id, title, url })
+   * @param {Object} update Fields to set (status, outputs, error)
+   */
+  async updateVideo(video, update) {
+    const existing = this.data.videos[video.id] || {};
+    this.data.videos[video.id] = {
+      id: video.id,
+      title: video.title || existing.title || null,
+      url: video.url,
+      ...(video.publishDate && { publishDate: video.publishDate }),
+      status: existing.status || 'pending',
+      outputs: existing.outputs || [],
+      error: null,
+      ...update,
+      updatedAt: new Date().toISOString(),
+    };
+    await fs.ensureDir(path.dirname(this.manifestPath));
+    await fs.writeJson(this.manifestPath, this.data, { spaces: 2 });
+  }
+}
+
+module.exports = IngestManifest;
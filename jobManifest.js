@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const TranscriptionCache = require('./transcriptionCache');
+
+/**
+ * Persists the progress of a transcription job so an interrupted run can be resumed
+ */
+class JobManifest {
+  constructor(data, manifestPath) {
+    this.data = data;
+    this.manifestPath = manifestPath;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Derives a stable job id from a source URL or file path
+   * @param {string} source Job source
+   * @returns {string} Job id
+   */
+  static getJobId(source) {
+    return crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Loads the manifest for a source, or starts a new one
+   * @param {string} source Job source (YouTube URL or audio file path)
+   * @param {Object} options Transcription options the job runs with
+   * @param {string} tempDir Directory whose jobs/ subdirectory holds the manifest (default: config.tempDir)
+   * @returns {Promise<JobManifest>} Job manifest
+   */
+  static async open(source, options = {}, tempDir = config.tempDir) {
+    const jobId = JobManifest.getJobId(source);
+    const manifestPath = path.join(tempDir, 'jobs', `${jobId}.json`);
+
+    if (await fs.pathExists(manifestPath)) {
+      const manifest = new JobManifest(await fs.readJson(manifestPath), manifestPath);
+      manifest.existed = true;
+
+      // Chunk results made with different options can't be reused
+      if (JSON.stringify(manifest.data.options) !== JSON.stringify(options)) {
+        manifest.data.options = options;
+        manifest.data.chunks.forEach(chunk => {
+          chunk.status = 'pending';
+          delete chunk.result;
+        });
+      }
+      return manifest;
+    }
+
+    const now = new Date().toISOString();
+    const manifest = new JobManifest({
+      jobId,
+      source,
+      status: 'pending',
+      options,
+      workspace: null,
+      audioPath: null,
+      chunks: [],
+      output: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    }, manifestPath);
+    manifest.existed = false;
+    return manifest;
+  }
+
+  get jobId() {
+    return this.data.jobId;
+  }
+
+  get isStarted() {
+    return this.data.status !== 'pending';
+  }
+
+  get isCompleted() {
+    return this.data.status === 'completed';
+  }
+
+  save() {
+    // Chunks finishing in parallel save concurrently, so writes are queued
+    this.pendingSave = this.pendingSave.catch(() => {}).then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      await fs.ensureDir(path.dirname(this.manifestPath));
+      await fs.writeJson(this.manifestPath, this.data, { spaces: 2 });
+    });
+    return this.pendingSave;
+  }
+
+  async setStatus(status) {
+    this.data.status = status;
+    await this.save();
+  }
+
+  /**
+   * Returns the workspace a previous run kept (see --keep-audio) if it is still on disk
+   * @returns {Promise<string|null>} Workspace directory
+   */
+  async getReusableWorkspace() {
+    const { workspace } = this.data;
+    return workspace && await fs.pathExists(workspace) ? workspace : null;
+  }
+
+  async setWorkspace(dir) {
+    this.data.workspace = dir;
+    await this.save();
+  }
+
+  /**
+   * Returns the previously downloaded audio if it is still on disk
+   * @returns {Promise<string|null>} Audio file path
+   */
+  async getReusableAudio() {
+    const { audioPath } = this.data;
+    return audioPath && await fs.pathExists(audioPath) ? audioPath : null;
+  }
+
+  async setAudio(audioPath) {
+    this.data.audioPath = audioPath;
+    this.data.preprocessed = null;
+    this.data.chunks = [];
+    await this.save();
+  }
+
+  /**
+   * Returns the previously preprocessed audio if it was made with the same preprocessing and is still on disk
+   * @param {Object} preprocess Preprocessing options ({ stages, tempo })
+   * @returns {Promise<Object|null>} Preprocessed audio ({ path, timeMap })
+   */
+  async getReusablePreprocessed(preprocess) {
+    const { preprocessed } = this.data;
+    if (!preprocessed || JSON.stringify(preprocessed.preprocess) !== JSON.stringify(preprocess)
+        || !await fs.pathExists(preprocessed.path)) {
+      return null;
+    }
+    return { path: preprocessed.path, timeMap: preprocessed.timeMap };
+  }
+
+  async setPreprocessed(preprocess, result) {
+    this.data.preprocessed = { preprocess, path: result.path, timeMap: result.timeMap };
+    this.data.chunks = [];
+    await this.save();
+  }
+
+  /**
+   * Returns the previously split chunks if their files are unchanged
+   * @returns {Promise<Object[]|null>} Chunks ({ path, start, duration })
+   */
+  async getReusableChunks() {
+    const { chunks } = this.data;
+    if (chunks.length === 0) {
+      return null;
+    }
+
+    for (const chunk of chunks) {
+      if (!await fs.pathExists(chunk.path) || await TranscriptionCache.hashFile(chunk.path) !== chunk.hash) {
+        return null;
+      }
+    }
+    return chunks.map(({ path: chunkPath, start, duration }) => ({ path: chunkPath, start, duration }));
+  }
+
+  async setChunks(chunks) {
+    this.data.chunks = [];
+    for (const chunk of chunks) {
+      this.data.chunks.push({
+        ...chunk,
+        hash: await TranscriptionCache.hashFile(chunk.path),
+        status: 'pending',
+      });
+    }
+    await this.save();
+  }
+
+  getChunkResult(index) {
+    const chunk = this.data.chunks[index];
+    return chunk && chunk.status === 'completed' ? chunk.result : null;
+  }
+
+  async setChunkResult(index, result) {
+    Object.assign(this.data.chunks[index], { status: 'completed', result });
+    await this.save();
+  }
+
+  async markCompleted(outputPath) {
+    this.data.output = outputPath;
+    this.data.error = null;
+    await this.setStatus('completed');
+  }
+
+  async markFailed(error) {
+    this.data.error = error.message;
+    await this.setStatus('failed');
+  }
+}
+
+module.exports = JobManifest;
@@ -0,0 +1,295 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const Transcriber = require('./transcriber');
+const { transcribeYouTubeVideo } = require('./pipeline');
+const { estimateYouTubeVideo, estimateAudioFile } = require('./costEstimator');
+const SpendGuard = require('./spendGuard');
+const { loadGlossary } = require('./glossary');
+const { loadCorrectionRules } = require('./correctionRules');
+const config = require('./config');
+
+/**
+ * Persistent queue of transcription jobs run by a fixed number of workers.
+ * Emits 'status' (job) when a job changes state and 'progress' (job, event) while it runs.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options Queue options
+   * @param {string} options.dataDir Directory holding jobs, uploads and outputs
+   * @param {number} options.workers Number of jobs run at the same time
+   * @param {string} options.engine Transcription engine name
+   * @param {string} options.baseUrl Base URL of an OpenAI-compatible transcription server
+   * @param {boolean} options.cache Set to false to disable the transcription cache
+   * @param {string} options.glossaryFile Glossary seeded into every job's prompts (default: config.glossaryFile)
+   * @param {string} options.rulesFile Correction rules applied to every job's transcript (default: config.correctionRulesFile)
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      dataDir = config.serverDataDir,
+      workers = config.serverWorkers,
+      engine,
+      baseUrl,
+      cache,
+      glossaryFile = config.glossaryFile,
+      rulesFile = config.correctionRulesFile,
+    } = options;
+
+    this.dataDir = dataDir;
+    this.workers = Math.max(1, workers);
+    this.jobs = new Map();
+    this.running = 0;
+    this.glossaryFile = glossaryFile;
+    this.rulesFile = rulesFile;
+    this.vocabulary = { glossary: [], rules: null };
+    this.transcriber = new Transcriber({ engine, baseUrl, cache });
+    // Shared by the workers, so jobs running at the same time reserve their estimates on one guard
+    this.guard = new SpendGuard({ ledger: this.transcriber.ledger });
+    // Aborted by stop() to cancel the running jobs
+    this.controller = new AbortController();
+  }
+
+  get jobsDir() {
+    return path.join(this.dataDir, 'jobs');
+  }
+
+  get uploadsDir() {
+    return path.join(this.dataDir, 'uploads');
+  }
+
+  get outputsDir() {
+    return path.join(this.dataDir, 'outputs');
+  }
+
+  /**
+   * Loads persisted jobs and starts working on the queued ones. Jobs that were
+   * running when the server stopped are queued again.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await Promise.all([fs.ensureDir(this.jobsDir), fs.ensureDir(this.uploadsDir), fs.ensureDir(this.outputsDir)]);
+    if (this.glossaryFile) this.vocabulary.glossary = await loadGlossary(this.glossaryFile);
+    if (this.rulesFile) this.vocabulary.rules = await loadCorrectionRules(this.rulesFile);
+
+    const files = (await fs.readdir(this.jobsDir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      const job = await fs.readJson(path.join(this.jobsDir, file));
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.progress = null;
+        await this.save(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    const queued = this.list().filter(job => job.status === 'queued').length;
+    if (queued > 0) {
+      console.log(`Resuming ${queued} queued job(s)`);
+    }
+    this.next();
+  }
+
+  /**
+   * Creates an id for a new job
+   * @returns {string} Job id
+   */
+  createId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Adds a job to the queue
+   * @param {Object} spec Job specification
+   * @param {string} spec.id Job id (default: a new id)
+   * @param {string} spec.type 'youtube' or 'file'
+   * @param {string} spec.url YouTube URL for youtube jobs
+   * @param {string} spec.inputPath Uploaded audio file for file jobs
+   * @param {string} spec.filename Original name of the uploaded file
+   * @param {Object} spec.options Transcription options
+   * @returns {Promise<Object>} The queued job
+   */
+  async add(spec) {
+    const now = new Date().toISOString();
+    const job = {
+      id: spec.id || this.createId(),
+      type: spec.type,
+      ...(spec.url && { url: spec.url }),
+      ...(spec.inputPath && { inputPath: spec.inputPath, filename: spec.filename }),
+      options: spec.options || {},
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+    this.emit('status', job);
+    this.next();
+    return job;
+  }
+
+  /**
+   * Gets a job by id
+   * @param {string} id Job id
+   * @returns {Object|null} Job
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Lists all jobs, newest first
+   * @returns {Object[]} Jobs
+   */
+  list() {
+    return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Gets the path of a job's stored transcript
+   * @param {Object} job Job
+   * @returns {string} Path to the verbose JSON transcript
+   */
+  getTranscriptPath(job) {
+    return path.join(this.outputsDir, job.id, 'transcript.json');
+  }
+
+  /**
+   * Writes a job to its file under jobsDir
+   * @param {Object} job Job
+   * @returns {Promise<void>}
+   */
+  async save(job) {
+    await fs.writeJson(path.join(this.jobsDir, `${job.id}.json`), job, { spaces: 2 });
+  }
+
+  /**
+   * Moves a job to another status, saves it and emits 'status'
+   * @param {Object} job Job
+   * @param {string} status New status (queued, running, completed or failed)
+   * @param {Object} fields Other job fields to set, e.g. result or error
+   * @returns {Promise<void>}
+   */
+  async setStatus(job, status, fields = {}) {
+    Object.assign(job, fields, { status, updatedAt: new Date().toISOString() });
+    await this.save(job);
+    this.emit('status', job);
+  }
+
+  /**
+   * Starts queued jobs, oldest first, while workers are free
+   */
+  next() {
+    if (this.controller.signal.aborted) {
+      return;
+    }
+    const queued = this.list().filter(job => job.status === 'queued').reverse();
+    while (this.running < this.workers && queued.length > 0) {
+      const job = queued.shift();
+      this.running++;
+      this.run(job)
+        .catch(error => console.error(`Job ${job.id} could not be updated: ${error.message}`))
+        .finally(() => {
+          this.running--;
+          if (this.running === 0) this.emit('idle');
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * Transcribes a job and records its result. Failures are recorded on the job rather than thrown.
+   * @param {Object} job Job to run
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    console.log(`Starting job ${job.id} (${job.type})`);
+    await this.setStatus(job, 'running', { error: null });
+
+    let reservation = null;
+    const onProgress = event => {
+      if (event.type === 'usage') {
+        this.guard.settle(reservation, event);
+      }
+      job.progress = event;
+      job.updatedAt = new Date().toISOString();
+      this.emit('progress', job, event);
+    };
+
+    const outputPath = this.getTranscriptPath(job);
+    try {
+      // Jobs that would go over the monthly budget fail before anything is sent to the engine;
+      // the others hold their estimate until their usage is recorded
+      if (this.guard.active) {
+        const estimate = job.type === 'youtube'
+          ? await estimateYouTubeVideo(job.url, this.transcriber.engine, job.options)
+          : await estimateAudioFile(job.inputPath, this.transcriber.engine, job.options);
+        const reserved = await this.guard.tryReserve(estimate);
+        if (reserved.reason) {
+          throw new Error(`Over spend limit, ${reserved.reason}`);
+        }
+        reservation = reserved.reservation;
+      }
+
+      // Transcripts are stored as verbose JSON so they can be rendered in any format later
+      if (job.type === 'youtube') {
+        await transcribeYouTubeVideo(job.url, this.transcriber, {
+          ...job.options,
+          ...this.vocabulary,
+          outputPath,
+          format: 'verbose_json',
+          signal: this.controller.signal,
+          onProgress,
+        });
+      } else {
+        await this.transcriber.processAudioFile(job.inputPath, outputPath, {
+          ...job.options,
+          ...this.vocabulary,
+          format: 'verbose_json',
+          responseFormat: 'verbose_json',
+          signal: this.controller.signal,
+          onProgress,
+        });
+      }
+
+      const transcription = await fs.readJson(outputPath);
+      await this.setStatus(job, 'completed', {
+        result: {
+          text: transcription.text,
+          language: transcription.language || job.options.language || null,
+          duration: transcription.duration || null,
+          source: transcription.source || 'whisper',
+        },
+      });
+      console.log(`Job ${job.id} completed`);
+    } catch (error) {
+      if (this.controller.signal.aborted) {
+        console.log(`Job ${job.id} stopped, it will run again when the server restarts`);
+        await this.setStatus(job, 'queued', { progress: null });
+        return;
+      }
+      console.error(`Job ${job.id} failed: ${error.message}`);
+      await this.setStatus(job, 'failed', { error: error.message });
+    } finally {
+      this.guard.release(reservation);
+    }
+  }
+
+  /**
+   * Stops starting jobs and aborts the running ones, which are queued again
+   * @returns {Promise<void>} Resolves once no job is running
+   */
+  async stop() {
+    this.controller.abort();
+    while (this.running > 0) {
+      await new Promise(resolve => this.once('idle', resolve));
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,189 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ytdl = require('ytdl-core');
+const config = require('./config');
+const Transcriber = require('./transcriber');
+const AudioProcessor = require('./audioProcessor');
+const { transcribeYouTubeVideo } = require('./pipeline');
+const { isMediaUrl, getMediaUrlName } = require('./mediaInput');
+const { validateOutputFormat, getResponseFormat, getFileExtension } = require('./outputFormatter');
+const { parsePreprocessOptions } = require('./audioPreprocessor');
+const { getTranscriptDocumentPath } = require('./transcriptSchema');
+const { Summarizer, summarizeTranscriptFile } = require('./transcriptSummarizer');
+const { loadGlossary } = require('./glossary');
+const { loadCorrectionRules } = require('./correctionRules');
+const {
+  TranscriberError,
+  ValidationError,
+  DownloadError,
+  AudioError,
+  SplitError,
+  ApiError,
+  SpendLimitError,
+  BatchError,
+  AbortError,
+  throwIfAborted,
+} = require('./errors');
+
+/**
+ * Builds the transcriber options from library options; anything not given falls back to config
+ * @param {Object} options Library options
+ * @returns {Object} Transcriber options
+ */
+function getTranscriberOptions(options) {
+  return {
+    engine: options.engine,
+    apiKey: options.apiKey,
+    baseUrl: options.baseUrl,
+    model: options.model,
+    serverUrl: options.serverUrl,
+    command: options.command,
+    commandModel: options.commandModel,
+    cache: options.cache,
+    cacheDir: options.cacheDir,
+    tempDir: options.tempDir,
+    ledgerPath: options.ledgerPath,
+  };
+}
+
+/**
+ * Resolves the glossary and correction rules, given inline or as files
+ * @param {Object} options Library options (glossary, glossaryFile, rules, rulesFile)
+ * @returns {Promise<Object>} Vocabulary ({ glossary, rules })
+ */
+async function getVocabulary(options) {
+  return {
+    glossary: options.glossary || (options.glossaryFile ? await loadGlossary(options.glossaryFile) : []),
+    rules: options.rules || (options.rulesFile ? await loadCorrectionRules(options.rulesFile) : null),
+  };
+}
+
+/**
+ * Reads the transcript document written next to a saved transcription
+ * @param {string} outputPath Path of the saved transcription
+ * @returns {Promise<Object>} Result ({ outputPath, transcript })
+ */
+async function getResult(outputPath) {
+  return { outputPath, transcript: await fs.readJson(getTranscriptDocumentPath(outputPath)) };
+}
+
+/**
+ * Transcribes a YouTube video. Nothing is read from the command line and nothing exits the
+ * process: failures are thrown as the error classes exported alongside this function.
+ * @param {string} url YouTube video URL
+ * @param {Object} options Transcription options: the pipeline options of transcribeYouTubeVideo (language,
+ *   translate, captions, chapters, concurrency, ...) and
+ * @param {string} options.engine Transcription engine (openai, whisper-server or command)
+ * @param {string} options.apiKey OpenAI API key
+ * @param {string} options.baseUrl Base URL of an OpenAI-compatible server
+ * @param {string} options.model Model name for the openai engine
+ * @param {string} options.serverUrl whisper.cpp server URL
+ * @param {string} options.command whisper.cpp executable for the command engine
+ * @param {string} options.commandModel whisper.cpp model file for the command engine
+ * @param {boolean} options.cache Whether to use the transcription cache (default: true)
+ * @param {string} options.cacheDir Transcription cache directory
+ * @param {string} options.tempDir Directory for job workspaces (downloads and chunks) and job manifests
+ * @param {boolean} options.keepAudio Keep the job's workspace instead of deleting it when the job ends
+ * @param {string} options.ledgerPath Usage ledger file
+ * @param {string} options.outputPath Path to save the transcription (default: <videoId>.<ext> in outputDir)
+ * @param {string} options.outputDir Directory for the default output path (default: config.outputDir)
+ * @param {string} options.format Output format (default: txt)
+ * @param {Object} options.clip Section of the video to transcribe ({ start, end }) in seconds
+ * @param {string|string[]} options.preprocess Preprocessing stages, e.g. "mono,trim"
+ * @param {number} options.tempo Speed-up factor of the tempo stage
+ * @param {string[]} options.glossary Terms seeded into every prompt (or glossaryFile to load them)
+ * @param {Object[]} options.rules Correction rules from loadCorrectionRules (or rulesFile to load them)
+ * @param {Summarizer} options.summarizer Also writes show notes (<name>.summary.md and .summary.json) next to the output
+ * @param {AbortSignal} options.signal Cancels the transcription with an AbortError
+ * @param {Function} options.onProgress Called with progress events ({ type, ... })
+ * @returns {Promise<Object>} Saved transcription ({ outputPath, transcript }) with its transcript document
+ */
+async function transcribeYouTube(url, options = {}) {
+  const { format = 'txt', clip = null, signal } = options;
+  if (!ytdl.validateURL(url)) {
+    throw new ValidationError(`Invalid YouTube URL: ${url}`);
+  }
+  validateOutputFormat(format);
+  if (clip && clip.end !== undefined && clip.end <= (clip.start || 0)) {
+    throw new ValidationError('Clip end must be after its start');
+  }
+  throwIfAborted(signal);
+
+  const clipSuffix = clip ? `_${Math.floor(clip.start || 0)}-${clip.end !== undefined ? Math.floor(clip.end) : 'end'}` : '';
+  const outputPath = options.outputPath || path.join(
+    options.outputDir || config.outputDir,
+    `${ytdl.getVideoID(url)}${clipSuffix}.${getFileExtension(format)}`
+  );
+  const transcriber = new Transcriber(getTranscriberOptions(options));
+  const savedPath = await transcribeYouTubeVideo(url, transcriber, {
+    ...options,
+    ...await getVocabulary(options),
+    format,
+    outputPath,
+    preprocess: parsePreprocessOptions(options.preprocess, options.tempo),
+  });
+  return getResult(savedPath);
+}
+
+/**
+ * Transcribes a local audio or video file, or a direct media or HLS URL. Like transcribeYouTube,
+ * it takes all configuration as options and reports failures as typed errors.
+ * @param {string} input Audio or video file path, or media URL
+ * @param {Object} options Transcription options: the engine, cache, tempDir, keepAudio, ledgerPath, preprocess,
+ *   vocabulary, summarizer, signal and onProgress options of transcribeYouTube, and
+ * @param {string} options.outputPath Path to save the transcription (default: <name>.<ext> in outputDir)
+ * @param {string} options.outputDir Directory for the default output path (default: config.outputDir)
+ * @param {string} options.format Output format (default: txt)
+ * @param {string} options.language Language code, or "auto" to detect it
+ * @param {number} options.temperature Sampling temperature
+ * @param {boolean} options.translate Produce an English translation instead of a transcript
+ * @param {boolean} options.withOriginal With translate, also save the original-language transcript
+ * @param {boolean} options.wordTimestamps Request word timings
+ * @param {number} options.overlap Seconds of audio shared between consecutive chunks
+ * @param {number} options.concurrency Number of chunks transcribed in parallel
+ * @returns {Promise<Object>} Saved transcription ({ outputPath, transcript }) with its transcript document
+ */
+async function transcribeFile(input, options = {}) {
+  const { format = 'txt', language = config.defaultLanguage, signal } = options;
+  const url = isMediaUrl(input);
+  if (!url) {
+    await AudioProcessor.validateAudioFile(input);
+  }
+  validateOutputFormat(format);
+  throwIfAborted(signal);
+
+  const name = url ? getMediaUrlName(input) : path.basename(input, path.extname(input));
+  const outputPath = options.outputPath || path.join(options.outputDir || config.outputDir, `${name}.${getFileExtension(format)}`);
+  const transcribeOptions = {
+    ...options,
+    ...await getVocabulary(options),
+    format,
+    language,
+    // Detection needs the reported language, alignment and word timings need verbose output
+    responseFormat: language === 'auto' || options.wordTimestamps || (options.translate && options.withOriginal)
+      ? 'verbose_json'
+      : getResponseFormat(format),
+    preprocess: parsePreprocessOptions(options.preprocess, options.tempo),
+  };
+  const transcriber = new Transcriber(getTranscriberOptions(options));
+  const savedPath = url
+    ? await transcriber.processMediaUrl(input, outputPath, transcribeOptions)
+    : await transcriber.processAudioFile(input, outputPath, transcribeOptions);
+  return getResult(savedPath);
+}
+
+module.exports = {
+  transcribeYouTube,
+  transcribeFile,
+  Summarizer,
+  summarizeTranscriptFile,
+  TranscriberError,
+  ValidationError,
+  DownloadError,
+  AudioError,
+  SplitError,
+  ApiError,
+  SpendLimitError,
+  BatchError,
+  AbortError
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const m3u8stream = require('m3u8stream');
+const miniget = require('miniget');
+const config = require('./config');
+const { DownloadError, AudioError, AbortError, onAbort } = require('./errors');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+/**
+ * Checks whether an input is an HTTP(S) URL rather than a local path
+ * @param {string} input Input path or URL
+ * @returns {boolean} True for http:// and https:// URLs
+ */
+function isMediaUrl(input) {
+  return /^https?:\/\//i.test(String(input));
+}
+
+/**
+ * Checks whether a URL points to an HLS playlist
+ * @param {string} url Media URL
+ * @returns {boolean} True when the URL path ends in .m3u8
+ */
+function isHlsUrl(url) {
+  return new URL(url).pathname.toLowerCase().endsWith('.m3u8');
+}
+
+/**
+ * Gets a file name for a media URL's outputs from the last part of its path
+ * @param {string} url Media URL
+ * @returns {string} Name without extension (e.g. "webinar" for https://host/media/webinar.mp4?token=1)
+ */
+function getMediaUrlName(url) {
+  const { pathname, hostname } = new URL(url);
+  let name = path.posix.basename(pathname, path.posix.extname(pathname));
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep malformed escapes as they are
+  }
+  return (name || hostname).replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Builds a temporary file path that stays unique for each source, so parallel jobs don't collide
+ * @param {string} source Input path or URL
+ * @param {string} name Readable part of the name
+ * @param {string} suffix Name suffix including the extension
+ * @param {string} tempDir Directory for the file (default: config.tempDir)
+ * @returns {string} Path in the temp directory
+ */
+function getTempPath(source, name, suffix, tempDir = config.tempDir) {
+  const sourceId = crypto.createHash('md5').update(source).digest('hex').slice(0, 8);
+  return path.join(tempDir, `${name}_${sourceId}_${suffix}`);
+}
+
+/**
+ * Reports download progress at most once per percent, or per megabyte when the size is unknown
+ * @param {Function} onProgress Called with { type: 'download', status: 'progress', downloaded, total }
+ * @returns {Function} Called with the bytes downloaded so far and the total (or null)
+ */
+function createDownloadReporter(onProgress) {
+  let reported = -1;
+  return (downloaded, total) => {
+    const step = total ? Math.floor((downloaded / total) * 100) : Math.floor(downloaded / (1024 * 1024));
+    if (step > reported) {
+      reported = step;
+      onProgress({ type: 'download', status: 'progress', downloaded, total: total || null });
+    }
+  };
+}
+
+/**
+ * Extracts the audio track of a video (or any media file ffmpeg reads) into a 128 kbps MP3
+ * @param {string} inputPath Video or media file
+ * @param {Object} options Extraction options
+ * @param {string} options.outputPath Path of the MP3 (default: <name>_<path hash>_audio.mp3 in the temp directory)
+ * @param {string} options.tempDir Temp directory (default: config.tempDir)
+ * @param {AbortSignal} options.signal Stops the extraction when aborted
+ * @returns {Promise<string>} Path to the extracted audio
+ */
+async function extractAudioTrack(inputPath, options = {}) {
+  const name = path.basename(inputPath, path.extname(inputPath));
+  const outputPath = options.outputPath || getTempPath(path.resolve(inputPath), name, 'audio.mp3', options.tempDir);
+  await fs.ensureDir(path.dirname(outputPath));
+
+  console.log(`Extracting audio track: ${path.basename(inputPath)}`);
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .noVideo()
+      .audioCodec('libmp3lame')
+      .audioBitrate(128)
+      .output(outputPath);
+    const stopListening = onAbort(options.signal, () => {
+      command.kill('SIGKILL');
+      reject(new AbortError());
+    });
+    command
+      .on('end', () => {
+        stopListening();
+        resolve();
+      })
+      .on('error', err => {
+        stopListening();
+        reject(new AudioError(`Audio extraction failed: ${err.message}`, { cause: err }));
+      })
+      .run();
+  }).catch(async error => {
+    await fs.remove(outputPath);
+    throw error;
+  });
+
+  const stats = await fs.stat(outputPath);
+  console.log(`Extracted audio: ${(stats.size / (1024 * 1024)).toFixed(2)} MB`);
+  return outputPath;
+}
+
+/**
+ * Downloads a direct media URL, or every segment of an HLS playlist, to a local file.
+ * The file is downloaded in full first because containers such as MP4 can't always be read from a stream.
+ * @param {string} url Media or .m3u8 playlist URL
+ * @param {Object} options Download options
+ * @param {string} options.outputPath Path of the download (default: <name>_<url hash>_download<ext> in the temp directory)
+ * @param {string} options.tempDir Temp directory (default: config.tempDir)
+ * @param {AbortSignal} options.signal Stops the download when aborted
+ * @param {Function} options.onProgress Called with { type: 'download', status: 'progress', downloaded, total } events
+ * @returns {Promise<string>} Path to the downloaded file
+ */
+async function downloadMedia(url, options = {}) {
+  const { signal, onProgress = () => {} } = options;
+  const hls = isHlsUrl(url);
+  // HLS segments are MPEG transport streams, written one after another
+  const ext = hls ? '.ts' : path.posix.extname(new URL(url).pathname) || '.media';
+  const outputPath = options.outputPath || getTempPath(url, getMediaUrlName(url), `download${ext}`, options.tempDir);
+  await fs.ensureDir(path.dirname(outputPath));
+
+  console.log(`Downloading${hls ? ' HLS stream' : ''}: ${url}`);
+  const stream = hls ? m3u8stream(url) : miniget(url);
+  const reportDownload = createDownloadReporter(onProgress);
+  let downloaded = 0;
+  let total = null;
+  if (hls) {
+    // A playlist's size isn't known up front, only its segment count
+    let reported = 0;
+    stream.on('progress', (segment, totalSegments) => {
+      const percent = Math.floor((segment.num / totalSegments) * 100);
+      if (percent >= reported + 10) {
+        reported = percent - (percent % 10);
+        console.log(`Downloaded ${segment.num}/${totalSegments} segments`);
+      }
+    });
+  } else {
+    stream.on('response', response => {
+      total = parseInt(response.headers['content-length'], 10) || null;
+    });
+  }
+  stream.on('data', chunk => {
+    downloaded += chunk.length;
+    reportDownload(downloaded, total);
+  });
+
+  try {
+    await pipeline(stream, fs.createWriteStream(outputPath), { signal });
+  } catch (error) {
+    await fs.remove(outputPath);
+    if (signal && signal.aborted) {
+      throw new AbortError();
+    }
+    throw new DownloadError(`Media download failed: ${error.message}`, { cause: error });
+  }
+
+  const stats = await fs.stat(outputPath);
+  if (stats.size === 0) {
+    await fs.remove(outputPath);
+    throw new DownloadError(`Media download failed: ${url} returned no data`);
+  }
+  console.log(`Download complete: ${(stats.size / (1024 * 1024)).toFixed(2)} MB`);
+  return outputPath;
+}
+
+module.exports = {
+  isMediaUrl,
+  isHlsUrl,
+  getMediaUrlName,
+  createDownloadReporter,
+  extractAudioTrack,
+  downloadMedia
+};
@@ -0,0 +1,115 @@
+const { formatTimestamp } = require('./timeUtils');
+const { formatChapteredText } = require('./chapters');
+const { formatHtml } = require('./htmlTranscript');
+const { ValidationError } = require('./errors');
+
+// Output formats accepted by the CLIs via --format
+const supportedOutputFormats = ['txt', 'json', 'verbose_json', 'srt', 'vtt', 'html'];
+
+// Formats that need segment timings from the API
+const timedFormats = ['verbose_json', 'srt', 'vtt', 'html'];
+
+/**
+ * Validates an output format name
+ * @param {string} format Output format
+ * @returns {string} The validated format
+ */
+function validateOutputFormat(format) {
+  if (!supportedOutputFormats.includes(format)) {
+    throw new ValidationError(`Unsupported output format: ${format}. Supported formats: ${supportedOutputFormats.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Returns the Whisper API response format needed to produce an output format
+ * @param {string} format Output format
+ * @returns {string} API response format
+ */
+function getResponseFormat(format) {
+  return timedFormats.includes(format) ? 'verbose_json' : 'json';
+}
+
+/**
+ * Returns the file extension used for an output format
+ * @param {string} format Output format
+ * @returns {string} File extension without the leading dot
+ */
+function getFileExtension(format) {
+  return format === 'verbose_json' ? 'json' : format;
+}
+
+/**
+ * Returns the segments of a transcription, failing if it has no timings
+ * @param {Object} transcription Transcription result
+ * @returns {Object[]} Segments with start, end and text
+ */
+function requireSegments(transcription) {
+  if (!Array.isArray(transcription.segments)) {
+    throw new ValidationError('Transcription has no segment timings; transcribe with responseFormat "verbose_json"');
+  }
+  return transcription.segments;
+}
+
+/**
+ * Formats segments as SubRip (SRT) subtitles
+ * @param {Object[]} segments Segments with start, end and text
+ * @returns {string} SRT file content
+ */
+function formatSrt(segments) {
+  return segments
+    .map((segment, index) => [
+      index + 1,
+      `${formatTimestamp(segment.start)} --> ${formatTimestamp(segment.end)}`,
+      segment.text.trim(),
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Formats segments as WebVTT subtitles
+ * @param {Object[]} segments Segments with start, end and text
+ * @returns {string} WebVTT file content
+ */
+function formatVtt(segments) {
+  const cues = segments.map(segment => [
+    `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+    segment.text.trim(),
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Renders a transcription in the requested output format
+ * @param {Object} transcription Transcription result
+ * @param {string} format Output format
+ * @param {Object} options Page options for the html format ({ source, outputPath, audioUrl }, see formatHtml)
+ * @returns {string} File content
+ */
+function formatTranscription(transcription, format = 'txt', options = {}) {
+  switch (validateOutputFormat(format)) {
+    case 'html':
+      requireSegments(transcription);
+      return formatHtml(transcription, options);
+    case 'srt':
+      return formatSrt(requireSegments(transcription));
+    case 'vtt':
+      return formatVtt(requireSegments(transcription));
+    case 'json':
+    case 'verbose_json':
+      return JSON.stringify(transcription, null, 2);
+    default:
+      return transcription.chapters ? formatChapteredText(transcription.chapters) : transcription.text;
+  }
+}
+
+module.exports = {
+  supportedOutputFormats,
+  validateOutputFormat,
+  getResponseFormat,
+  getFileExtension,
+  formatSrt,
+  formatVtt,
+  formatTranscription
+};
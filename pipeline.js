@@ -0,0 +1,367 @@
+const { getVideoInfo, downloadAndExtractAudio, splitAudioIfNeeded, splitAudioByChapters } = require('./youtubeDownloader');
+const { getCaptionTranscript } = require('./youtubeCaptions');
+const { getChapters, clipChapters, assignSegmentsToChapters } = require('./chapters');
+const { shiftSegments } = require('./transcriptMerger');
+const { getResponseFormat } = require('./outputFormatter');
+const { alignTranslation, getOriginalTranscription, getOriginalOutputPath } = require('./translation');
+const { preprocessAudio, mapToOriginalTime, toProcessedTime } = require('./audioPreprocessor');
+const { correctTranscription } = require('./correctionRules');
+const JobManifest = require('./jobManifest');
+const { Workspace } = require('./workspace');
+const { summarizeSavedTranscript } = require('./transcriptSummarizer');
+const { getPricePerMinute } = require('./costEstimator');
+const config = require('./config');
+const { TranscriberError, ValidationError, throwIfAborted } = require('./errors');
+
+/**
+ * Transcribes a video's audio chunks, reusing and recording results in the job manifest when given
+ * @param {Transcriber} transcriber Transcriber to use
+ * @param {Object[]} chunks Audio chunks ({ path, start, duration })
+ * @param {Object} options Transcription options, including concurrency and onProgress
+ * @param {JobManifest} manifest Job manifest, or null
+ * @returns {Promise<Object>} Transcription result in audio time
+ */
+async function transcribeAudioChunks(transcriber, chunks, options, manifest = null) {
+  if (chunks.length > 1) {
+    return transcriber.transcribeChunks(chunks, { ...options, manifest });
+  }
+
+  let result = manifest && manifest.getChunkResult(0);
+  if (!result) {
+    result = await transcriber.transcribeAudio(chunks[0].path, options);
+    if (manifest) {
+      await manifest.setChunkResult(0, result);
+    }
+  }
+  if (options.onProgress) {
+    options.onProgress({ type: 'chunk', index: 1, completed: 1, total: 1 });
+  }
+  return result;
+}
+
+/**
+ * Records a finished video in the usage ledger and reports its usage
+ * @param {Transcriber} transcriber Transcriber whose ledger records it
+ * @param {Object} engine Engine that transcribed it, or null for captions
+ * @param {Object} entry Ledger entry fields ({ source, task, transcriptSource })
+ * @param {number} seconds Billed audio seconds
+ * @param {Function} onProgress Progress callback
+ */
+async function recordUsage(transcriber, engine, entry, seconds, onProgress) {
+  const minutes = seconds / 60;
+  const recorded = await transcriber.ledger.record({
+    type: 'youtube',
+    ...entry,
+    engine: engine ? engine.name : null,
+    model: engine ? engine.model || null : null,
+    minutes,
+    cost: engine ? minutes * getPricePerMinute(engine) : 0,
+  });
+  onProgress({ type: 'usage', minutes: recorded.minutes, cost: recorded.cost });
+}
+
+/**
+ * Downloads, splits and transcribes one YouTube video, resuming an interrupted job for it if there is one
+ * @param {string} url YouTube video URL
+ * @param {Transcriber} transcriber Transcriber to use
+ * @param {Object} options Pipeline options
+ * @param {string} options.outputPath Path to save the transcription
+ * @param {string} options.format Output format
+ * @param {string} options.language Language code, or "auto" to detect it
+ * @param {boolean} options.translate Produce an English translation instead of a transcript
+ * @param {boolean} options.withOriginal With translate, also save the original-language transcript with aligned segments
+ * @param {number} options.temperature Sampling temperature
+ * @param {number} options.overlap Seconds of audio shared between consecutive chunks
+ * @param {number} options.concurrency Number of chunks transcribed in parallel
+ * @param {string} options.captions Caption mode (prefer, only or never)
+ * @param {boolean} options.chapters Group the transcript under the video's chapters
+ * @param {boolean} options.splitByChapters Cut the audio along chapter boundaries
+ * @param {boolean} options.resume Fail unless there is an interrupted job to resume
+ * @param {boolean} options.keepAudio Keep the job's workspace with the downloaded audio and chunks, also when it fails
+ * @param {Object} options.clip Section of the video to transcribe ({ start, end }) in seconds
+ * @param {Object} options.preprocess Preprocessing applied before upload ({ stages, tempo }), or null
+ * @param {string[]} options.glossary Terms seeded into every chunk's prompt
+ * @param {boolean} options.wordTimestamps Request word timings
+ * @param {Object[]} options.rules Correction rules applied to the transcript, from loadCorrectionRules
+ * @param {Object} options.info Video info already fetched with getVideoInfo, e.g. for an estimate
+ * @param {Summarizer} options.summarizer Also save show notes next to the transcript (see transcriptSummarizer.js)
+ * @param {string} options.tempDir Directory for the job's workspace and manifest (default: config.tempDir)
+ * @param {AbortSignal} options.signal Cancels the job; it fails with an AbortError and can be resumed later
+ * @param {Function} options.onProgress Called with progress events ({ type, ... })
+ * @returns {Promise<string>} Path to the saved transcription
+ */
+async function transcribeYouTubeVideo(url, transcriber, options = {}) {
+  const {
+    outputPath,
+    format = 'txt',
+    language = config.defaultLanguage,
+    temperature = 0,
+    overlap = config.chunkOverlap,
+    concurrency = config.concurrency,
+    captions = 'never',
+    translate = false,
+    withOriginal = false,
+    resume = false,
+    keepAudio = false,
+    clip = null,
+    preprocess = null,
+    glossary = [],
+    rules = null,
+    wordTimestamps = false,
+    tempDir = config.tempDir,
+    signal,
+    onProgress = () => {},
+  } = options;
+  const useChapters = options.chapters || options.splitByChapters;
+  const clipStart = clip ? clip.start || 0 : 0;
+  
+  // Info is shared by captions, chapters, the download and the transcript document
+  const info = options.info || await getVideoInfo(url);
+  throwIfAborted(signal);
+  const details = info.videoDetails;
+  const source = {
+    type: 'youtube',
+    url,
+    videoId: details.videoId,
+    title: details.title || null,
+    channel: (details.author && details.author.name) || details.ownerChannelName || null,
+    publishDate: details.publishDate || details.uploadDate || null,
+    duration: parseFloat(details.lengthSeconds) || null,
+    clip: clip ? { start: clipStart, end: clip.end !== undefined ? clip.end : null } : null,
+  };
+  let chapters = [];
+  if (useChapters) {
+    chapters = getChapters(info);
+    if (clip) {
+      chapters = clipChapters(chapters, clipStart, clip.end);
+    }
+    console.log(chapters.length > 0
+      ? `Found ${chapters.length} chapters`
+      : 'Video has no chapters, transcript will not be grouped');
+  }
+  
+  // Use the video's own captions when there are any in the requested language
+  if (captions !== 'never' && translate) {
+    if (captions === 'only') {
+      throw new ValidationError('Captions cannot be used to translate, use --captions never or prefer');
+    }
+    console.log('Captions are not used when translating, transcribing with Whisper');
+  } else if (captions !== 'never') {
+    const captionTranscript = await getCaptionTranscript(info, language);
+    if (captionTranscript && clip) {
+      captionTranscript.segments = captionTranscript.segments.filter(segment =>
+        segment.start >= clipStart && (clip.end === undefined || segment.start < clip.end)
+      );
+      captionTranscript.text = captionTranscript.segments.map(segment => segment.text).join(' ');
+      captionTranscript.clip = clip;
+    }
+    if (captionTranscript) {
+      captionTranscript.videoId = details.videoId;
+      if (chapters.length > 0) {
+        captionTranscript.chapters = assignSegmentsToChapters(captionTranscript, chapters);
+      }
+      const corrected = await correctTranscription(captionTranscript, rules, outputPath);
+      const savedPath = await transcriber.saveTranscription(corrected, outputPath, format, {
+        source,
+        processing: {
+          transcriptSource: 'youtube-captions',
+          engine: null,
+          model: null,
+          captionKind: captionTranscript.captionKind,
+          language,
+          temperature: null,
+          responseFormat: null,
+          overlap: 0,
+        },
+      });
+      console.log(`Captions saved to: ${savedPath}`);
+      onProgress({ type: 'saved', path: savedPath, source: 'youtube-captions' });
+      await recordUsage(transcriber, null, { source: url, task: 'transcribe', transcriptSource: 'youtube-captions' }, 0, onProgress);
+      if (options.summarizer) {
+        await summarizeSavedTranscript(savedPath, options.summarizer, { signal, onProgress });
+      }
+      return savedPath;
+    }
+    if (captions === 'only') {
+      throw new TranscriberError(`No "${language}" captions available for ${url}`);
+    }
+    console.log(`No "${language}" captions available, falling back to Whisper`);
+  }
+  
+  const transcribeOptions = {
+    language: language,
+    temperature: temperature,
+    // Chapters, translation alignment and word timings need verbose output, and detection
+    // needs the reported language, whatever the output format
+    responseFormat: useChapters || wordTimestamps || language === 'auto' || (translate && withOriginal)
+      ? 'verbose_json'
+      : getResponseFormat(format),
+    // The translation is only the primary result when the original isn't kept
+    translate: translate && !withOriginal,
+    ...(glossary.length > 0 && { glossary }),
+    ...(wordTimestamps && { wordTimestamps }),
+  };
+  
+  // Pick up where a previous run for this URL (and section) left off
+  const jobSource = clip ? `${url}#t=${clipStart}-${clip.end !== undefined ? clip.end : ''}` : url;
+  const manifest = await JobManifest.open(jobSource, {
+    ...transcribeOptions,
+    overlap: overlap,
+    splitByChapters: Boolean(options.splitByChapters),
+    ...(preprocess && { preprocess }),
+  }, tempDir);
+  if (resume && (!manifest.existed || manifest.isCompleted)) {
+    throw new ValidationError(`No interrupted job to resume for ${url}`);
+  }
+  if (manifest.existed && !manifest.isCompleted) {
+    console.log(`Resuming job ${manifest.jobId}`);
+  }
+  
+  // A resumed job takes over the workspace its last run kept, so the files the manifest lists stay in one place
+  const keptDir = await manifest.getReusableWorkspace();
+  const workspace = keptDir
+    ? await Workspace.open(keptDir, { keep: keepAudio })
+    : await Workspace.create(details.videoId, { tempDir, keep: keepAudio });
+  
+  try {
+    await manifest.setWorkspace(workspace.dir);
+    
+    // Download YouTube video and extract audio
+    let audioPath = await manifest.getReusableAudio();
+    if (audioPath) {
+      console.log(`Reusing downloaded audio: ${audioPath}`);
+    } else {
+      await manifest.setStatus('downloading');
+      onProgress({ type: 'download', status: 'started' });
+      audioPath = await downloadAndExtractAudio(url, { info, ...clip, tempDir: workspace.dir, signal, onProgress });
+      await manifest.setAudio(audioPath);
+      onProgress({ type: 'download', status: 'completed' });
+      console.log(`Audio extracted to: ${audioPath}`);
+    }
+    
+    // Preprocessed audio is what gets split and uploaded; its time map leads back to the download
+    let uploadPath = audioPath;
+    let timeMap = null;
+    if (preprocess) {
+      let preprocessed = await manifest.getReusablePreprocessed(preprocess);
+      if (preprocessed) {
+        console.log(`Reusing preprocessed audio: ${preprocessed.path}`);
+      } else {
+        await manifest.setStatus('preprocessing');
+        onProgress({ type: 'preprocess', status: 'started', stages: preprocess.stages });
+        preprocessed = await preprocessAudio(audioPath, preprocess, { tempDir: workspace.dir, signal });
+        await manifest.setPreprocessed(preprocess, preprocessed);
+        onProgress({ type: 'preprocess', status: 'completed', stages: preprocess.stages });
+      }
+      uploadPath = preprocessed.path;
+      timeMap = preprocessed.timeMap;
+    }
+    
+    // Split audio if needed
+    let chunks = await manifest.getReusableChunks();
+    if (chunks) {
+      console.log(`Reusing ${chunks.length} existing chunks`);
+    } else {
+      await manifest.setStatus('splitting');
+      // Chapter times are in video time, the audio starts at the clip start
+      const toUploadTime = time => (timeMap ? toProcessedTime(time - clipStart, timeMap) : time - clipStart);
+      const audioChapters = chapters.map(chapter => ({
+        ...chapter,
+        start: toUploadTime(chapter.start),
+        end: Number.isFinite(chapter.end) ? toUploadTime(chapter.end) : chapter.end,
+      }));
+      chunks = options.splitByChapters && chapters.length > 0
+        ? await splitAudioByChapters(uploadPath, audioChapters, { overlap: overlap, tempDir: workspace.dir, signal })
+        : await splitAudioIfNeeded(uploadPath, { overlap: overlap, tempDir: workspace.dir, signal });
+      await manifest.setChunks(chunks);
+      console.log(`Audio processed into ${chunks.length} chunks`);
+    }
+    onProgress({ type: 'split', chunks: chunks.length });
+    
+    // Transcribe audio
+    await manifest.setStatus('transcribing');
+    const usage = { seconds: 0 };
+    const chunkOptions = { ...transcribeOptions, concurrency, onProgress, usage, signal };
+    const primary = await transcribeAudioChunks(transcriber, chunks, chunkOptions, manifest);
+    
+    // Work on copies in original video time; the manifest keeps chunk results as the engine returned them
+    const toVideoTime = result => {
+      const audioResult = mapToOriginalTime(result, timeMap);
+      return {
+        ...audioResult,
+        ...(clip && audioResult.segments && { segments: shiftSegments(audioResult.segments, clipStart) }),
+        ...(clip && audioResult.words && { words: shiftSegments(audioResult.words, clipStart) }),
+      };
+    };
+    let transcription = toVideoTime(primary);
+    let original = null;
+    
+    if (translate && withOriginal) {
+      console.log('Translating to English...');
+      const translation = toVideoTime(await transcribeAudioChunks(transcriber, chunks, { ...chunkOptions, translate: true }));
+      transcription = alignTranslation(transcription, translation);
+      original = getOriginalTranscription(transcription);
+    } else if (translate) {
+      transcription.language = 'en';
+    }
+    
+    for (const result of [transcription, original].filter(Boolean)) {
+      if (clip) {
+        result.clip = clip;
+      }
+      if (chapters.length > 0) {
+        result.chapters = assignSegmentsToChapters(result, chapters);
+      }
+      result.source = 'whisper';
+      result.videoId = details.videoId;
+    }
+    
+    transcription = await correctTranscription(transcription, rules, outputPath);
+    if (original) {
+      original = await correctTranscription(original, rules, getOriginalOutputPath(outputPath));
+    }
+    
+    // Save transcription
+    const processing = {
+      transcriptSource: 'whisper',
+      engine: transcriber.engine.name,
+      model: transcriber.engine.model || null,
+      task: translate ? 'translate' : 'transcribe',
+      language,
+      temperature,
+      responseFormat: transcribeOptions.responseFormat,
+      overlap,
+      preprocess,
+    };
+    const savedPath = await transcriber.saveTranscription(transcription, outputPath, format, { source, processing });
+    if (original) {
+      const originalPath = await transcriber.saveTranscription(original, getOriginalOutputPath(outputPath), format, {
+        source,
+        processing: { ...processing, task: 'transcribe' },
+      });
+      console.log(`Original-language transcript saved to: ${originalPath}`);
+    }
+    await manifest.markCompleted(savedPath);
+    console.log(`Transcription completed and saved to: ${savedPath}`);
+    onProgress({ type: 'saved', path: savedPath, source: 'whisper' });
+    await recordUsage(transcriber, transcriber.engine, { source: url, task: processing.task, transcriptSource: 'whisper' }, usage.seconds, onProgress);
+    if (options.summarizer) {
+      await summarizeSavedTranscript(savedPath, options.summarizer, { signal, onProgress });
+    }
+    
+    return savedPath;
+  } catch (error) {
+    if (manifest.isStarted && !manifest.isCompleted) {
+      await manifest.markFailed(error).catch(() => {});
+      // Unless the workspace is kept, the resumed job downloads again and gets finished chunks back from the cache
+      console.error(`Job ${manifest.jobId} can be resumed by running the same command again`);
+    }
+    throw error;
+  } finally {
+    await workspace.release();
+  }
+}
+
+module.exports = {
+  transcribeYouTubeVideo
+};
@@ -0,0 +1,54 @@
+const config = require('./config');
+
+/**
+ * Limits how many requests start within any sliding one-minute window
+ */
+class RateLimiter {
+  /**
+   * @param {number} requestsPerMinute Maximum requests per minute (0 disables the limit)
+   */
+  constructor(requestsPerMinute) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.timestamps = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Waits until another request may start
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (!this.requestsPerMinute) {
+      return Promise.resolve();
+    }
+
+    // Serialize callers so each one sees the slots taken by those before it
+    const turn = this.queue.then(() => this.waitForSlot());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForSlot() {
+    for (;;) {
+      const now = Date.now();
+      this.timestamps = this.timestamps.filter(timestamp => now - timestamp < 60000);
+
+      if (this.timestamps.length < this.requestsPerMinute) {
+        this.timestamps.push(now);
+        return;
+      }
+
+      const waitMs = 60000 - (now - this.timestamps[0]);
+      console.log(`Rate limit of ${this.requestsPerMinute} requests/minute reached, waiting ${Math.ceil(waitMs / 1000)}s...`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+// One limiter for the whole process, shared by every transcriber and batch file
+const sharedRateLimiter = new RateLimiter(config.requestsPerMinute);
+
+module.exports = {
+  RateLimiter,
+  sharedRateLimiter
+};
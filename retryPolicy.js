@@ -0,0 +1,115 @@
+const { setTimeout: sleep } = require('timers/promises');
+const config = require('./config');
+
+// Client errors that will fail the same way on every attempt
+const NON_RETRYABLE_STATUSES = [400, 401, 403, 404, 413, 415, 422];
+
+/**
+ * Decides whether a failed request is worth retrying
+ * @param {Error} error Error thrown by the engine
+ * @returns {boolean} True for rate limits, server errors and network failures, unless the error is marked
+ *   with retryable: false
+ */
+function isRetryableError(error) {
+  if (error.retryable === false) {
+    return false;
+  }
+  if (typeof error.status !== 'number') {
+    return true;
+  }
+  return !NON_RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Reads the server's requested retry delay from a rate-limit error
+ * @param {Error} error Error thrown by the engine
+ * @returns {number|null} Delay in milliseconds, or null if the server didn't ask for one
+ */
+function getRetryAfter(error) {
+  const headers = error.headers;
+  if (!headers) {
+    return null;
+  }
+  const getHeader = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(getHeader('retry-after-ms'));
+  if (!isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = getHeader('retry-after');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  return null;
+}
+
+/**
+ * Computes the wait before the next attempt: the server's Retry-After when given,
+ * otherwise exponential backoff with jitter
+ * @param {number} attempt Number of the attempt that just failed (1-based)
+ * @param {Error} error Error thrown by the attempt
+ * @param {Object} options Delay options
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, error, options = {}) {
+  const {
+    baseDelay = config.retryDelay,
+    maxDelay = config.maxRetryDelay,
+  } = options;
+
+  const retryAfter = error.status === 429 ? getRetryAfter(error) : null;
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, maxDelay);
+  }
+
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Runs an async function, retrying retryable failures
+ * @param {Function} fn Async function receiving the attempt number
+ * @param {Object} options Retry options (maxRetries, baseDelay, maxDelay, and signal to stop retrying)
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error, with `attempts` set to the number of attempts made
+ */
+async function withRetry(fn, options = {}) {
+  const { maxRetries = config.maxRetries, signal } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      // An aborted request isn't retried, however it failed
+      const retryable = !(signal && signal.aborted) && isRetryableError(error);
+      if (!retryable || attempt >= maxRetries) {
+        const reason = retryable ? 'Max retries reached' : 'Not retryable';
+        console.error(`Attempt ${attempt} failed: ${error.message}. ${reason}`);
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error, options);
+      console.error(`Attempt ${attempt} failed: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)} seconds...`);
+      await sleep(delay, undefined, { signal }).catch(() => {
+        error.attempts = attempt;
+        throw error;
+      });
+    }
+  }
+}
+
+module.exports = {
+  isRetryableError,
+  getRetryAfter,
+  getRetryDelay,
+  withRetry
+};
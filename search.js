@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+const { program } = require('commander');
+const fs = require('fs-extra');
+const TranscriptIndex = require('./transcriptIndex');
+const { formatClockTime } = require('./timeUtils');
+const config = require('./config');
+
+program
+  .name('transcript-search')
+  .description('Search all saved transcripts')
+  .version('1.0.0')
+  .argument('<query...>', 'Words to find; wrap phrases in quotes, e.g. \'"interest rates" inflation\'')
+  .option('--dir <paths...>', 'Directories with transcripts to index', [config.outputDir, './audio_output'])
+  .option('--since <date>', 'Only transcripts saved on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Only transcripts saved before this date (YYYY-MM-DD)')
+  .option('-l, --language <code>', 'Only transcripts in this language')
+  .option('--source <source>', 'Only "youtube" or "file" transcripts, or a single video id or file name')
+  .option('--limit <number>', 'Maximum number of matches', '20')
+  .option('--rebuild', 'Rebuild the index from scratch instead of updating it')
+  .option('--json', 'Print matches as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+
+/**
+ * Parses a YYYY-MM-DD command line date
+ * @param {string} value Date string
+ * @param {string} name Option name for the error message
+ * @returns {Date|null} Date, or null when not given
+ */
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`Invalid ${name} date: ${value}. Use YYYY-MM-DD`);
+  }
+  return date;
+}
+
+async function main() {
+  try {
+    const query = program.args.join(' ');
+    const filters = {
+      since: parseDate(options.since, '--since'),
+      until: parseDate(options.until, '--until'),
+      language: options.language || null,
+      source: options.source || null,
+      limit: parseInt(options.limit),
+    };
+
+    const index = new TranscriptIndex();
+    if (options.rebuild) {
+      await fs.remove(index.indexPath);
+    }
+    await index.load();
+    const counts = await index.update(options.dir);
+    if (!options.json) {
+      console.log(`Index updated: ${counts.added} added, ${counts.updated} updated, ${counts.removed} removed, ${counts.unchanged} unchanged`);
+    }
+
+    const matches = index.search(query, filters);
+    if (options.json) {
+      console.log(JSON.stringify(matches, null, 2));
+      return;
+    }
+
+    if (matches.length === 0) {
+      console.log('No matches found');
+      return;
+    }
+
+    console.log(`${matches.length} match(es)${matches.length >= filters.limit ? ` (limited to ${filters.limit})` : ''}:\n`);
+    for (const match of matches) {
+      const time = match.start !== null ? ` [${formatClockTime(match.start)}]` : '';
+      console.log(`${match.source}${time}${match.language ? ` (${match.language})` : ''} - ${match.date.slice(0, 10)}`);
+      if (match.url) {
+        console.log(`  ${match.url}`);
+      }
+      console.log(`  ${match.context}`);
+      console.log(`  ${match.path}\n`);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,572 @@
+#!/usr/bin/env node
+
+const { program } = require('commander');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const busboy = require('busboy');
+const ytdl = require('ytdl-core');
+const JobQueue = require('./jobQueue');
+const AudioProcessor = require('./audioProcessor');
+const { parseTimestamp } = require('./timeUtils');
+const { parsePreprocessOptions } = require('./audioPreprocessor');
+const { engineNames } = require('./transcriptionEngines');
+const { validateOutputFormat, formatTranscription } = require('./outputFormatter');
+const config = require('./config');
+
+// Define CLI options
+program
+  .name('youtube-whisper-server')
+  .description('Serve a local HTTP API for queueing transcription jobs')
+  .version('1.0.0')
+  .option('-p, --port <number>', 'Port to listen on', String(config.serverPort))
+  .option('-w, --workers <number>', 'Number of jobs transcribed at the same time', String(config.serverWorkers))
+  .option('--data-dir <path>', 'Directory for jobs, uploads and transcripts', config.serverDataDir)
+  .option('--max-upload <mb>', 'Largest audio or video upload accepted, in MB', String(config.serverMaxUpload))
+  .option('--no-cache', 'Do not read or write the local transcription cache')
+  .option('--engine <name>', `Transcription engine (${engineNames.join(', ')})`, config.engine)
+  .option('--base-url <url>', 'Base URL of an OpenAI-compatible transcription server', config.openaiBaseUrl)
+  .option('--glossary <file>', 'Text file of names and terms, one per line, seeded into every job\'s prompts', config.glossaryFile)
+  .option('--rules <file>', 'Text file of "find => replace" corrections applied to every transcript', config.correctionRulesFile)
+  .parse(process.argv);
+
+const options = program.opts();
+
+const CONTENT_TYPES = {
+  txt: 'text/plain; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  verbose_json: 'application/json; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+
+const MEDIA_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.flac': 'audio/flac',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.wma': 'audio/x-ms-wma',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.ts': 'video/mp2t',
+};
+
+const CAPTION_MODES = ['prefer', 'only', 'never'];
+
+// JSON bodies only carry a URL and options
+const MAX_JSON_BODY = 1024 * 1024;
+// Form fields of multipart uploads are job options
+const MAX_FORM_FIELD = 64 * 1024;
+
+/**
+ * Creates an error that is reported to the client with a status code
+ * @param {number} status HTTP status code
+ * @param {string} message Error message
+ * @returns {Error} Error with a status property
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res Response
+ * @param {number} status HTTP status code
+ * @param {Object} body Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES.json });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Picks the supported transcription options out of a request, converting string values
+ * @param {Object} raw Options from a JSON body, form fields or the query string
+ * @param {string} type Job type ('youtube' or 'file')
+ * @returns {Object} Job options
+ */
+function parseJobOptions(raw, type) {
+  const jobOptions = {};
+  const toNumber = (name, value) => {
+    const number = Number(value);
+    if (value === '' || isNaN(number)) {
+      throw httpError(400, `Invalid ${name}: ${value}`);
+    }
+    return number;
+  };
+  const toBoolean = value => value === true || value === 'true' || value === '1';
+
+  if (raw.language) jobOptions.language = String(raw.language);
+  if (raw.temperature !== undefined) jobOptions.temperature = toNumber('temperature', raw.temperature);
+  if (raw.overlap !== undefined) jobOptions.overlap = toNumber('overlap', raw.overlap);
+  if (raw.concurrency !== undefined) jobOptions.concurrency = toNumber('concurrency', raw.concurrency);
+  if (raw.translate !== undefined) jobOptions.translate = toBoolean(raw.translate);
+  if (raw.withOriginal !== undefined) jobOptions.withOriginal = toBoolean(raw.withOriginal);
+  if (raw.wordTimestamps !== undefined) jobOptions.wordTimestamps = toBoolean(raw.wordTimestamps);
+  if (raw.preprocess !== undefined) {
+    try {
+      jobOptions.preprocess = parsePreprocessOptions(raw.preprocess, raw.tempo);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+
+  if (type === 'youtube') {
+    if (raw.captions !== undefined) {
+      if (!CAPTION_MODES.includes(raw.captions)) {
+        throw httpError(400, `Invalid captions mode: ${raw.captions}. Use ${CAPTION_MODES.join(', ')}`);
+      }
+      jobOptions.captions = raw.captions;
+    }
+    if (raw.chapters !== undefined) jobOptions.chapters = toBoolean(raw.chapters);
+    if (raw.splitByChapters !== undefined) jobOptions.splitByChapters = toBoolean(raw.splitByChapters);
+
+    if (raw.start !== undefined || raw.end !== undefined) {
+      try {
+        const clip = {};
+        if (raw.start !== undefined) clip.start = parseTimestamp(String(raw.start));
+        if (raw.end !== undefined) clip.end = parseTimestamp(String(raw.end));
+        if (clip.end !== undefined && clip.end <= (clip.start || 0)) {
+          throw new Error('end must be after start');
+        }
+        jobOptions.clip = clip;
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+    }
+  }
+
+  return jobOptions;
+}
+
+/**
+ * Rejects a request whose declared Content-Length is over a limit before any of it is read
+ * @param {http.IncomingMessage} req Request
+ * @param {number} maxBytes Largest accepted body in bytes
+ * @param {string} what What the body is, for the error message
+ */
+function checkContentLength(req, maxBytes, what) {
+  const length = parseInt(req.headers['content-length']);
+  if (!isNaN(length) && length > maxBytes) {
+    throw tooLarge(maxBytes, what);
+  }
+}
+
+/**
+ * Creates the 413 error of a body over its limit
+ * @param {number} maxBytes Largest accepted body in bytes
+ * @param {string} what What the body is, e.g. "Upload"
+ * @returns {Error} Error with status 413
+ */
+function tooLarge(maxBytes, what) {
+  return httpError(413, `${what} is larger than the limit of ${(maxBytes / 1024 / 1024).toFixed(maxBytes < 1024 * 1024 ? 2 : 0)} MB`);
+}
+
+/**
+ * Creates a pass-through stream that fails with a 413 error once more than a number of bytes went through
+ * @param {number} maxBytes Largest accepted body in bytes
+ * @param {string} what What the body is, for the error message
+ * @returns {Transform} Stream
+ */
+function createSizeLimit(maxBytes, what) {
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > maxBytes ? tooLarge(maxBytes, what) : null, chunk);
+    },
+  });
+}
+
+/**
+ * Reads and parses a JSON request body of at most MAX_JSON_BODY bytes
+ * @param {http.IncomingMessage} req Request
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readJsonBody(req) {
+  checkContentLength(req, MAX_JSON_BODY, 'JSON body');
+  let body = '';
+  await pipeline(req, createSizeLimit(MAX_JSON_BODY, 'JSON body'), async function* (source) {
+    for await (const chunk of source) {
+      body += chunk;
+    }
+  });
+  try {
+    return JSON.parse(body || '{}');
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a raw request body to a file, removing the file again if the body is too large or the request fails
+ * @param {http.IncomingMessage} req Request
+ * @param {string} filePath File to write
+ * @param {number} maxBytes Largest accepted body in bytes
+ * @returns {Promise<void>}
+ */
+async function receiveUpload(req, filePath, maxBytes) {
+  checkContentLength(req, maxBytes, 'Upload');
+  try {
+    await pipeline(req, createSizeLimit(maxBytes, 'Upload'), fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.remove(filePath);
+    throw error;
+  }
+}
+
+/**
+ * Streams the "file" field of a multipart form to the job's upload path and collects the other fields
+ * @param {JobQueue} queue Job queue
+ * @param {string} id Job id
+ * @param {http.IncomingMessage} req Request
+ * @param {number} maxBytes Largest accepted file in bytes
+ * @returns {Promise<Object>} Upload ({ inputPath, filename, fields })
+ */
+async function receiveMultipartUpload(queue, id, req, maxBytes) {
+  let parser;
+  try {
+    parser = busboy({
+      headers: req.headers,
+      limits: { files: 1, fileSize: maxBytes, fields: 50, fieldSize: MAX_FORM_FIELD },
+    });
+  } catch (error) {
+    throw httpError(400, `Invalid multipart form: ${error.message}`);
+  }
+
+  const fields = {};
+  let upload = null;
+  let failure = null;
+  parser.on('field', (name, value) => {
+    fields[name] = value;
+  });
+  parser.on('file', (name, stream, info) => {
+    if (name !== 'file' || upload || failure) {
+      stream.resume();
+      return;
+    }
+    let inputPath;
+    try {
+      inputPath = getUploadPath(queue, id, info.filename);
+    } catch (error) {
+      failure = error;
+      stream.resume();
+      return;
+    }
+    // Over the limit, the rest of the file is read and dropped so the 413 reaches the client
+    stream.on('limit', () => {
+      failure = tooLarge(maxBytes, 'Upload');
+    });
+    upload = { inputPath, filename: info.filename, written: pipeline(stream, fs.createWriteStream(inputPath)) };
+  });
+
+  try {
+    await pipeline(req, parser);
+    if (upload) await upload.written;
+  } catch (error) {
+    failure = failure || (error.status ? error : httpError(400, `Invalid multipart form: ${error.message}`));
+  }
+  if (failure || !upload) {
+    if (upload) await fs.remove(upload.inputPath);
+    throw failure || httpError(400, 'Multipart uploads need the audio in a "file" field');
+  }
+  return { inputPath: upload.inputPath, filename: upload.filename, fields };
+}
+
+/**
+ * Checks an uploaded file name and returns the path to store the upload under
+ * @param {JobQueue} queue Job queue
+ * @param {string} id Job id
+ * @param {string} filename Original file name
+ * @returns {string} Upload path
+ */
+function getUploadPath(queue, id, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (!AudioProcessor.supportedFormats.includes(ext)) {
+    throw httpError(400, `Unsupported format: ${ext || 'none'}. Supported formats: ${AudioProcessor.supportedFormats.join(', ')}`);
+  }
+  return path.join(queue.uploadsDir, `${id}${ext}`);
+}
+
+/**
+ * Creates a job from a POST /jobs request. Accepts a JSON body ({ url, options }),
+ * a multipart form with a "file" field plus option fields, or a raw audio body
+ * with ?filename= and options in the query string.
+ * @param {JobQueue} queue Job queue
+ * @param {http.IncomingMessage} req Request
+ * @param {URL} requestUrl Parsed request URL
+ * @returns {Promise<Object>} The queued job
+ */
+async function createJob(queue, req, requestUrl) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+  const id = queue.createId();
+  const maxUploadBytes = options.maxUpload * 1024 * 1024;
+
+  if (contentType === 'application/json') {
+    const body = await readJsonBody(req);
+    if (!body.url || !ytdl.validateURL(body.url)) {
+      throw httpError(400, 'A valid YouTube video URL is required in "url"');
+    }
+    return queue.add({ id, type: 'youtube', url: body.url, options: parseJobOptions(body.options || {}, 'youtube') });
+  }
+
+  if (contentType === 'multipart/form-data') {
+    // The form body also holds the option fields, a little over the file itself
+    checkContentLength(req, maxUploadBytes + MAX_FORM_FIELD, 'Upload');
+    const upload = await receiveMultipartUpload(queue, id, req, maxUploadBytes);
+    let jobOptions;
+    try {
+      jobOptions = parseJobOptions(upload.fields, 'file');
+    } catch (error) {
+      await fs.remove(upload.inputPath);
+      throw error;
+    }
+    return queue.add({ id, type: 'file', inputPath: upload.inputPath, filename: upload.filename, options: jobOptions });
+  }
+
+  const query = Object.fromEntries(requestUrl.searchParams);
+  const filename = query.filename;
+  if (!filename) {
+    throw httpError(400, 'Raw audio uploads need a ?filename= query parameter');
+  }
+  const jobOptions = parseJobOptions(query, 'file');
+  const inputPath = getUploadPath(queue, id, filename);
+  await receiveUpload(req, inputPath, maxUploadBytes);
+  return queue.add({ id, type: 'file', inputPath, filename, options: jobOptions });
+}
+
+/**
+ * Streams a job's status and progress as Server-Sent Events until it finishes
+ * @param {JobQueue} queue Job queue
+ * @param {Object} job Job to follow
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ */
+function streamJobEvents(queue, job, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const isFinished = current => current.status === 'completed' || current.status === 'failed';
+
+  send('status', job);
+  if (isFinished(job)) {
+    res.end();
+    return;
+  }
+
+  const onProgress = (current, event) => {
+    if (current.id === job.id) send('progress', event);
+  };
+  const onStatus = current => {
+    if (current.id !== job.id) return;
+    send('status', current);
+    if (isFinished(current)) {
+      cleanup();
+      res.end();
+    }
+  };
+  const cleanup = () => {
+    queue.off('progress', onProgress);
+    queue.off('status', onStatus);
+  };
+
+  queue.on('progress', onProgress);
+  queue.on('status', onStatus);
+  req.on('close', cleanup);
+}
+
+/**
+ * Sends a completed job's transcript in the requested format
+ * @param {JobQueue} queue Job queue
+ * @param {Object} job Job
+ * @param {string} format Output format
+ * @param {http.ServerResponse} res Response
+ */
+async function sendTranscript(queue, job, format, res) {
+  try {
+    validateOutputFormat(format);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  if (job.status !== 'completed') {
+    throw httpError(409, `Job ${job.id} is ${job.status}`);
+  }
+
+  const transcription = await fs.readJson(queue.getTranscriptPath(job));
+  // The page sits at /jobs/:id/transcript, so file jobs play their upload from the sibling audio route
+  const pageOptions = job.type === 'file'
+    ? { source: { type: 'file', fileName: job.filename }, audioUrl: 'audio' }
+    : { source: { type: 'youtube', videoId: transcription.videoId } };
+  let body;
+  try {
+    body = formatTranscription(transcription, format, pageOptions);
+  } catch (error) {
+    throw httpError(422, error.message);
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[format] });
+  res.end(body);
+}
+
+/**
+ * Streams a file job's uploaded audio, honouring Range requests so players can seek
+ * @param {Object} job Job
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ */
+async function sendAudio(job, req, res) {
+  if (job.type !== 'file' || !await fs.pathExists(job.inputPath)) {
+    throw httpError(404, `Job ${job.id} has no audio`);
+  }
+
+  const { size } = await fs.stat(job.inputPath);
+  const headers = {
+    'Content-Type': MEDIA_TYPES[path.extname(job.inputPath).toLowerCase()] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+  };
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (!range || (!range[1] && !range[2])) {
+    res.writeHead(200, { ...headers, 'Content-Length': size });
+    return pipeline(fs.createReadStream(job.inputPath), res);
+  }
+
+  // "bytes=-500" asks for the last 500 bytes
+  const start = range[1] ? parseInt(range[1]) : Math.max(0, size - parseInt(range[2]));
+  const end = range[1] && range[2] ? Math.min(parseInt(range[2]), size - 1) : size - 1;
+  if (start >= size || start > end) {
+    res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+    return res.end();
+  }
+  res.writeHead(206, { ...headers, 'Content-Length': end - start + 1, 'Content-Range': `bytes ${start}-${end}/${size}` });
+  return pipeline(fs.createReadStream(job.inputPath, { start, end }), res);
+}
+
+/**
+ * Routes a request to the job API
+ * @param {JobQueue} queue Job queue
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ */
+async function handleRequest(queue, req, res) {
+  const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const parts = requestUrl.pathname.split('/').filter(Boolean);
+
+  if (parts[0] !== 'jobs' || parts.length > 3) {
+    throw httpError(404, 'Not found');
+  }
+
+  if (parts.length === 1) {
+    if (req.method === 'POST') {
+      return sendJson(res, 201, await createJob(queue, req, requestUrl));
+    }
+    if (req.method === 'GET') {
+      return sendJson(res, 200, queue.list());
+    }
+    throw httpError(405, 'Method not allowed');
+  }
+
+  const job = queue.get(parts[1]);
+  if (!job) {
+    throw httpError(404, `Job not found: ${parts[1]}`);
+  }
+  if (req.method !== 'GET') {
+    throw httpError(405, 'Method not allowed');
+  }
+
+  if (parts.length === 2) {
+    return sendJson(res, 200, job);
+  }
+  if (parts[2] === 'events') {
+    return streamJobEvents(queue, job, req, res);
+  }
+  if (parts[2] === 'transcript') {
+    return sendTranscript(queue, job, requestUrl.searchParams.get('format') || 'txt', res);
+  }
+  if (parts[2] === 'audio') {
+    return sendAudio(job, req, res);
+  }
+  throw httpError(404, 'Not found');
+}
+
+// Main function
+async function main() {
+  try {
+    const port = parseInt(options.port);
+    const workers = parseInt(options.workers);
+    if (isNaN(port) || isNaN(workers) || workers < 1) {
+      throw new Error('Port and workers must be numbers, with at least one worker');
+    }
+    options.maxUpload = parseFloat(options.maxUpload);
+    if (!(options.maxUpload > 0)) {
+      throw new Error('--max-upload must be a number of MB above 0');
+    }
+
+    const queue = new JobQueue({
+      dataDir: options.dataDir,
+      workers,
+      engine: options.engine,
+      baseUrl: options.baseUrl,
+      cache: options.cache,
+      glossaryFile: options.glossary,
+      rulesFile: options.rules,
+    });
+    await queue.load();
+
+    const server = http.createServer((req, res) => {
+      handleRequest(queue, req, res).catch(error => {
+        if (!error.status) {
+          console.error(`Request failed: ${error.message}`);
+        }
+        if (res.headersSent) {
+          res.end();
+        } else {
+          // The rest of a body that is too large is not read
+          if (error.status === 413) res.setHeader('Connection', 'close');
+          sendJson(res, error.status || 500, { error: error.message });
+        }
+      });
+    });
+
+    server.listen(port, () => {
+      console.log(`Job server listening on http://localhost:${port} with ${workers} worker(s)`);
+    });
+
+    // Abort the running jobs and exit through process.exit, so the 'exit' handlers remove their
+    // workspaces. A second Ctrl-C exits at once.
+    let stopping = false;
+    const stop = signal => {
+      const exitCode = 128 + os.constants.signals[signal];
+      if (stopping) {
+        process.exit(exitCode);
+      }
+      stopping = true;
+      console.log('\nStopping, running jobs will be queued again... (press Ctrl+C again to exit now)');
+      server.close();
+      queue.stop().finally(() => process.exit(exitCode));
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,139 @@
+const UsageLedger = require('./usageLedger');
+const config = require('./config');
+
+/**
+ * Keeps a run within its --max-cost and --max-minutes limits and the monthly budget
+ */
+class SpendGuard {
+  /**
+   * @param {Object} options Limits
+   * @param {number} options.maxCost Maximum USD for this run, or null
+   * @param {number} options.maxMinutes Maximum billed audio minutes for this run, or null
+   * @param {number} options.monthlyBudget Maximum USD per calendar month across all runs, 0 for none (default: config.monthlyBudget)
+   * @param {UsageLedger} options.ledger Ledger holding this month's spend
+   */
+  constructor(options = {}) {
+    const {
+      maxCost = null,
+      maxMinutes = null,
+      monthlyBudget = config.monthlyBudget,
+      ledger = new UsageLedger(),
+    } = options;
+
+    this.maxCost = maxCost;
+    this.maxMinutes = maxMinutes;
+    this.monthlyBudget = monthlyBudget;
+    this.ledger = ledger;
+    this.minutes = 0;
+    this.cost = 0;
+    // Planned but not yet recorded in the ledger, as in a dry run
+    this.reservedCost = 0;
+  }
+
+  /**
+   * Whether any limit is set
+   * @returns {boolean} True when items need estimating before they run
+   */
+  get active() {
+    return this.maxCost !== null || this.maxMinutes !== null || this.monthlyBudget > 0;
+  }
+
+  /**
+   * Checks whether an item fits within the remaining limits
+   * @param {Object} estimate Item estimate ({ minutes, cost })
+   * @returns {Promise<string|null>} Why the item doesn't fit, or null when it does
+   */
+  async check(estimate) {
+    return this.getOverLimitReason(estimate, await this.getMonthlySpend());
+  }
+
+  /**
+   * Checks whether an item fits and, if it does, reserves its estimate right away, so items
+   * started in parallel can't all pass a limit that only one of them fits under
+   * @param {Object} estimate Item estimate ({ minutes, cost })
+   * @returns {Promise<Object>} Result ({ reason, reservation }): the reason the item doesn't fit, or its reservation
+   */
+  async tryReserve(estimate) {
+    const spent = await this.getMonthlySpend();
+    // Nothing else may run between the check and the reservation
+    const reason = this.getOverLimitReason(estimate, spent);
+    return reason ? { reason, reservation: null } : { reason: null, reservation: this.reserve(estimate) };
+  }
+
+  /**
+   * Reads this month's recorded spend when there is a monthly budget
+   * @returns {Promise<number>} Spend in USD, 0 without a budget
+   */
+  async getMonthlySpend() {
+    return this.monthlyBudget > 0 ? this.ledger.getMonthlySpend() : 0;
+  }
+
+  /**
+   * Checks an item against the limits, counting reserved items as spent
+   * @param {Object} estimate Item estimate ({ minutes, cost })
+   * @param {number} monthlySpend Spend recorded in the ledger this month
+   * @returns {string|null} Why the item doesn't fit, or null when it does
+   */
+  getOverLimitReason(estimate, monthlySpend) {
+    if (this.maxMinutes !== null && this.minutes + estimate.minutes > this.maxMinutes) {
+      return `it needs ${estimate.minutes.toFixed(1)} more minutes, over the limit of ${this.maxMinutes} (${this.minutes.toFixed(1)} used)`;
+    }
+    if (this.maxCost !== null && this.cost + estimate.cost > this.maxCost) {
+      return `it would cost $${estimate.cost.toFixed(2)} more, over the limit of $${this.maxCost.toFixed(2)} ($${this.cost.toFixed(2)} used)`;
+    }
+    if (this.monthlyBudget > 0) {
+      const spent = monthlySpend + this.reservedCost;
+      if (spent + estimate.cost > this.monthlyBudget) {
+        return `it would cost $${estimate.cost.toFixed(2)} with $${spent.toFixed(2)} of the $${this.monthlyBudget.toFixed(2)} monthly budget already spent`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Counts a finished item, already recorded in the ledger, against the run limits
+   * @param {Object} usage Actual usage ({ minutes, cost })
+   */
+  add(usage) {
+    this.minutes += usage.minutes;
+    this.cost += usage.cost;
+  }
+
+  /**
+   * Counts a planned item against the run limits and the monthly budget until it is settled or released
+   * @param {Object} estimate Item estimate ({ minutes, cost })
+   * @returns {Object} Reservation, passed to settle or release
+   */
+  reserve(estimate) {
+    this.add(estimate);
+    this.reservedCost += estimate.cost;
+    return { minutes: estimate.minutes, cost: estimate.cost, open: true };
+  }
+
+  /**
+   * Replaces a reservation with the item's actual usage once it is recorded in the ledger
+   * @param {Object} reservation Reservation from reserve, or null for an item that wasn't reserved
+   * @param {Object} usage Actual usage ({ minutes, cost })
+   */
+  settle(reservation, usage) {
+    this.release(reservation);
+    this.add(usage);
+  }
+
+  /**
+   * Gives back a reservation, e.g. when the item failed before using anything. Releasing a
+   * settled or released reservation does nothing.
+   * @param {Object} reservation Reservation from reserve, or null
+   */
+  release(reservation) {
+    if (!reservation || !reservation.open) {
+      return;
+    }
+    reservation.open = false;
+    this.minutes -= reservation.minutes;
+    this.cost -= reservation.cost;
+    this.reservedCost -= reservation.cost;
+  }
+}
+
+module.exports = SpendGuard;
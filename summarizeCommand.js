@@ -0,0 +1,47 @@
+const path = require('path');
+const { Summarizer, summarizeTranscriptFile } = require('./transcriptSummarizer');
+const { emit } = require('./cliOutput');
+const { ValidationError, BatchError, AbortError } = require('./errors');
+
+/**
+ * Writes show notes for saved transcripts without transcribing them again
+ * @param {string[]} inputs Transcript documents, or outputs saved next to them
+ * @param {Object} options Parsed command options ({ outputDir, model, baseUrl, contextTokens, concurrency, signal })
+ */
+async function runSummarize(inputs, options) {
+  const contextTokens = parseInt(options.contextTokens);
+  if (isNaN(contextTokens)) {
+    throw new ValidationError(`Invalid --context-tokens: ${options.contextTokens}`);
+  }
+  const summarizer = new Summarizer({
+    model: options.model,
+    baseUrl: options.baseUrl,
+    contextTokens,
+    concurrency: parseInt(options.concurrency),
+  });
+  const outputDir = options.outputDir ? path.resolve(options.outputDir) : null;
+
+  let failed = 0;
+  for (const input of inputs) {
+    try {
+      const onProgress = event => emit({ event: 'progress', input, ...event });
+      const saved = await summarizeTranscriptFile(input, summarizer, { outputDir, signal: options.signal, onProgress });
+      console.log(`✓ ${input} -> ${saved.markdown}`);
+      emit({ event: 'result', input, status: 'completed', output: saved.markdown, json: saved.json });
+    } catch (error) {
+      // A single input, or an interrupt, fails the command with its own error
+      if (inputs.length === 1 || error instanceof AbortError) throw error;
+      failed++;
+      console.error(`✗ Failed: ${input}: ${error.message}`);
+      emit({ event: 'result', input, status: 'failed', error: error.message, code: error.code || 'ERROR' });
+    }
+  }
+
+  if (failed > 0) {
+    throw new BatchError(`${failed} of ${inputs.length} transcripts failed to summarize`, { failed, total: inputs.length });
+  }
+}
+
+module.exports = {
+  runSummarize
+};
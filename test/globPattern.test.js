@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, matchesAnyGlob } = require('../globPattern');
+
+test('* matches within one path segment only', () => {
+  const regExp = globToRegExp('*.wav');
+  assert.ok(regExp.test('talk.wav'));
+  assert.ok(!regExp.test('2024/talk.wav'));
+});
+
+test('** matches across segments, including none', () => {
+  const regExp = globToRegExp('shows/**/*.mp3');
+  assert.ok(regExp.test('shows/episode.mp3'));
+  assert.ok(regExp.test('shows/2024/march/episode.mp3'));
+  assert.ok(!regExp.test('other/episode.mp3'));
+});
+
+test('? matches one character and {a,b} matches alternatives', () => {
+  assert.ok(globToRegExp('take?.{mp3,m4a}').test('take1.m4a'));
+  assert.ok(!globToRegExp('take?.{mp3,m4a}').test('take12.mp3'));
+  assert.ok(!globToRegExp('take?.{mp3,m4a}').test('take1.wav'));
+});
+
+test('patterns ignore case and treat regex characters literally', () => {
+  assert.ok(globToRegExp('*.MP3').test('song.mp3'));
+  assert.ok(globToRegExp('a+b (1).mp3').test('a+b (1).mp3'));
+  assert.ok(!globToRegExp('a.mp3').test('abmp3'));
+});
+
+test('matchesAnyGlob matches names at any depth for patterns without a slash', () => {
+  assert.ok(matchesAnyGlob('2024/march/interview.wav', ['*.wav']));
+  assert.ok(matchesAnyGlob('2024\\march\\interview.wav', ['*.wav']));
+  assert.ok(!matchesAnyGlob('2024/march/interview.wav', ['*.mp3']));
+});
+
+test('matchesAnyGlob matches the relative path for patterns with a slash', () => {
+  assert.ok(matchesAnyGlob('archive/old.mp3', ['archive/*']));
+  assert.ok(!matchesAnyGlob('new/archive/old.mp3', ['archive/*']));
+  assert.ok(matchesAnyGlob('new/archive/old.mp3', ['**/archive/*']));
+});
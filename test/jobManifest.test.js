@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JobManifest = require('../jobManifest');
+
+const source = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+async function createTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-manifest-'));
+  t.after(() => fs.remove(dir));
+  return dir;
+}
+
+async function createChunks(dir) {
+  const chunks = [];
+  for (let i = 0; i < 3; i++) {
+    const chunkPath = path.join(dir, `chunk_${i}.mp3`);
+    await fs.writeFile(chunkPath, `audio ${i}`);
+    chunks.push({ path: chunkPath, start: i * 600, duration: 600 });
+  }
+  return chunks;
+}
+
+test('a reopened manifest resumes with the finished chunks', async t => {
+  const dir = await createTempDir(t);
+  const chunks = await createChunks(dir);
+  const manifest = await JobManifest.open(source, { language: 'en' }, dir);
+  assert.strictEqual(manifest.existed, false);
+
+  await manifest.setStatus('running');
+  await manifest.setChunks(chunks);
+  // Chunks finishing in parallel must all be saved
+  await Promise.all([manifest.setChunkResult(0, { text: 'zero' }), manifest.setChunkResult(2, { text: 'two' })]);
+
+  const resumed = await JobManifest.open(source, { language: 'en' }, dir);
+  assert.strictEqual(resumed.existed, true);
+  assert.strictEqual(resumed.isStarted, true);
+  assert.deepStrictEqual(await resumed.getReusableChunks(), chunks);
+  assert.deepStrictEqual(resumed.getChunkResult(0), { text: 'zero' });
+  assert.strictEqual(resumed.getChunkResult(1), null);
+  assert.deepStrictEqual(resumed.getChunkResult(2), { text: 'two' });
+});
+
+test('results made with other options are not reused', async t => {
+  const dir = await createTempDir(t);
+  const manifest = await JobManifest.open(source, { language: 'en' }, dir);
+  await manifest.setChunks(await createChunks(dir));
+  await manifest.setChunkResult(0, { text: 'zero' });
+
+  const resumed = await JobManifest.open(source, { language: 'de' }, dir);
+  assert.strictEqual(resumed.getChunkResult(0), null);
+  assert.notStrictEqual(await resumed.getReusableChunks(), null);
+});
+
+test('chunks whose files changed are split again', async t => {
+  const dir = await createTempDir(t);
+  const chunks = await createChunks(dir);
+  const manifest = await JobManifest.open(source, {}, dir);
+  await manifest.setChunks(chunks);
+
+  await fs.writeFile(chunks[1].path, 'other audio');
+  assert.strictEqual(await manifest.getReusableChunks(), null);
+});
+
+test('completed and failed jobs record their outcome', async t => {
+  const dir = await createTempDir(t);
+  const manifest = await JobManifest.open(source, {}, dir);
+  await manifest.markFailed(new Error('rate limited'));
+  assert.strictEqual((await JobManifest.open(source, {}, dir)).data.error, 'rate limited');
+
+  await manifest.markCompleted('/output/video.txt');
+  const reopened = await JobManifest.open(source, {}, dir);
+  assert.strictEqual(reopened.isCompleted, true);
+  assert.strictEqual(reopened.data.output, '/output/video.txt');
+  assert.strictEqual(reopened.data.error, null);
+});
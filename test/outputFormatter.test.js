@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatSrt, formatVtt } = require('../outputFormatter');
+const { shiftSegments } = require('../transcriptMerger');
+
+test('formatSrt numbers cues and uses a comma before the milliseconds', () => {
+  const srt = formatSrt([
+    { start: 0, end: 2.25, text: ' Hello there. ' },
+    { start: 2.25, end: 59.9996, text: 'General Kenobi.' },
+  ]);
+  assert.strictEqual(srt, '1\n00:00:00,000 --> 00:00:02,250\nHello there.\n\n2\n00:00:02,250 --> 00:01:00,000\nGeneral Kenobi.\n');
+});
+
+test('formatVtt starts with the WEBVTT header and uses a dot before the milliseconds', () => {
+  const vtt = formatVtt([{ start: 1.5, end: 3, text: 'Hello there.' }]);
+  assert.strictEqual(vtt, 'WEBVTT\n\n00:00:01.500 --> 00:00:03.000\nHello there.\n');
+});
+
+test('formatSrt writes segments of later chunks at their offset in the original audio', () => {
+  // A segment 5 seconds into the chunk that starts at 20 minutes
+  const srt = formatSrt(shiftSegments([{ start: 5, end: 7.5, text: 'later on' }], 1200));
+  assert.strictEqual(srt, '1\n00:20:05,000 --> 00:20:07,500\nlater on\n');
+});
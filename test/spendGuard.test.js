@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SpendGuard = require('../spendGuard');
+const UsageLedger = require('../usageLedger');
+
+// Ledger whose monthly spend arrives asynchronously, like a file read
+function createLedger(spent = 0) {
+  return {
+    spent,
+    getMonthlySpend() {
+      return new Promise(resolve => setTimeout(() => resolve(this.spent), 5));
+    },
+  };
+}
+
+test('two parallel items cannot both pass a run limit only one fits under', async () => {
+  const guard = new SpendGuard({ maxCost: 1, monthlyBudget: 0, ledger: createLedger() });
+  const estimate = { minutes: 10, cost: 0.6 };
+
+  const results = await Promise.all([guard.tryReserve(estimate), guard.tryReserve(estimate)]);
+
+  assert.strictEqual(results.filter(result => result.reservation).length, 1);
+  assert.match(results.find(result => result.reason).reason, /over the limit of \$1\.00/);
+});
+
+test('two parallel items cannot both pass a monthly budget only one fits under', async () => {
+  const guard = new SpendGuard({ monthlyBudget: 5, ledger: createLedger(4) });
+  const estimate = { minutes: 10, cost: 0.6 };
+
+  const results = await Promise.all([guard.tryReserve(estimate), guard.tryReserve(estimate)]);
+
+  assert.strictEqual(results.filter(result => result.reservation).length, 1);
+});
+
+test('a released reservation makes room for the next item', async () => {
+  const guard = new SpendGuard({ maxMinutes: 15, monthlyBudget: 0, ledger: createLedger() });
+  const { reservation } = await guard.tryReserve({ minutes: 10, cost: 0 });
+
+  assert.ok((await guard.tryReserve({ minutes: 10, cost: 0 })).reason);
+  guard.release(reservation);
+  guard.release(reservation);
+  assert.strictEqual(guard.minutes, 0);
+  assert.strictEqual((await guard.tryReserve({ minutes: 10, cost: 0 })).reason, null);
+});
+
+test('settling replaces the reservation with the recorded usage', async () => {
+  const ledger = createLedger(1);
+  const guard = new SpendGuard({ maxCost: 2, monthlyBudget: 3, ledger });
+  const { reservation } = await guard.tryReserve({ minutes: 10, cost: 1 });
+
+  // The ledger now holds the actual cost, which must not be counted twice
+  ledger.spent = 1.5;
+  guard.settle(reservation, { minutes: 8, cost: 0.5 });
+  guard.release(reservation);
+
+  assert.strictEqual(guard.minutes, 8);
+  assert.strictEqual(guard.cost, 0.5);
+  assert.strictEqual(guard.reservedCost, 0);
+  assert.strictEqual(await guard.check({ minutes: 1, cost: 1.5 }), null);
+  assert.ok(await guard.check({ minutes: 1, cost: 1.6 }));
+});
+
+test('a guard without limits is inactive and lets everything through', async () => {
+  const guard = new SpendGuard({ monthlyBudget: 0, ledger: createLedger(1000) });
+  assert.strictEqual(guard.active, false);
+  assert.strictEqual(await guard.check({ minutes: 600, cost: 36 }), null);
+});
+
+test('run limits count the usage of finished items', async () => {
+  const guard = new SpendGuard({ maxMinutes: 60, maxCost: 0.5, monthlyBudget: 0, ledger: createLedger() });
+  assert.strictEqual(guard.active, true);
+  guard.add({ minutes: 50, cost: 0.3 });
+
+  assert.match(await guard.check({ minutes: 20, cost: 0.1 }), /20\.0 more minutes, over the limit of 60 \(50\.0 used\)/);
+  assert.match(await guard.check({ minutes: 5, cost: 0.3 }), /over the limit of \$0\.50 \(\$0\.30 used\)/);
+  assert.strictEqual(await guard.check({ minutes: 5, cost: 0.1 }), null);
+});
+
+test('the monthly budget counts the ledger entries of this month and dry-run reservations', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spend-guard-'));
+  t.after(() => fs.remove(dir));
+  const ledgerPath = path.join(dir, 'ledger.jsonl');
+  const lastYear = new Date();
+  lastYear.setUTCFullYear(lastYear.getUTCFullYear() - 1);
+  await fs.writeFile(ledgerPath, `${JSON.stringify({ date: lastYear.toISOString(), cost: 100 })}\n`);
+  const ledger = new UsageLedger(ledgerPath);
+  await ledger.record({ type: 'file', minutes: 100, cost: 6 });
+
+  const guard = new SpendGuard({ monthlyBudget: 10, ledger });
+  assert.strictEqual(await guard.check({ minutes: 50, cost: 3 }), null);
+  guard.reserve({ minutes: 50, cost: 3 });
+  assert.match(await guard.check({ minutes: 50, cost: 3 }), /with \$9\.00 of the \$10\.00 monthly budget already spent/);
+});
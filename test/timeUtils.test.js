@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatTimestamp, parseTimestamp } = require('../timeUtils');
+const { ValidationError } = require('../errors');
+
+test('formatTimestamp pads hours, minutes, seconds and milliseconds', () => {
+  assert.strictEqual(formatTimestamp(3723.045), '01:02:03,045');
+});
+
+test('formatTimestamp uses the given separator before the milliseconds', () => {
+  assert.strictEqual(formatTimestamp(1.5, '.'), '00:00:01.500');
+});
+
+test('formatTimestamp carries rounded milliseconds into the next second and minute', () => {
+  assert.strictEqual(formatTimestamp(59.9996), '00:01:00,000');
+  assert.strictEqual(formatTimestamp(3599.9999, '.'), '01:00:00.000');
+});
+
+test('formatTimestamp clamps negative times to zero', () => {
+  assert.strictEqual(formatTimestamp(-0.2), '00:00:00,000');
+});
+
+test('parseTimestamp reads seconds, minutes and hours', () => {
+  assert.strictEqual(parseTimestamp('95.5'), 95.5);
+  assert.strictEqual(parseTimestamp('12:30'), 750);
+  assert.strictEqual(parseTimestamp('1:02:03'), 3723);
+  assert.strictEqual(parseTimestamp('90:00'), 5400);
+});
+
+test('parseTimestamp rejects minutes or seconds of 60 or more after the first field', () => {
+  for (const value of ['1:75', '0:60', '1:60:00', '1:02:59.5x', '1:02:60']) {
+    assert.throws(() => parseTimestamp(value), ValidationError, value);
+  }
+});
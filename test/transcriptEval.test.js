@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeText, alignTokens, formatAlignment, evaluateTranscript, sumScores } = require('../transcriptEval');
+const { ValidationError } = require('../errors');
+
+test('normalizeText lowercases and drops punctuation and apostrophes', () => {
+  assert.strictEqual(normalizeText("Well, it's DONE -- isn't it?"), 'well its done isnt it');
+});
+
+test('normalizeText spells out numbers, ordinals, decimals and percentages', () => {
+  assert.strictEqual(normalizeText('1,250 people'), 'one thousand two hundred fifty people');
+  assert.strictEqual(normalizeText('the 21st and 3rd'), 'the twenty first and third');
+  assert.strictEqual(normalizeText('3.14'), 'three point one four');
+  assert.strictEqual(normalizeText('40%'), 'forty percent');
+  assert.strictEqual(normalizeText('agent 007'), 'agent zero zero seven');
+  assert.strictEqual(normalizeText('2000000'), 'two million');
+});
+
+test('normalizeText keeps digits when numbers is false', () => {
+  assert.strictEqual(normalizeText('Room 12!', { numbers: false }), 'room 12');
+});
+
+test('alignTokens finds substitutions, deletions and insertions', () => {
+  const reference = ['the', 'cat', 'sat', 'on', 'the', 'mat'];
+  const hypothesis = ['so', 'the', 'cat', 'sit', 'on', 'mat'];
+  const ops = alignTokens(reference, hypothesis);
+  const types = ops.map(op => op.type);
+
+  assert.strictEqual(types.filter(type => type === 'equal').length, 4);
+  assert.strictEqual(types.filter(type => type === 'substitution').length, 1);
+  assert.strictEqual(types.filter(type => type === 'deletion').length, 1);
+  assert.strictEqual(types.filter(type => type === 'insertion').length, 1);
+  assert.strictEqual(formatAlignment(ops, reference, hypothesis), '[+so+] the cat [sat => sit] on [-the-] mat');
+});
+
+test('evaluateTranscript scores word and character error rates', () => {
+  const score = evaluateTranscript('The cat sat.', 'the cat sit');
+  assert.deepStrictEqual(score.words, {
+    reference: 3,
+    hits: 2,
+    substitutions: 1,
+    deletions: 0,
+    insertions: 0,
+    errors: 1,
+    errorRate: 1 / 3,
+  });
+  assert.deepStrictEqual(score.characters, { reference: 11, errors: 1, errorRate: 1 / 11 });
+});
+
+test('evaluateTranscript counts numbers written either way as the same words', () => {
+  const score = evaluateTranscript('We raised 1,250 dollars', 'we raised one thousand two hundred fifty dollars');
+  assert.strictEqual(score.words.errors, 0);
+});
+
+test('evaluateTranscript rejects an empty reference', () => {
+  assert.throws(() => evaluateTranscript(' . ', 'words'), ValidationError);
+});
+
+test('long transcripts align in halves with the same result', () => {
+  // 2,100 x 2,100 tokens is over the direct alignment limit
+  const reference = Array.from({ length: 2100 }, (_, i) => `w${i % 700}`);
+  const hypothesis = [...reference];
+  hypothesis[100] = 'x';
+  hypothesis.splice(1500, 2);
+  hypothesis.splice(2000, 0, 'extra');
+  const ops = alignTokens(reference, hypothesis);
+  const count = type => ops.filter(op => op.type === type).length;
+
+  assert.strictEqual(count('substitution') + count('deletion') + count('insertion'), 4);
+  assert.strictEqual(count('equal'), 2097);
+});
+
+test('sumScores weighs transcripts by reference length', () => {
+  const pooled = sumScores([
+    evaluateTranscript('one two three four', 'one two three four'),
+    evaluateTranscript('five six', 'five seven'),
+  ]);
+  assert.strictEqual(pooled.words.reference, 6);
+  assert.strictEqual(pooled.words.errors, 1);
+  assert.strictEqual(pooled.words.errorRate, 1 / 6);
+  assert.strictEqual(sumScores([]).words.errorRate, null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { shiftSegments, mergeOverlappingText, mergeChunkResults } = require('../transcriptMerger');
+
+test('shiftSegments moves timings by the chunk offset', () => {
+  const shifted = shiftSegments([{ start: 1, end: 2.5, text: 'hi' }], 60);
+  assert.deepStrictEqual(shifted, [{ start: 61, end: 62.5, text: 'hi' }]);
+});
+
+test('mergeOverlappingText drops the words the next chunk repeats', () => {
+  const merged = mergeOverlappingText(
+    'we went down to the river and sat by the water',
+    'sat by the water for a while'
+  );
+  assert.strictEqual(merged, 'we went down to the river and sat by the water for a while');
+});
+
+test('mergeOverlappingText ignores case and punctuation and skips a few leading words', () => {
+  const merged = mergeOverlappingText(
+    'The results were clear. We shipped it on Monday',
+    'uh, we shipped it on Monday, and then we waited.'
+  );
+  assert.strictEqual(merged, 'The results were clear. We shipped it on Monday and then we waited.');
+});
+
+test('mergeOverlappingText keeps both texts when fewer than three words match', () => {
+  const merged = mergeOverlappingText('thanks for listening', 'listening to the show');
+  assert.strictEqual(merged, 'thanks for listening listening to the show');
+});
+
+test('mergeOverlappingText ignores a repeated phrase that is not at the end of the previous text', () => {
+  const merged = mergeOverlappingText(
+    'and I think we should go. Later on we went home and ate dinner together',
+    'and I think it was good'
+  );
+  assert.strictEqual(merged, 'and I think we should go. Later on we went home and ate dinner together and I think it was good');
+});
+
+test('mergeOverlappingText allows a couple of trailing words after the shared run', () => {
+  const merged = mergeOverlappingText('we walked to the old mill and uh', 'to the old mill and then home');
+  assert.strictEqual(merged, 'we walked to the old mill and then home');
+});
+
+test('mergeChunkResults joins chunks without overlap and offsets their segments', () => {
+  const merged = mergeChunkResults(
+    [
+      { text: 'first part', segments: [{ start: 0, end: 4, text: 'first part' }] },
+      { text: 'second part', segments: [{ start: 1, end: 3, text: 'second part' }] },
+    ],
+    [{ path: 'a.mp3', start: 0, duration: 10 }, { path: 'b.mp3', start: 10, duration: 10 }]
+  );
+  assert.strictEqual(merged.text, 'first part second part');
+  assert.deepStrictEqual(merged.segments.map(segment => [segment.id, segment.start, segment.end]), [[0, 0, 4], [1, 11, 13]]);
+  assert.deepStrictEqual(merged.chunks.map(chunk => chunk.start), [0, 10]);
+});
+
+test('mergeChunkResults splits overlapping timings at the middle of the overlap', () => {
+  // The chunks share 10 to 12 seconds; segments centred before 11 belong to the first chunk
+  const merged = mergeChunkResults(
+    [
+      {
+        text: 'one two three four five',
+        segments: [{ start: 0, end: 9, text: 'one two three' }, { start: 10, end: 11.5, text: 'four five' }],
+      },
+      {
+        text: 'three four five six seven',
+        segments: [{ start: 0, end: 1.5, text: 'three four five' }, { start: 1.5, end: 5, text: 'six seven' }],
+      },
+    ],
+    [{ path: 'a.mp3', start: 0, duration: 12 }, { path: 'b.mp3', start: 10, duration: 10 }]
+  );
+  assert.strictEqual(merged.text, 'one two three four five six seven');
+  assert.deepStrictEqual(merged.segments.map(segment => segment.text), ['one two three', 'four five', 'six seven']);
+  assert.deepStrictEqual(merged.segments.map(segment => segment.start), [0, 10, 11.5]);
+});
+
+test('mergeChunkResults only merges segments when every chunk has them', () => {
+  const merged = mergeChunkResults(
+    [{ text: 'a', segments: [] }, { text: 'b' }],
+    [{ path: 'a.mp3', start: 0, duration: 5 }, { path: 'b.mp3', start: 5, duration: 5 }]
+  );
+  assert.strictEqual(merged.segments, undefined);
+  assert.strictEqual(merged.words, undefined);
+});
+
+test('mergeChunkResults picks the language most chunks report', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const merged = mergeChunkResults(
+      [{ text: 'a', language: 'en' }, { text: 'b', language: 'de' }, { text: 'c', language: 'en' }],
+      [{ start: 0, duration: 5 }, { start: 5, duration: 5 }, { start: 10, duration: 5 }]
+    );
+    assert.strictEqual(merged.language, 'en');
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chooseSplitPoints } = require('../youtubeDownloader');
+
+test('audio within the chunk duration is not split', () => {
+  assert.deepStrictEqual(chooseSplitPoints(500, 600, [], 30), []);
+});
+
+test('without silences the audio is cut at the chunk duration', () => {
+  assert.deepStrictEqual(chooseSplitPoints(1500, 600, [], 30), [600, 1200]);
+});
+
+test('cuts move to the middle of the last silence before each boundary', () => {
+  const silences = [{ start: 560, end: 562 }, { start: 580, end: 584 }, { start: 1150, end: 1160 }];
+  assert.deepStrictEqual(chooseSplitPoints(1500, 600, silences, 30), [582, 1155]);
+});
+
+test('silences outside the search window are ignored', () => {
+  const silences = [{ start: 100, end: 110 }, { start: 601, end: 605 }];
+  assert.deepStrictEqual(chooseSplitPoints(1000, 600, silences, 30), [600]);
+});
@@ -0,0 +1,56 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Formats a number of seconds as a subtitle timestamp (HH:MM:SS,mmm)
+ * @param {number} seconds Time in seconds
+ * @param {string} separator Separator between seconds and milliseconds
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(seconds, separator = ',') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Parses a clock time such as "1:02:03", "12:30" or "95.5" into seconds
+ * @param {string} value Time as [[HH:]MM:]SS[.mmm]
+ * @returns {number} Time in seconds
+ */
+function parseTimestamp(value) {
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+    throw new ValidationError(`Invalid time: ${value}. Use [[HH:]MM:]SS`);
+  }
+  // Only the leading field may run past 59, so "90" and "90:00" work but "1:75" doesn't
+  if (parts.slice(1).some(part => parseFloat(part) >= 60)) {
+    throw new ValidationError(`Invalid time: ${value}. Minutes and seconds after the first field must be below 60`);
+  }
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Formats a number of seconds as a short clock time (M:SS or H:MM:SS)
+ * @param {number} seconds Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatClockTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+module.exports = {
+  formatTimestamp,
+  parseTimestamp,
+  formatClockTime
+};
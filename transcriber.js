@@ -1,131 +1,391 @@
-const { OpenAI } = require('openai');
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('./config');
+const { formatTranscription } = require('./outputFormatter');
+const { mergeChunkResults } = require('./transcriptMerger');
+const { writeTranscriptDocument } = require('./transcriptSchema');
+const { splitAudioIfNeeded } = require('./youtubeDownloader');
+const { preprocessAudio, mapToOriginalTime } = require('./audioPreprocessor');
+const { alignTranslation, getOriginalTranscription, getOriginalOutputPath } = require('./translation');
+const TranscriptionCache = require('./transcriptionCache');
+const { createEngine } = require('./transcriptionEngines');
+const { withRetry } = require('./retryPolicy');
+const { sharedRateLimiter } = require('./rateLimiter');
+const { mapWithConcurrency } = require('./asyncPool');
+const { getPricePerMinute, measureBilledSeconds } = require('./costEstimator');
+const { buildPrompt } = require('./glossary');
+const { correctTranscription } = require('./correctionRules');
+const UsageLedger = require('./usageLedger');
+const AudioProcessor = require('./audioProcessor');
+const { Workspace } = require('./workspace');
+const { summarizeSavedTranscript } = require('./transcriptSummarizer');
+const { extractAudioTrack, downloadMedia, getMediaUrlName } = require('./mediaInput');
+const { ValidationError, ApiError, AbortError, throwIfAborted } = require('./errors');
 
 /**
- * Handles transcription of audio files using OpenAI's Whisper API
+ * Handles transcription of audio files using a Whisper transcription engine, for YouTube jobs
+ * (see pipeline.js) as well as local audio and video files and media URLs
  */
 class Transcriber {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openaiApiKey,
+  /**
+   * @param {Object} options Transcriber options
+   * @param {boolean} options.cache Whether to use the local transcription cache (default: true)
+   * @param {string} options.engine Transcription engine name (default: config.engine)
+   * @param {string} options.baseUrl Base URL of an OpenAI-compatible server
+   * @param {string} options.apiKey OpenAI API key (default: config.openaiApiKey)
+   * @param {string} options.model Model name for the openai engine (default: config.whisperModel)
+   * @param {string} options.serverUrl whisper.cpp server URL (default: config.whisperServerUrl)
+   * @param {string} options.command whisper.cpp executable (default: config.whisperCommand)
+   * @param {string} options.commandModel whisper.cpp model file (default: config.whisperCommandModel)
+   * @param {string} options.cacheDir Transcription cache directory (default: config.cacheDir)
+   * @param {string} options.tempDir Directory for the command engine's working files (default: config.tempDir)
+   * @param {string} options.ledgerPath Usage ledger file (default: config.usageLedgerPath)
+   */
+  constructor(options = {}) {
+    this.engine = createEngine(options.engine, {
+      apiKey: options.apiKey,
+      baseURL: options.baseUrl,
+      model: options.model,
+      serverUrl: options.serverUrl,
+      command: options.command,
+      modelPath: options.commandModel,
+      tempDir: options.tempDir,
     });
+    this.cache = options.cache === false ? null : new TranscriptionCache(options.cacheDir);
+    this.ledger = new UsageLedger(options.ledgerPath);
   }
 
   /**
-   * Transcribes an audio file using Whisper API
+   * Transcribes an audio file using the configured engine
    * @param {string} audioFilePath Path to the audio file
    * @param {Object} options Transcription options
+   * @param {string[]} options.glossary Terms seeded into the prompt
+   * @param {string} options.context Previous chunk's text, added to the prompt after the glossary
+   * @param {boolean} options.wordTimestamps Request word timings (needs responseFormat "verbose_json")
+   * @param {Object} options.usage Adds the billed seconds of uncached requests to usage.seconds
+   * @param {AbortSignal} options.signal Cancels the request and any retries
    * @returns {Promise<Object>} Transcription result
    */
   async transcribeAudio(audioFilePath, options = {}) {
     const {
       language = config.defaultLanguage,
-      prompt = '',
+      glossary = [],
+      context = '',
       temperature = 0,
       responseFormat = 'json',
+      translate = false,
+      wordTimestamps = false,
+      signal,
     } = options;
+    const prompt = buildPrompt(glossary, context);
 
     if (!await fs.pathExists(audioFilePath)) {
-      throw new Error(`Audio file not found: ${audioFilePath}`);
+      throw new ValidationError(`Audio file not found: ${audioFilePath}`);
     }
 
     console.log(`Transcribing file: ${audioFilePath}`);
-    console.log(`Language: ${language}, Temperature: ${temperature}`);
+    console.log(`Language: ${language}, Temperature: ${temperature}${translate ? ', translating to English' : ''}`);
 
     const audioFile = await fs.readFile(audioFilePath);
     
-    // Implement retry logic
-    let lastError;
-    for (let attempt = 1; attempt <= config.maxRetries; attempt++) {
-      try {
-        const transcription = await this.openai.audio.transcriptions.create({
-        file: fs.createReadStream(audioFilePath),
-        model: config.whisperModel,
-        language,
-        prompt,
-        temperature,
-        response_format: responseFormat,
-      });
-        
-        console.log('Transcription successful');
-        return transcription;
-      } catch (error) {
-        lastError = error;
-        const retryMsg = attempt < config.maxRetries ? 
-          `Retrying in ${config.retryDelay/1000} seconds...` : 
-          'Max retries reached';
-        console.error(`Attempt ${attempt} failed: ${error.message}. ${retryMsg}`);
-        
-        if (attempt < config.maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, config.retryDelay));
-        }
+    // Identical audio transcribed with identical options is served from the cache
+    const cacheKey = this.cache && await this.cache.getKey(audioFilePath, {
+      engine: this.engine.cacheId,
+      language,
+      prompt,
+      temperature,
+      responseFormat,
+      ...(translate && { task: 'translate' }),
+      ...(wordTimestamps && { granularity: 'word' }),
+    });
+    const cached = cacheKey && await this.cache.get(cacheKey);
+    if (cached) {
+      console.log('Using cached transcription');
+      return cached;
+    }
+    
+    let transcription;
+    try {
+      transcription = await withRetry(async () => {
+        await sharedRateLimiter.acquire();
+        throwIfAborted(signal);
+        return this.engine.transcribe(audioFilePath, {
+          language,
+          prompt,
+          temperature,
+          responseFormat,
+          translate,
+          wordTimestamps,
+          signal,
+        });
+      }, { signal });
+    } catch (error) {
+      if (error instanceof AbortError || (signal && signal.aborted)) {
+        throw new AbortError();
       }
+      const attempts = `${error.attempts} attempt${error.attempts === 1 ? '' : 's'}`;
+      throw new ApiError(`Failed to transcribe after ${attempts}: ${error.message}`, { cause: error, attempts: error.attempts });
     }
     
-    throw new Error(`Failed to transcribe after ${config.maxRetries} attempts: ${lastError.message}`);
+    console.log('Transcription successful');
+    if (wordTimestamps && !translate && !transcription.words) {
+      console.warn(`Warning: the ${this.engine.name} engine returned no word timings`);
+    }
+    if (options.usage) {
+      options.usage.seconds += await measureBilledSeconds(audioFilePath, transcription);
+    }
+    if (cacheKey) {
+      await this.cache.set(cacheKey, transcription);
+    }
+    return transcription;
   }
 
   /**
    * Transcribe multiple audio chunks and combine the results
-   * @param {string[]} chunkPaths Array of paths to audio chunks
+   * @param {Object[]} chunks Array of audio chunks ({ path, start }) from splitAudioIfNeeded
    * @param {Object} options Transcription options
+   * @param {JobManifest} options.manifest Job manifest used to skip and record completed chunks
+   * @param {number} options.concurrency Number of chunks transcribed in parallel (default: config.concurrency)
+   * @param {Function} options.onProgress Called with a { type: 'chunk', index, completed, total } event per finished chunk
    * @returns {Promise<Object>} Combined transcription result
    */
-  async transcribeChunks(chunkPaths, options = {}) {
-    console.log(`Transcribing ${chunkPaths.length} audio chunks...`);
+  async transcribeChunks(chunks, options = {}) {
+    const { manifest, concurrency = config.concurrency, onProgress = () => {}, ...transcribeOptions } = options;
+    console.log(`Transcribing ${chunks.length} audio chunks...`);
     
-    const results = [];
-    for (let i = 0; i < chunkPaths.length; i++) {
-      console.log(`Processing chunk ${i+1}/${chunkPaths.length}`);
+    const results = new Array(chunks.length);
+    let completed = 0;
+    await mapWithConcurrency(chunks, concurrency, async (chunk, i) => {
+      throwIfAborted(transcribeOptions.signal);
+      const completedResult = manifest && manifest.getChunkResult(i);
+      if (completedResult) {
+        console.log(`Skipping chunk ${i+1}/${chunks.length} (already transcribed)`);
+        results[i] = completedResult;
+        onProgress({ type: 'chunk', index: i + 1, completed: ++completed, total: chunks.length });
+        return;
+      }
       
-      // Use previous chunk's end as context for the next chunk
-      let prompt = '';
-      if (i > 0 && results[i-1] && results[i-1].text) {
-        // Use the last ~100 words as context
-        const words = results[i-1].text.split(' ');
-        const contextWords = words.slice(Math.max(0, words.length - 100)).join(' ');
-        prompt = `Previous context: ${contextWords}`;
+      console.log(`Processing chunk ${i+1}/${chunks.length}`);
+      
+      // Use previous chunk's end as context for the next chunk. Chunks transcribed
+      // in parallel can't wait for their predecessor, so they go without context.
+      let context = '';
+      if (concurrency <= 1 && i > 0 && results[i-1] && results[i-1].text) {
+        context = results[i-1].text;
       }
       
-      const chunkResult = await this.transcribeAudio(chunkPaths[i], {
-        ...options,
-        prompt,
+      results[i] = await this.transcribeAudio(chunk.path, {
+        ...transcribeOptions,
+        context,
       });
       
-      results.push(chunkResult);
-    }
+      if (manifest) {
+        await manifest.setChunkResult(i, results[i]);
+      }
+      onProgress({ type: 'chunk', index: i + 1, completed: ++completed, total: chunks.length });
+    });
     
-    // Combine results
-    const combinedText = results.map(result => result.text).join(' ');
-    return {
-      text: combinedText,
-      chunks: results,
-    };
+    // Combine results in chunk order, shifting segment timings by each chunk's offset
+    return mergeChunkResults(results, chunks);
   }
 
   /**
    * Saves transcription to a file
    * @param {Object} transcription Transcription result
    * @param {string} outputPath Path to save the transcription
+   * @param {string} format Output format (txt, json, verbose_json, srt, vtt or html)
+   * @param {Object} metadata Source and processing details for the transcript document
    * @returns {Promise<string>} Path to the saved file
    */
-  async saveTranscription(transcription, outputPath) {
+  async saveTranscription(transcription, outputPath, format = 'txt', metadata = {}) {
     await fs.ensureDir(path.dirname(outputPath));
     
     // Save the full transcription
-    await fs.writeFile(outputPath, transcription.text);
+    await fs.writeFile(outputPath, formatTranscription(transcription, format, { source: metadata.source, outputPath }));
     
-    // If we have chunks, save detailed JSON with timestamps if available
-    if (transcription.chunks) {
-      const jsonPath = outputPath.replace(/\.[^.]+$/, '.json');
-      await fs.writeFile(jsonPath, JSON.stringify(transcription, null, 2));
-    }
+    // Always describe the transcript in the versioned schema next to it
+    await writeTranscriptDocument(outputPath, transcription, metadata);
     
     console.log(`Transcription saved to: ${outputPath}`);
     return outputPath;
   }
+
+  /**
+   * Transcribes an audio file, splitting it into chunks when it is over the chunk size
+   * @param {string} audioFilePath Path to the audio file
+   * @param {Object} options Transcription options (see transcribeAudio and transcribeChunks), plus overlap for splitting,
+   *   and the workspace to split into, or tempDir and keepAudio for one of its own
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribeAudioFile(audioFilePath, options = {}) {
+    const { onProgress = () => {} } = options;
+    if (!await fs.pathExists(audioFilePath)) {
+      throw new ValidationError(`Audio file not found: ${audioFilePath}`);
+    }
+
+    const fileStats = await fs.stat(audioFilePath);
+    console.log(`File size: ${(fileStats.size / (1024 * 1024)).toFixed(2)} MB`);
+    if (fileStats.size <= config.chunkSize) {
+      const result = await this.transcribeAudio(audioFilePath, options);
+      onProgress({ type: 'chunk', index: 1, completed: 1, total: 1 });
+      return result;
+    }
+
+    console.log('File is large, splitting into chunks...');
+    const workspace = options.workspace || await Workspace.create(path.basename(audioFilePath), {
+      tempDir: options.tempDir,
+      keep: options.keepAudio,
+    });
+    try {
+      const chunks = await splitAudioIfNeeded(audioFilePath, {
+        overlap: options.overlap,
+        tempDir: workspace.dir,
+        signal: options.signal,
+      });
+      console.log(`Audio split into ${chunks.length} chunks`);
+      onProgress({ type: 'split', chunks: chunks.length });
+      return await this.transcribeChunks(chunks, options);
+    } finally {
+      if (workspace !== options.workspace) {
+        await workspace.release();
+      }
+    }
+  }
+
+  /**
+   * Transcribes a local audio or video file and saves the transcript with its document.
+   * Video files have their audio track extracted first. Working files go to a workspace of the job's own under
+   * tempDir, removed when the file is done or fails unless keepAudio is set.
+   * @param {string} inputPath Audio or video file
+   * @param {string} outputPath Path to save the transcription
+   * @param {Object} options Transcription options (format, language, temperature, responseFormat, translate,
+   *   withOriginal, wordTimestamps, overlap, concurrency, preprocess, glossary, rules, source, tempDir, keepAudio,
+   *   workspace, summarizer to also save show notes, signal, onProgress)
+   * @returns {Promise<string>} Path to the saved transcription
+   */
+  async processAudioFile(inputPath, outputPath, options = {}) {
+    const { translate = false, withOriginal = false, preprocess = null, rules = null, signal } = options;
+    const usage = { seconds: 0 };
+    const ownWorkspace = !options.workspace;
+    const workspace = options.workspace || await Workspace.create(path.basename(inputPath), {
+      tempDir: options.tempDir,
+      keep: options.keepAudio,
+    });
+    options = { ...options, usage, workspace };
+    const tempDir = workspace.dir;
+    
+    // Extracted and preprocessed audio is uploaded instead of the input, and results are mapped back to the input's timeline
+    let audioPath = inputPath;
+    let uploadPath = inputPath;
+    let timeMap = null;
+    let transcription;
+    let original = null;
+    try {
+      if (AudioProcessor.isVideoFile(inputPath)) {
+        if (options.onProgress) options.onProgress({ type: 'extract', status: 'started' });
+        audioPath = await extractAudioTrack(inputPath, { tempDir, signal });
+        uploadPath = audioPath;
+        if (options.onProgress) options.onProgress({ type: 'extract', status: 'completed' });
+      }
+      if (preprocess) {
+        if (options.onProgress) options.onProgress({ type: 'preprocess', status: 'started', stages: preprocess.stages });
+        ({ path: uploadPath, timeMap } = await preprocessAudio(audioPath, preprocess, { tempDir, signal }));
+        if (options.onProgress) options.onProgress({ type: 'preprocess', status: 'completed', stages: preprocess.stages });
+      }
+      const transcribe = async transcribeOptions =>
+        mapToOriginalTime(await this.transcribeAudioFile(uploadPath, transcribeOptions), timeMap);
+      
+      // With the original kept, the spoken language is transcribed first and the translation aligned to it
+      if (translate && withOriginal) {
+        const spoken = await transcribe({ ...options, translate: false });
+        console.log('Translating to English...');
+        const translation = await transcribe(options);
+        transcription = alignTranslation(spoken, translation);
+        original = await correctTranscription(getOriginalTranscription(transcription), rules, getOriginalOutputPath(outputPath));
+      } else {
+        transcription = await transcribe(options);
+        if (translate) {
+          transcription = { ...transcription, language: 'en' };
+        }
+      }
+    } finally {
+      if (ownWorkspace) {
+        await workspace.release();
+      }
+    }
+    
+    transcription = await correctTranscription(transcription, rules, outputPath);
+    
+    const source = options.source || {
+      type: 'file',
+      path: path.resolve(inputPath),
+      fileName: path.basename(inputPath),
+      sizeBytes: (await fs.stat(inputPath)).size,
+    };
+    const processing = {
+      transcriptSource: 'whisper',
+      engine: this.engine.name,
+      model: this.engine.model || null,
+      task: translate ? 'translate' : 'transcribe',
+      language: options.language || config.defaultLanguage,
+      temperature: options.temperature || 0,
+      responseFormat: options.responseFormat || 'json',
+      overlap: options.overlap || 0,
+      preprocess,
+    };
+    await this.saveTranscription(transcription, outputPath, options.format, { source, processing });
+    if (original) {
+      const originalPath = getOriginalOutputPath(outputPath);
+      await this.saveTranscription(original, originalPath, options.format, {
+        source,
+        processing: { ...processing, task: 'transcribe' },
+      });
+    }
+    if (options.onProgress) options.onProgress({ type: 'saved', path: outputPath });
+
+    const minutes = usage.seconds / 60;
+    const entry = await this.ledger.record({
+      type: 'file',
+      source: source.path || source.url,
+      engine: processing.engine,
+      model: processing.model,
+      task: processing.task,
+      transcriptSource: processing.transcriptSource,
+      minutes,
+      cost: minutes * getPricePerMinute(this.engine),
+    });
+    if (options.onProgress) options.onProgress({ type: 'usage', minutes: entry.minutes, cost: entry.cost });
+    if (options.summarizer) {
+      await summarizeSavedTranscript(outputPath, options.summarizer, { signal, onProgress: options.onProgress });
+    }
+    return outputPath;
+  }
+
+  /**
+   * Downloads a direct media URL or HLS playlist, then transcribes it like a local file
+   * @param {string} url Media or .m3u8 playlist URL
+   * @param {string} outputPath Path to save the transcription
+   * @param {Object} options Transcription options (see processAudioFile)
+   * @returns {Promise<string>} Path to the saved transcription
+   */
+  async processMediaUrl(url, outputPath, options = {}) {
+    const { signal, onProgress } = options;
+    // The download shares the job's workspace with the audio extracted from it
+    const workspace = await Workspace.create(getMediaUrlName(url), { tempDir: options.tempDir, keep: options.keepAudio });
+    try {
+      if (onProgress) onProgress({ type: 'download', status: 'started' });
+      const downloadPath = await downloadMedia(url, { tempDir: workspace.dir, signal, onProgress });
+      if (onProgress) onProgress({ type: 'download', status: 'completed' });
+      const audioPath = await extractAudioTrack(downloadPath, { tempDir: workspace.dir, signal });
+      return await this.processAudioFile(audioPath, outputPath, {
+        ...options,
+        workspace,
+        source: { type: 'url', url, fileName: getMediaUrlName(url) },
+      });
+    } finally {
+      await workspace.release();
+    }
+  }
 }
 
 module.exports = Transcriber;
\ No newline at end of file
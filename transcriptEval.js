@@ -0,0 +1,359 @@
+const { ValidationError } = require('./errors');
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+const ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+// Above this many cells (reference tokens x hypothesis tokens) alignments are split in half
+// (Hirschberg) so long transcripts align in linear memory
+const DIRECT_ALIGNMENT_CELLS = 4000000;
+
+/**
+ * Spells out a whole number in English words, without "and" or hyphens
+ * @param {string} digits Number as digits
+ * @returns {string} Words, e.g. "one thousand two hundred thirty four"
+ */
+function numberToWords(digits) {
+  // Leading zeros (007) and numbers past the trillions are read digit by digit
+  if ((digits.length > 1 && digits.startsWith('0')) || digits.length > 15) {
+    return digits.split('').map(digit => ONES[digit]).join(' ');
+  }
+  let number = parseInt(digits, 10);
+  if (number === 0) {
+    return ONES[0];
+  }
+
+  const belowThousand = value => {
+    const words = [];
+    if (value >= 100) {
+      words.push(ONES[Math.floor(value / 100)], 'hundred');
+      value %= 100;
+    }
+    if (value >= 20) {
+      words.push(TENS[Math.floor(value / 10)]);
+      value %= 10;
+    }
+    if (value > 0) {
+      words.push(ONES[value]);
+    }
+    return words;
+  };
+
+  const groups = [];
+  for (let scale = 0; number > 0; scale++, number = Math.floor(number / 1000)) {
+    const group = number % 1000;
+    if (group > 0) {
+      groups.unshift([...belowThousand(group), SCALES[scale]].filter(Boolean).join(' '));
+    }
+  }
+  return groups.join(' ');
+}
+
+/**
+ * Turns the last word of a spelled-out number into its ordinal ("twenty one" -> "twenty first")
+ * @param {string} words Spelled-out number
+ * @returns {string} Ordinal words
+ */
+function toOrdinal(words) {
+  const parts = words.split(' ');
+  const last = parts.pop();
+  const ordinal = ORDINALS[last] || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`);
+  return [...parts, ordinal].join(' ');
+}
+
+/**
+ * Normalizes transcript text so that only wording differences count as errors: lowercases it,
+ * spells out numbers, and drops punctuation, apostrophes and extra whitespace
+ * @param {string} text Transcript text
+ * @param {Object} options Normalization options
+ * @param {boolean} options.numbers Spell out numbers in English words (default: true)
+ * @returns {string} Normalized text, words separated by single spaces
+ */
+function normalizeText(text, options = {}) {
+  const { numbers = true } = options;
+  let normalized = text.normalize('NFKC').toLowerCase();
+
+  if (numbers) {
+    normalized = normalized
+      .replace(/(\d),(?=\d{3}\b)/g, '$1')
+      .replace(/(\d)\s*%/g, '$1 percent')
+      .replace(/\b(\d+)(st|nd|rd|th)\b/g, (match, digits) => ` ${toOrdinal(numberToWords(digits))} `)
+      .replace(/\b(\d+)\.(\d+)\b/g, (match, whole, fraction) =>
+        ` ${numberToWords(whole)} point ${fraction.split('').map(digit => ONES[digit]).join(' ')} `)
+      .replace(/\d+/g, digits => ` ${numberToWords(digits)} `);
+  }
+
+  return normalized
+    .replace(/(?<=\p{L})['’](?=\p{L})/gu, '')
+    .replace(/[\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Computes the last row of the edit distance table between two token ranges, in linear memory
+ * @param {Int32Array} a First tokens
+ * @param {number} aFrom Start of the first range
+ * @param {number} aTo End of the first range
+ * @param {Int32Array} b Second tokens
+ * @param {number} bFrom Start of the second range
+ * @param {number} bTo End of the second range
+ * @param {boolean} reverse Align the ranges from their ends instead of their starts
+ * @returns {Int32Array} row[j] is the distance between the first range and j tokens of the second
+ */
+function lastDistanceRow(a, aFrom, aTo, b, bFrom, bTo, reverse = false) {
+  const m = bTo - bFrom;
+  let previous = new Int32Array(m + 1);
+  let current = new Int32Array(m + 1);
+  for (let j = 0; j <= m; j++) previous[j] = j;
+
+  for (let i = 1; i <= aTo - aFrom; i++) {
+    const token = reverse ? a[aTo - i] : a[aFrom + i - 1];
+    current[0] = i;
+    for (let j = 1; j <= m; j++) {
+      const other = reverse ? b[bTo - j] : b[bFrom + j - 1];
+      current[j] = Math.min(previous[j - 1] + (token === other ? 0 : 1), previous[j] + 1, current[j - 1] + 1);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous;
+}
+
+/**
+ * Aligns two token ranges with a full edit distance table and appends the operations
+ * @param {Int32Array} a Reference tokens
+ * @param {number} aFrom Start of the reference range
+ * @param {number} aTo End of the reference range
+ * @param {Int32Array} b Hypothesis tokens
+ * @param {number} bFrom Start of the hypothesis range
+ * @param {number} bTo End of the hypothesis range
+ * @param {Object[]} ops Operations to append to
+ */
+function alignDirect(a, aFrom, aTo, b, bFrom, bTo, ops) {
+  const n = aTo - aFrom;
+  const m = bTo - bFrom;
+  const width = m + 1;
+  const cost = new Int32Array((n + 1) * width);
+  for (let j = 0; j <= m; j++) cost[j] = j;
+  for (let i = 1; i <= n; i++) {
+    cost[i * width] = i;
+    for (let j = 1; j <= m; j++) {
+      const diagonal = cost[(i - 1) * width + j - 1] + (a[aFrom + i - 1] === b[bFrom + j - 1] ? 0 : 1);
+      cost[i * width + j] = Math.min(diagonal, cost[(i - 1) * width + j] + 1, cost[i * width + j - 1] + 1);
+    }
+  }
+
+  // Walk back from the end, preferring matches and substitutions over deletions and insertions
+  const reversed = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const here = cost[i * width + j];
+    if (i > 0 && j > 0) {
+      const same = a[aFrom + i - 1] === b[bFrom + j - 1];
+      if (here === cost[(i - 1) * width + j - 1] + (same ? 0 : 1)) {
+        reversed.push({ type: same ? 'equal' : 'substitution', reference: aFrom + i - 1, hypothesis: bFrom + j - 1 });
+        i--;
+        j--;
+        continue;
+      }
+    }
+    if (i > 0 && here === cost[(i - 1) * width + j] + 1) {
+      reversed.push({ type: 'deletion', reference: aFrom + i - 1, hypothesis: null });
+      i--;
+    } else {
+      reversed.push({ type: 'insertion', reference: null, hypothesis: bFrom + j - 1 });
+      j--;
+    }
+  }
+  ops.push(...reversed.reverse());
+}
+
+/**
+ * Aligns two token ranges and appends the operations, splitting long ranges in half
+ * @param {Int32Array} a Reference tokens
+ * @param {number} aFrom Start of the reference range
+ * @param {number} aTo End of the reference range
+ * @param {Int32Array} b Hypothesis tokens
+ * @param {number} bFrom Start of the hypothesis range
+ * @param {number} bTo End of the hypothesis range
+ * @param {Object[]} ops Operations to append to
+ */
+function alignRange(a, aFrom, aTo, b, bFrom, bTo, ops) {
+  // Matching starts and ends need no table
+  while (aFrom < aTo && bFrom < bTo && a[aFrom] === b[bFrom]) {
+    ops.push({ type: 'equal', reference: aFrom++, hypothesis: bFrom++ });
+  }
+  let suffix = 0;
+  while (aTo - suffix > aFrom && bTo - suffix > bFrom && a[aTo - suffix - 1] === b[bTo - suffix - 1]) {
+    suffix++;
+  }
+  aTo -= suffix;
+  bTo -= suffix;
+
+  const n = aTo - aFrom;
+  const m = bTo - bFrom;
+  if (n === 0) {
+    for (let j = bFrom; j < bTo; j++) ops.push({ type: 'insertion', reference: null, hypothesis: j });
+  } else if (m === 0) {
+    for (let i = aFrom; i < aTo; i++) ops.push({ type: 'deletion', reference: i, hypothesis: null });
+  } else if (n === 1 || n * m <= DIRECT_ALIGNMENT_CELLS) {
+    alignDirect(a, aFrom, aTo, b, bFrom, bTo, ops);
+  } else {
+    const middle = aFrom + Math.floor(n / 2);
+    const forward = lastDistanceRow(a, aFrom, middle, b, bFrom, bTo);
+    const backward = lastDistanceRow(a, middle, aTo, b, bFrom, bTo, true);
+    let split = 0;
+    for (let j = 1; j <= m; j++) {
+      if (forward[j] + backward[m - j] < forward[split] + backward[m - split]) split = j;
+    }
+    alignRange(a, aFrom, middle, b, bFrom, bFrom + split, ops);
+    alignRange(a, middle, aTo, b, bFrom + split, bTo, ops);
+  }
+
+  for (let k = suffix; k > 0; k--) {
+    ops.push({ type: 'equal', reference: aTo + suffix - k, hypothesis: bTo + suffix - k });
+  }
+}
+
+/**
+ * Aligns hypothesis tokens with reference tokens at the minimum number of edits
+ * @param {string[]} reference Reference tokens
+ * @param {string[]} hypothesis Hypothesis tokens
+ * @returns {Object[]} Operations ({ type, reference, hypothesis }) in order, type being equal,
+ *   substitution, deletion or insertion and reference/hypothesis the token indexes (null when absent)
+ */
+function alignTokens(reference, hypothesis) {
+  const ids = new Map();
+  const toIds = tokens => Int32Array.from(tokens, token => {
+    if (!ids.has(token)) ids.set(token, ids.size);
+    return ids.get(token);
+  });
+  const ops = [];
+  alignRange(toIds(reference), 0, reference.length, toIds(hypothesis), 0, hypothesis.length, ops);
+  return ops;
+}
+
+/**
+ * Counts the character edits between two strings
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Edit distance
+ */
+function characterDistance(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return a.length + b.length;
+  }
+  const codes = text => Int32Array.from(text, char => char.codePointAt(0));
+  const row = lastDistanceRow(codes(a), 0, a.length, codes(b), 0, b.length);
+  return row[b.length];
+}
+
+/**
+ * Renders an alignment as text with the differences marked: [ref => hyp] for substitutions,
+ * [-ref-] for deletions and [+hyp+] for insertions
+ * @param {Object[]} ops Operations from alignTokens
+ * @param {string[]} reference Reference tokens
+ * @param {string[]} hypothesis Hypothesis tokens
+ * @returns {string} Marked-up text
+ */
+function formatAlignment(ops, reference, hypothesis) {
+  const parts = [];
+  for (let k = 0; k < ops.length;) {
+    const type = ops[k].type;
+    const run = [];
+    while (k < ops.length && ops[k].type === type) run.push(ops[k++]);
+
+    const refWords = run.filter(op => op.reference !== null).map(op => reference[op.reference]).join(' ');
+    const hypWords = run.filter(op => op.hypothesis !== null).map(op => hypothesis[op.hypothesis]).join(' ');
+    if (type === 'equal') parts.push(refWords);
+    else if (type === 'substitution') parts.push(`[${refWords} => ${hypWords}]`);
+    else if (type === 'deletion') parts.push(`[-${refWords}-]`);
+    else parts.push(`[+${hypWords}+]`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Scores a transcript against a reference: word error rate from the word alignment, and
+ * character error rate from the character edits within each stretch of differing words
+ * @param {string} referenceText Reference transcript
+ * @param {string} hypothesisText Transcript to score
+ * @param {Object} options Normalization options ({ numbers }, see normalizeText)
+ * @returns {Object} Scores ({ words, characters, alignment }); words holds reference, hits,
+ *   substitutions, deletions, insertions, errors and errorRate, characters holds reference,
+ *   errors and errorRate
+ */
+function evaluateTranscript(referenceText, hypothesisText, options = {}) {
+  const reference = normalizeText(referenceText, options).split(' ').filter(Boolean);
+  const hypothesis = normalizeText(hypothesisText, options).split(' ').filter(Boolean);
+  if (reference.length === 0) {
+    throw new ValidationError('Reference transcript has no words');
+  }
+
+  const ops = alignTokens(reference, hypothesis);
+  const count = type => ops.filter(op => op.type === type).length;
+  const words = {
+    reference: reference.length,
+    hits: count('equal'),
+    substitutions: count('substitution'),
+    deletions: count('deletion'),
+    insertions: count('insertion'),
+  };
+  words.errors = words.substitutions + words.deletions + words.insertions;
+  words.errorRate = words.errors / words.reference;
+
+  // Each word is counted with the space after it, so dropping or adding a word costs its space too
+  let characterErrors = 0;
+  for (let k = 0; k < ops.length;) {
+    if (ops[k].type === 'equal') {
+      k++;
+      continue;
+    }
+    let refText = '';
+    let hypText = '';
+    for (; k < ops.length && ops[k].type !== 'equal'; k++) {
+      if (ops[k].reference !== null) refText += `${reference[ops[k].reference]} `;
+      if (ops[k].hypothesis !== null) hypText += `${hypothesis[ops[k].hypothesis]} `;
+    }
+    characterErrors += characterDistance(refText, hypText);
+  }
+  const referenceCharacters = reference.join(' ').length;
+
+  return {
+    words,
+    characters: {
+      reference: referenceCharacters,
+      errors: characterErrors,
+      errorRate: characterErrors / referenceCharacters,
+    },
+    alignment: formatAlignment(ops, reference, hypothesis),
+  };
+}
+
+/**
+ * Pools the scores of several transcripts, weighting each by its reference length
+ * @param {Object[]} scores Scores from evaluateTranscript
+ * @returns {Object} Pooled scores ({ words, characters }) without an alignment
+ */
+function sumScores(scores) {
+  const words = { reference: 0, hits: 0, substitutions: 0, deletions: 0, insertions: 0, errors: 0 };
+  const characters = { reference: 0, errors: 0 };
+  for (const score of scores) {
+    Object.keys(words).forEach(key => { words[key] += score.words[key]; });
+    Object.keys(characters).forEach(key => { characters[key] += score.characters[key]; });
+  }
+  words.errorRate = words.reference > 0 ? words.errors / words.reference : null;
+  characters.errorRate = characters.reference > 0 ? characters.errors / characters.reference : null;
+  return { words, characters };
+}
+
+module.exports = {
+  normalizeText,
+  alignTokens,
+  formatAlignment,
+  evaluateTranscript,
+  sumScores
+};
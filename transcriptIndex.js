@@ -0,0 +1,353 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseTimestamp } = require('./timeUtils');
+const config = require('./config');
+
+// Bump when the stored document shape changes so old indexes are rebuilt
+const INDEX_VERSION = 1;
+
+// Transcript files that can be indexed, best first: transcript documents and JSON carry segments and language
+const INDEXED_EXTENSIONS = ['.transcript.json', '.json', '.vtt', '.srt', '.txt'];
+
+// Characters of transcript shown on each side of a match
+const CONTEXT_CHARS = 80;
+
+// YouTube output files are named after the video id, optionally with a _start-end clip suffix
+const YOUTUBE_FILE_PATTERN = /^([A-Za-z0-9_-]{11})(?:_\d+-(?:\d+|end))?$/;
+
+/**
+ * Parses SRT or WebVTT subtitles into segments
+ * @param {string} content Subtitle file content
+ * @returns {Object[]} Segments ({ start, end, text })
+ */
+function parseSubtitles(content) {
+  const segments = [];
+  for (const block of content.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n').filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [start, end] = lines[timingIndex]
+      .split('-->')
+      .map(time => parseTimestamp(time.trim().split(/\s+/)[0].replace(',', '.')));
+    const text = lines.slice(timingIndex + 1).join(' ').trim();
+    if (text) segments.push({ start, end, text });
+  }
+  return segments;
+}
+
+/**
+ * Reads a transcript file into an index document
+ * @param {string} filePath Transcript file
+ * @param {Object} stats File stats
+ * @returns {Promise<Object|null>} Document, or null when the file isn't a transcript
+ */
+async function readDocument(filePath, stats) {
+  const ext = path.extname(filePath).toLowerCase();
+  const content = await fs.readFile(filePath, 'utf8');
+  const document = {
+    path: filePath,
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    date: stats.mtime.toISOString(),
+    language: null,
+    videoId: null,
+    text: '',
+    segments: null,
+  };
+
+  if (ext === '.json') {
+    let transcription;
+    try {
+      transcription = JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+    if (!transcription || typeof transcription.text !== 'string') {
+      return null;
+    }
+    document.text = transcription.text;
+    document.language = transcription.language || null;
+    document.videoId = transcription.videoId || (transcription.source && transcription.source.videoId) || null;
+    if (transcription.schemaVersion && transcription.createdAt) {
+      document.date = transcription.createdAt;
+    }
+    if (Array.isArray(transcription.segments)) {
+      document.segments = transcription.segments.map(({ start, end, text }) => ({ start, end, text }));
+    }
+  } else if (ext === '.srt' || ext === '.vtt') {
+    document.segments = parseSubtitles(content);
+    document.text = document.segments.map(segment => segment.text).join(' ');
+  } else {
+    document.text = content;
+  }
+
+  if (!document.videoId && path.resolve(path.dirname(filePath)) === path.resolve(config.outputDir)) {
+    const match = path.basename(filePath, ext).match(YOUTUBE_FILE_PATTERN);
+    if (match) document.videoId = match[1];
+  }
+  return document;
+}
+
+/**
+ * Splits a query into terms and "quoted phrases"
+ * @param {string} query Search query
+ * @returns {string[][]} Each term or phrase as a list of lowercase words
+ */
+function parseQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const words = (match[1] !== undefined ? match[1] : match[2])
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}']+/u)
+      .filter(Boolean);
+    if (words.length > 0) terms.push(words);
+  }
+  return terms;
+}
+
+/**
+ * Builds a regex matching a term or phrase as whole words, ignoring punctuation between them
+ * @param {string[]} words Words of the term or phrase
+ * @returns {RegExp} Regex
+ */
+function termPattern(words) {
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped.join("[^\\p{L}\\p{N}']+")}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Checks a transcript's language against a filter. Whisper reports language names
+ * ("german") while captions and the CLI use codes ("de"), so both are accepted.
+ * @param {string|null} documentLanguage Language stored with the transcript
+ * @param {string} language Language code or name to match
+ * @returns {boolean} True when they refer to the same language
+ */
+function matchesLanguage(documentLanguage, language) {
+  if (!documentLanguage) {
+    return false;
+  }
+  const names = [language.toLowerCase()];
+  try {
+    names.push(new Intl.DisplayNames(['en'], { type: 'language' }).of(language).toLowerCase());
+  } catch (error) {
+    // Not a language code, compare the name as given
+  }
+  const stored = documentLanguage.toLowerCase();
+  return names.some(name => stored === name || stored.startsWith(`${name}-`));
+}
+
+/**
+ * Local search index over saved transcripts, stored as a single JSON file and
+ * updated incrementally from file sizes and modification times.
+ */
+class TranscriptIndex {
+  /**
+   * @param {string} indexPath Index file (default: config.searchIndexPath)
+   */
+  constructor(indexPath = config.searchIndexPath) {
+    this.indexPath = indexPath;
+    this.documents = {};
+  }
+
+  /**
+   * Reads the stored index; an index missing or written by another version starts empty
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (await fs.pathExists(this.indexPath)) {
+      const stored = await fs.readJson(this.indexPath);
+      if (stored.version === INDEX_VERSION) {
+        this.documents = stored.documents;
+      }
+    }
+  }
+
+  /**
+   * Writes the index to its file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await fs.ensureDir(path.dirname(this.indexPath));
+    await fs.writeJson(this.indexPath, { version: INDEX_VERSION, documents: this.documents });
+  }
+
+  /**
+   * Brings the index up to date with the transcripts in some directories. Only one file per
+   * transcript is indexed, preferring the JSON sidecar when there is one.
+   * @param {string[]} dirs Directories to scan recursively
+   * @returns {Promise<Object>} Counts of { added, updated, removed, unchanged } documents
+   */
+  async update(dirs) {
+    const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+    const best = new Map();
+    for (const file of (await Promise.all(dirs.map(listFiles))).flat()) {
+      const rank = getExtensionRank(file);
+      if (rank === -1) continue;
+      const base = file.slice(0, -INDEXED_EXTENSIONS[rank].length);
+      const current = best.get(base);
+      if (!current || rank < getExtensionRank(current)) {
+        best.set(base, file);
+      }
+    }
+    const files = new Set(best.values());
+
+    for (const indexedPath of Object.keys(this.documents)) {
+      if (!files.has(indexedPath)) {
+        delete this.documents[indexedPath];
+        counts.removed++;
+      }
+    }
+
+    for (const file of files) {
+      const stats = await fs.stat(file);
+      const existing = this.documents[file];
+      if (existing && existing.size === stats.size && existing.mtimeMs === stats.mtimeMs) {
+        counts.unchanged++;
+        continue;
+      }
+      const document = await readDocument(file, stats);
+      if (document) {
+        this.documents[file] = document;
+        counts[existing ? 'updated' : 'added']++;
+      } else if (existing) {
+        delete this.documents[file];
+        counts.removed++;
+      }
+    }
+
+    await this.save();
+    return counts;
+  }
+
+  /**
+   * Searches the indexed transcripts. A document matches when it contains every term and phrase.
+   * @param {string} query Words and "quoted phrases"
+   * @param {Object} filters Filters
+   * @param {Date} filters.since Only transcripts saved on or after this date
+   * @param {Date} filters.until Only transcripts saved before this date
+   * @param {string} filters.language Language code
+   * @param {string} filters.source 'youtube', 'file', a video id or a file name
+   * @param {number} filters.limit Maximum number of matches (default: 20)
+   * @returns {Object[]} Matches ({ path, source, date, language, context, start, url })
+   */
+  search(query, filters = {}) {
+    const { since = null, until = null, language = null, source = null, limit = 20 } = filters;
+    const terms = parseQuery(query);
+    if (terms.length === 0) {
+      throw new Error('Search query is empty');
+    }
+
+    const documents = Object.values(this.documents)
+      .filter(document => {
+        const date = new Date(document.date);
+        if (since && date < since) return false;
+        if (until && date >= until) return false;
+        if (language && !matchesLanguage(document.language, language)) return false;
+        if (source === 'youtube') return Boolean(document.videoId);
+        if (source === 'file') return !document.videoId;
+        if (source) return document.videoId === source || path.basename(document.path) === source
+          || path.basename(document.path, path.extname(document.path)) === source;
+        return true;
+      })
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    const matches = [];
+    for (const document of documents) {
+      // Search the segment text when there is one, so offsets map back to timings
+      const segmentStarts = [];
+      let text = document.text;
+      if (document.segments && document.segments.length > 0) {
+        text = '';
+        for (const segment of document.segments) {
+          segmentStarts.push({ offset: text.length, start: segment.start });
+          text += `${segment.text} `;
+        }
+      }
+
+      const hits = terms.map(words => [...text.matchAll(termPattern(words))]);
+      if (hits.some(termHits => termHits.length === 0)) continue;
+
+      // Hits close enough to share their context are reported once
+      let contextEnd = -1;
+      for (const hit of hits.flat().sort((a, b) => a.index - b.index)) {
+        if (hit.index < contextEnd) continue;
+        if (matches.length >= limit) return matches;
+        matches.push(this.describeMatch(document, text, hit, segmentStarts));
+        contextEnd = hit.index + hit[0].length + CONTEXT_CHARS;
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Describes a hit with its surrounding text, the time of the segment it falls in and,
+   * for YouTube videos, a link to that moment
+   * @param {Object} document Indexed document
+   * @param {string} text Text that was searched
+   * @param {Object} hit Regular expression match in the text
+   * @param {Object[]} segmentStarts Offset of each segment in the text ({ offset, start })
+   * @returns {Object} Match ({ path, source, date, language, context, start, url })
+   */
+  describeMatch(document, text, hit, segmentStarts) {
+    const from = Math.max(0, hit.index - CONTEXT_CHARS);
+    const to = Math.min(text.length, hit.index + hit[0].length + CONTEXT_CHARS);
+    const context = `${from > 0 ? '...' : ''}${text.slice(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '...' : ''}`;
+
+    let start = null;
+    for (const segment of segmentStarts) {
+      if (segment.offset > hit.index) break;
+      start = segment.start;
+    }
+
+    const match = {
+      path: document.path,
+      source: document.videoId || path.basename(document.path),
+      date: document.date,
+      language: document.language,
+      context,
+      start,
+      url: null,
+    };
+    if (document.videoId) {
+      match.url = `https://www.youtube.com/watch?v=${document.videoId}${start !== null ? `&t=${Math.floor(start)}s` : ''}`;
+    }
+    return match;
+  }
+}
+
+/**
+ * Ranks a file by how well its format suits the index
+ * @param {string} file File path
+ * @returns {number} Position in INDEXED_EXTENSIONS, -1 for files that aren't indexed
+ */
+function getExtensionRank(file) {
+  const name = file.toLowerCase();
+  return INDEXED_EXTENSIONS.findIndex(ext => name.endsWith(ext));
+}
+
+/**
+ * Lists all files below a directory
+ * @param {string} dir Directory
+ * @returns {Promise<string[]>} Absolute file paths, or none if the directory doesn't exist
+ */
+async function listFiles(dir) {
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.resolve(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+module.exports = TranscriptIndex;
@@ -0,0 +1,178 @@
+// Shortest run of matching words accepted as a duplicated overlap
+const MIN_OVERLAP_WORDS = 3;
+
+// How many words at each chunk seam are compared when looking for duplicates
+const OVERLAP_SEARCH_WORDS = 80;
+
+// How many leading words of the next chunk may precede the duplicated run
+const MAX_LEADING_SKIP = 5;
+
+// How many trailing words of the previous chunk may follow the duplicated run
+const MAX_TRAILING_SKIP = 2;
+
+/**
+ * Shifts segment (or word) timings by a chunk's start offset
+ * @param {Object[]} segments Segments or words relative to the chunk
+ * @param {number} offset Chunk start time in seconds
+ * @returns {Object[]} Segments or words relative to the original audio
+ */
+function shiftSegments(segments, offset) {
+  return segments.map(segment => ({
+    ...segment,
+    start: segment.start + offset,
+    end: segment.end + offset,
+  }));
+}
+
+/**
+ * Normalizes a word for comparison by lowercasing and stripping punctuation
+ * @param {string} word Word to normalize
+ * @returns {string} Normalized word
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Joins two transcript texts, removing the words the second repeats from the end of the first
+ * @param {string} previousText Text transcribed so far
+ * @param {string} nextText Text of the next, overlapping chunk
+ * @returns {string} Combined text
+ */
+function mergeOverlappingText(previousText, nextText) {
+  const previousWords = previousText.split(/\s+/).filter(Boolean);
+  const nextWords = nextText.split(/\s+/).filter(Boolean);
+
+  const tailStart = Math.max(0, previousWords.length - OVERLAP_SEARCH_WORDS);
+  const tail = previousWords.slice(tailStart).map(normalizeWord);
+  const head = nextWords.slice(0, OVERLAP_SEARCH_WORDS).map(normalizeWord);
+
+  // Find the longest run of words shared by the end of one chunk and the start of the next.
+  // A run further back is a phrase said twice, not the overlap, so it's never cut at.
+  let best = { length: 0, tailIndex: 0, headIndex: 0 };
+  for (let headIndex = 0; headIndex <= Math.min(MAX_LEADING_SKIP, head.length - 1); headIndex++) {
+    for (let tailIndex = 0; tailIndex < tail.length; tailIndex++) {
+      let length = 0;
+      while (
+        tailIndex + length < tail.length &&
+        headIndex + length < head.length &&
+        tail[tailIndex + length] &&
+        tail[tailIndex + length] === head[headIndex + length]
+      ) {
+        length++;
+      }
+      const trailing = tail.length - (tailIndex + length);
+      if (length > best.length && trailing <= MAX_TRAILING_SKIP) {
+        best = { length, tailIndex, headIndex };
+      }
+    }
+  }
+
+  if (best.length < MIN_OVERLAP_WORDS) {
+    return [previousText.trim(), nextText.trim()].filter(Boolean).join(' ');
+  }
+
+  // Keep the previous chunk up to the end of the shared run and continue after it in the next chunk
+  const kept = previousWords.slice(0, tailStart + best.tailIndex + best.length);
+  const rest = nextWords.slice(best.headIndex + best.length);
+  return [...kept, ...rest].join(' ');
+}
+
+/**
+ * Combines per-chunk transcription results into a single transcription
+ * @param {Object[]} results Transcription result of each chunk
+ * @param {Object[]} chunks Chunks the results belong to ({ path, start, duration })
+ * @returns {Object} Combined transcription result
+ */
+function mergeChunkResults(results, chunks) {
+  let text = '';
+  results.forEach((result, i) => {
+    const previousEnd = i > 0 ? chunkEnd(chunks[i - 1]) : null;
+    const overlapsPrevious = previousEnd !== null && chunks[i].start < previousEnd;
+    text = overlapsPrevious
+      ? mergeOverlappingText(text, result.text)
+      : [text, result.text.trim()].filter(Boolean).join(' ');
+  });
+
+  // Keep each chunk's result together with where the chunk sits in the audio
+  const merged = {
+    text,
+    ...getMajorityLanguage(results),
+    chunks: results.map((result, i) => ({
+      ...result,
+      start: chunks[i].start || 0,
+      ...(typeof chunks[i].duration === 'number' && { duration: chunks[i].duration }),
+    })),
+  };
+
+  // Only produce merged segments and words when every chunk has timings
+  const hasSegments = results.every(result => Array.isArray(result.segments));
+  const hasWords = results.every(result => Array.isArray(result.words));
+  if (hasSegments) merged.segments = [];
+  if (hasWords) merged.words = [];
+
+  results.forEach((result, i) => {
+    // Split each overlap region at its midpoint: earlier timings belong to the previous chunk
+    const overlapStart = chunks[i].start || 0;
+    const previousEnd = i > 0 ? chunkEnd(chunks[i - 1]) : null;
+    const currentEnd = chunkEnd(chunks[i]);
+    const nextStart = i < results.length - 1 ? chunks[i + 1].start : null;
+    const cutStart = previousEnd !== null && previousEnd > overlapStart ? (overlapStart + previousEnd) / 2 : -Infinity;
+    const cutEnd = nextStart !== null && currentEnd !== null && nextStart < currentEnd ? (nextStart + currentEnd) / 2 : Infinity;
+    const keep = timed => {
+      const midpoint = (timed.start + timed.end) / 2;
+      return midpoint >= cutStart && midpoint < cutEnd;
+    };
+
+    if (hasSegments) {
+      merged.segments.push(...shiftSegments(result.segments, overlapStart).filter(keep));
+    }
+    if (hasWords) {
+      merged.words.push(...shiftSegments(result.words, overlapStart).filter(keep));
+    }
+  });
+  if (hasSegments) {
+    merged.segments.forEach((segment, id) => { segment.id = id; });
+  }
+
+  return merged;
+}
+
+/**
+ * Picks the language most chunks were detected as, warning when chunks disagree
+ * @param {Object[]} results Transcription result of each chunk
+ * @returns {Object} { language } or an empty object when no chunk reports a language
+ */
+function getMajorityLanguage(results) {
+  const counts = new Map();
+  for (const result of results) {
+    if (result.language) {
+      counts.set(result.language, (counts.get(result.language) || 0) + 1);
+    }
+  }
+  if (counts.size === 0) {
+    return {};
+  }
+
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  if (ranked.length > 1) {
+    const summary = ranked.map(([language, count]) => `${language} (${count})`).join(', ');
+    console.warn(`Warning: chunks were detected as different languages: ${summary}. Using ${ranked[0][0]}`);
+  }
+  return { language: ranked[0][0] };
+}
+
+/**
+ * Returns the end time of a chunk in the original audio
+ * @param {Object} chunk Chunk ({ start, duration })
+ * @returns {number|null} End time in seconds, or null when the duration is unknown
+ */
+function chunkEnd(chunk) {
+  return typeof chunk.duration === 'number' ? (chunk.start || 0) + chunk.duration : null;
+}
+
+module.exports = {
+  shiftSegments,
+  mergeOverlappingText,
+  mergeChunkResults
+};
@@ -0,0 +1,275 @@
+const fs = require('fs-extra');
+const path = require('path');
+const schema = require('./transcript.schema.json');
+const packageInfo = require('./package.json');
+const { requestedLanguage } = require('./transcriptionEngines');
+const { assignSegmentsToChapters } = require('./chapters');
+const { ValidationError } = require('./errors');
+
+const SCHEMA_VERSION = schema.properties.schemaVersion.const;
+
+/**
+ * Gets the path of the transcript document written next to an output file
+ * @param {string} outputPath Transcript output path (e.g. output/abc.srt)
+ * @returns {string} Document path (e.g. output/abc.transcript.json)
+ */
+function getTranscriptDocumentPath(outputPath) {
+  const base = path.basename(outputPath, path.extname(outputPath));
+  return path.join(path.dirname(outputPath), `${base}.transcript.json`);
+}
+
+/**
+ * Finds the transcript document of a saved transcript
+ * @param {string} input Transcript document (*.transcript.json), or any output saved next to one
+ * @returns {string} Document path
+ */
+function resolveTranscriptDocumentPath(input) {
+  return input.endsWith('.transcript.json') ? input : getTranscriptDocumentPath(input);
+}
+
+/**
+ * Builds a transcript document following transcript.schema.json
+ * @param {Object} transcription Transcription result
+ * @param {Object} metadata Details the result doesn't carry
+ * @param {Object} metadata.source Source description ({ type, url, videoId, title, channel, publishDate, path, fileName, sizeBytes, duration, clip }), type being youtube, file or url
+ * @param {Object} metadata.processing Processing parameters ({ transcriptSource, engine, model, captionKind, language, temperature, responseFormat, overlap })
+ * @returns {Object} Transcript document
+ */
+function buildTranscriptDocument(transcription, metadata = {}) {
+  const source = { ...metadata.source };
+  const processing = { ...metadata.processing };
+  const offset = source.clip ? source.clip.start || 0 : 0;
+
+  const segments = (transcription.segments || []).map((segment, id) => ({
+    id,
+    start: segment.start,
+    end: segment.end,
+    text: segment.text.trim(),
+    ...(segment.originalText !== undefined && { originalText: segment.originalText }),
+  }));
+  if (!processing.task) {
+    processing.task = 'transcribe';
+  }
+
+  // Chunk offsets are relative to the transcribed audio, which starts at the clip start
+  if (!processing.chunks) {
+    if (transcription.chunks) {
+      processing.chunks = transcription.chunks.map((chunk, index) => ({
+        index,
+        start: offset + (chunk.start || 0),
+        duration: typeof chunk.duration === 'number' ? chunk.duration : null,
+        language: chunk.language || null,
+      }));
+    } else if (processing.transcriptSource === 'youtube-captions') {
+      processing.chunks = [];
+    } else {
+      processing.chunks = [{
+        index: 0,
+        start: offset,
+        duration: typeof transcription.duration === 'number' ? transcription.duration : null,
+        language: transcription.language || null,
+      }];
+    }
+  }
+
+  let duration = typeof transcription.duration === 'number' ? transcription.duration : null;
+  if (duration === null && segments.length > 0) {
+    duration = Math.max(0, segments[segments.length - 1].end - offset);
+  }
+  if (source.duration === undefined) {
+    source.duration = source.clip ? null : duration;
+  }
+
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    tool: { name: packageInfo.name, version: packageInfo.version },
+    createdAt: new Date().toISOString(),
+    source,
+    processing,
+    language: transcription.language || requestedLanguage(processing.language),
+    duration,
+    text: transcription.text,
+    segments,
+  };
+
+  if (transcription.words) {
+    document.words = transcription.words.map(({ start, end, word }) => ({ start, end, word }));
+  }
+  if (transcription.original) {
+    document.original = { language: transcription.original.language, text: transcription.original.text };
+  }
+  if (transcription.chapters) {
+    document.chapters = transcription.chapters.map(chapter => ({
+      title: chapter.title,
+      start: chapter.start,
+      end: Number.isFinite(chapter.end) ? chapter.end : null,
+      text: chapter.text,
+    }));
+  }
+
+  return document;
+}
+
+/**
+ * Rebuilds the transcription result a transcript document was built from, so it can be
+ * rendered again in any output format
+ * @param {Object} document Transcript document
+ * @returns {Object} Transcription result ({ text, language, duration, segments, words, original, chapters })
+ */
+function transcriptFromDocument(document) {
+  const transcription = {
+    text: document.text,
+    language: document.language,
+    duration: document.duration,
+    segments: document.segments.map(({ start, end, text, originalText }) => ({
+      start,
+      end,
+      text,
+      ...(originalText !== undefined && { originalText }),
+    })),
+  };
+  if (document.words) {
+    transcription.words = document.words;
+  }
+  if (document.original) {
+    transcription.original = document.original;
+  }
+  // Documents keep the chapter text but not which segments each chapter holds
+  if (document.chapters) {
+    const chapters = document.chapters.map(chapter => ({ ...chapter, end: chapter.end === null ? Infinity : chapter.end }));
+    transcription.chapters = assignSegmentsToChapters(transcription, chapters).map((chapter, i) => ({
+      ...chapter,
+      text: document.chapters[i].text,
+    }));
+  }
+  return transcription;
+}
+
+/**
+ * Checks a value's JSON type against a schema type name
+ * @param {*} value Value to check
+ * @param {string} type JSON Schema type
+ * @returns {boolean} True when the value has that type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validates a value against a schema node. Supports the keywords transcript.schema.json uses:
+ * type, const, enum, minimum, format (date-time), required, properties and items.
+ * @param {*} value Value to validate
+ * @param {Object} node Schema node
+ * @param {string} at Location of the value, for error messages
+ * @returns {string[]} Validation errors
+ */
+function validateNode(value, node, at) {
+  const errors = [];
+
+  if (node.type) {
+    const types = [].concat(node.type);
+    if (!types.some(type => hasType(value, type))) {
+      return [`${at} must be ${types.join(' or ')}`];
+    }
+  }
+  if ('const' in node && value !== node.const) {
+    errors.push(`${at} must be ${JSON.stringify(node.const)}`);
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${at} must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (node.minimum !== undefined && typeof value === 'number' && value < node.minimum) {
+    errors.push(`${at} must be at least ${node.minimum}`);
+  }
+  if (node.format === 'date-time' && typeof value === 'string' && isNaN(Date.parse(value))) {
+    errors.push(`${at} must be an ISO 8601 date-time`);
+  }
+
+  if (hasType(value, 'object')) {
+    for (const key of node.required || []) {
+      if (!(key in value)) {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(node.properties || {})) {
+      if (key in value) {
+        errors.push(...validateNode(value[key], child, `${at}.${key}`));
+      }
+    }
+  }
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, i) => errors.push(...validateNode(item, node.items, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a transcript document against transcript.schema.json
+ * @param {Object} document Parsed transcript document
+ * @returns {string[]} Validation errors, empty when the document is valid
+ */
+function validateTranscriptDocument(document) {
+  return validateNode(document, schema, '$');
+}
+
+/**
+ * Reads and validates a saved transcript document
+ * @param {string} input Transcript document, or any output saved next to one
+ * @returns {Promise<Object>} Document ({ documentPath, document })
+ */
+async function readTranscriptDocument(input) {
+  const documentPath = resolveTranscriptDocumentPath(input);
+  if (!await fs.pathExists(documentPath)) {
+    throw new ValidationError(`No transcript document found for ${input} (looked for ${documentPath})`);
+  }
+
+  let document;
+  try {
+    document = await fs.readJson(documentPath);
+  } catch (error) {
+    throw new ValidationError(`${documentPath} is not valid JSON: ${error.message}`, { cause: error });
+  }
+  const errors = validateTranscriptDocument(document);
+  if (errors.length > 0) {
+    throw new ValidationError(`${documentPath} is not a valid transcript document: ${errors.join('; ')}`);
+  }
+  return { documentPath, document };
+}
+
+/**
+ * Builds, validates and writes the transcript document for an output file
+ * @param {string} outputPath Transcript output path
+ * @param {Object} transcription Transcription result
+ * @param {Object} metadata Source and processing details (see buildTranscriptDocument)
+ * @returns {Promise<string>} Path to the written document
+ */
+async function writeTranscriptDocument(outputPath, transcription, metadata = {}) {
+  const document = buildTranscriptDocument(transcription, metadata);
+  const errors = validateTranscriptDocument(document);
+  if (errors.length > 0) {
+    throw new Error(`Transcript document does not match schema v${SCHEMA_VERSION}: ${errors.join('; ')}`);
+  }
+
+  const documentPath = getTranscriptDocumentPath(outputPath);
+  await fs.writeFile(documentPath, JSON.stringify(document, null, 2));
+  return documentPath;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  getTranscriptDocumentPath,
+  resolveTranscriptDocumentPath,
+  buildTranscriptDocument,
+  transcriptFromDocument,
+  validateTranscriptDocument,
+  readTranscriptDocument,
+  writeTranscriptDocument
+};
@@ -0,0 +1,447 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { OpenAI } = require('openai');
+const config = require('./config');
+const { withRetry } = require('./retryPolicy');
+const { mapWithConcurrency } = require('./asyncPool');
+const { readTranscriptDocument, resolveTranscriptDocumentPath, transcriptFromDocument } = require('./transcriptSchema');
+const { formatClockTime, parseTimestamp } = require('./timeUtils');
+const { ValidationError, ApiError, AbortError, throwIfAborted, onAbort } = require('./errors');
+
+// Rough number of characters per token, enough to keep requests within the context window
+const CHARS_PER_TOKEN = 4;
+
+const NOTES_FORMAT = `Reply with a JSON object only, with these keys:
+- "summary": a paragraph of 3 to 6 sentences
+- "keyPoints": an array of 3 to 8 short key points
+- "chapters": an array of { "start": "M:SS", "title": "..." } in order, the first one at the start
+- "quotes": an array of up to 5 notable quotes { "start": "M:SS", "text": "..." }, word for word
+Write in the language of the transcript.`;
+
+/**
+ * Builds the instructions for writing notes from transcript lines
+ * @param {boolean} timed Whether the lines carry times
+ * @param {boolean} partial Whether the lines are one part of a longer transcript
+ * @returns {string} System prompt
+ */
+function getMapPrompt(timed, partial) {
+  return [
+    'You write show notes for a recording from its transcript.',
+    timed
+      ? 'Each transcript line starts with its [M:SS] time; take chapter and quote times from those marks.'
+      : 'The transcript has no times: leave "chapters" empty and leave out the quote times.',
+    partial ? 'This is one part of a longer transcript; only cover this part.' : '',
+    NOTES_FORMAT,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Builds the instructions for combining the notes of consecutive parts
+ * @param {boolean} timed Whether the notes carry times
+ * @returns {string} System prompt
+ */
+function getReducePrompt(timed) {
+  return [
+    'You combine the show notes written for consecutive parts of one recording into show notes for the whole recording.',
+    'Merge overlapping key points, choose 3 to 12 chapters covering the whole recording, and pick the most notable quotes.',
+    timed ? 'Keep the start times as they are given.' : 'The notes have no times: leave "chapters" empty and leave out the quote times.',
+    NOTES_FORMAT,
+  ].join('\n');
+}
+
+/**
+ * Estimates the number of tokens of a text
+ * @param {string} text Text
+ * @returns {number} Token estimate
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Lists the transcript lines given to the model, each segment with its start time
+ * @param {Object} transcription Transcription result
+ * @returns {string[]} Lines
+ */
+function getTranscriptLines(transcription) {
+  const segments = transcription.segments || [];
+  if (segments.length > 0) {
+    return segments
+      .filter(segment => segment.text.trim())
+      .map(segment => `[${formatClockTime(segment.start)}] ${segment.text.trim()}`);
+  }
+  // Without segments there are no times; sentences keep the text splittable
+  return (transcription.text || '').split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Groups consecutive items into parts of at most a number of tokens
+ * @param {string[]} items Items (lines or serialized notes)
+ * @param {number} maxTokens Token budget of a part
+ * @returns {string[][]} Parts, each holding at least one item
+ */
+function splitIntoParts(items, maxTokens) {
+  const parts = [];
+  let current = [];
+  let tokens = 0;
+  for (const item of items) {
+    const itemTokens = estimateTokens(item) + 1;
+    if (current.length > 0 && tokens + itemTokens > maxTokens) {
+      parts.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(item);
+    tokens += itemTokens;
+  }
+  if (current.length > 0) {
+    parts.push(current);
+  }
+  return parts;
+}
+
+/**
+ * Reads the JSON object out of a model reply, which may wrap it in a code fence or prose
+ * @param {string} content Reply content
+ * @returns {Object} Parsed object
+ */
+function parseJsonReply(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('The model did not reply with a JSON object');
+  }
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+/**
+ * Reads a time the model gave as "M:SS" (or seconds)
+ * @param {*} value Time
+ * @returns {number|null} Time in seconds, or null when missing or invalid
+ */
+function parseNoteTime(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  try {
+    return parseTimestamp(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Brings a model reply into the notes shape, dropping entries it got wrong
+ * @param {Object} reply Parsed reply
+ * @returns {Object} Notes ({ summary, keyPoints, chapters, quotes }) with times in seconds
+ */
+function normalizeNotes(reply) {
+  const list = value => (Array.isArray(value) ? value.filter(item => item !== null && item !== undefined) : []);
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const chapters = list(reply.chapters)
+    .map(chapter => ({ start: parseNoteTime(chapter.start), title: text(chapter.title) }))
+    .filter(chapter => chapter.start !== null && chapter.title)
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, i, all) => i === 0 || chapter.start > all[i - 1].start);
+  return {
+    summary: text(reply.summary),
+    keyPoints: list(reply.keyPoints).map(text).filter(Boolean),
+    chapters,
+    quotes: list(reply.quotes)
+      .map(quote => ({ start: parseNoteTime(quote.start), text: text(quote.text) }))
+      .filter(quote => quote.text),
+  };
+}
+
+/**
+ * Serializes notes for a combining request, with times written the way transcript lines show them
+ * @param {Object} notes Notes
+ * @returns {string} JSON
+ */
+function serializeNotes(notes) {
+  const time = start => (start !== null ? formatClockTime(start) : undefined);
+  return JSON.stringify({
+    ...notes,
+    chapters: notes.chapters.map(chapter => ({ start: time(chapter.start), title: chapter.title })),
+    quotes: notes.quotes.map(quote => ({ start: time(quote.start), text: quote.text })),
+  });
+}
+
+/**
+ * Writes show notes (summary, key points, chapters and quotes) for transcripts with a chat model
+ * on the OpenAI API or any OpenAI-compatible server
+ */
+class Summarizer {
+  /**
+   * @param {Object} options Summarizer options
+   * @param {string} options.apiKey API key (default: config.summaryApiKey)
+   * @param {string} options.baseUrl Base URL of an OpenAI-compatible server (default: config.summaryBaseUrl)
+   * @param {string} options.model Chat model (default: config.summaryModel)
+   * @param {number} options.contextTokens Transcript tokens sent per request (default: config.summaryContextTokens)
+   * @param {number} options.concurrency Number of parts summarized in parallel (default: config.concurrency)
+   */
+  constructor(options = {}) {
+    const {
+      apiKey = config.summaryApiKey,
+      baseUrl = config.summaryBaseUrl,
+      model = config.summaryModel,
+      contextTokens = config.summaryContextTokens,
+      concurrency = config.concurrency,
+    } = options;
+
+    if (!apiKey && !baseUrl) {
+      throw new ValidationError('OPENAI_API_KEY (or SUMMARY_API_KEY) is required in .env file for summaries unless SUMMARY_BASE_URL is set');
+    }
+    if (!(contextTokens >= 1000)) {
+      throw new ValidationError('The summary context must be at least 1000 tokens');
+    }
+
+    this.model = model;
+    this.baseUrl = baseUrl || null;
+    this.contextTokens = contextTokens;
+    this.concurrency = concurrency;
+    // Retries are handled by retryPolicy, not the client
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-needed',
+      maxRetries: 0,
+      ...(baseUrl && { baseURL: baseUrl }),
+    });
+  }
+
+  /**
+   * Asks the model for notes, retrying failed requests and replies that aren't valid JSON
+   * @param {string} system System prompt
+   * @param {string} user User message
+   * @param {AbortSignal} signal Cancels the request and any retries
+   * @returns {Promise<Object>} Notes
+   */
+  async requestNotes(system, user, signal) {
+    try {
+      return await withRetry(async () => {
+        throwIfAborted(signal);
+        // The client never removes its listener from a signal, so each request gets a signal of its own
+        const controller = new AbortController();
+        const stopListening = onAbort(signal, () => controller.abort());
+        try {
+          const response = await this.client.chat.completions.create({
+            model: this.model,
+            temperature: 0.2,
+            messages: [
+              { role: 'system', content: system },
+              { role: 'user', content: user },
+            ],
+          }, { signal: controller.signal });
+          return normalizeNotes(parseJsonReply(response.choices[0].message.content || ''));
+        } finally {
+          stopListening();
+        }
+      }, { signal });
+    } catch (error) {
+      if (error instanceof AbortError || (signal && signal.aborted)) {
+        throw new AbortError();
+      }
+      const attempts = `${error.attempts} attempt${error.attempts === 1 ? '' : 's'}`;
+      throw new ApiError(`Failed to summarize after ${attempts}: ${error.message}`, { cause: error, attempts: error.attempts });
+    }
+  }
+
+  /**
+   * Writes show notes for a transcript. A transcript over the context budget is split into parts that are
+   * summarized separately, and their notes are combined until one set is left.
+   * @param {Object} transcription Transcription result
+   * @param {Object} options Summary options
+   * @param {string} options.title Title of the recording, given to the model
+   * @param {AbortSignal} options.signal Cancels the summary with an AbortError
+   * @param {Function} options.onProgress Called with { type: 'summary', status, ... } events
+   * @returns {Promise<Object>} Notes ({ summary, keyPoints, chapters, quotes, processing }) with times in seconds
+   */
+  async summarize(transcription, options = {}) {
+    const { title = null, signal, onProgress = () => {} } = options;
+    const lines = getTranscriptLines(transcription);
+    if (lines.length === 0) {
+      throw new ValidationError('The transcript is empty, there is nothing to summarize');
+    }
+    const timed = (transcription.segments || []).length > 0;
+    const about = title ? ` of "${title}"` : '';
+
+    const parts = splitIntoParts(lines, this.contextTokens);
+    console.log(`Summarizing with ${this.model}${parts.length > 1 ? ` in ${parts.length} parts` : ''}...`);
+    onProgress({ type: 'summary', status: 'started', parts: parts.length });
+
+    let completed = 0;
+    let notes = await mapWithConcurrency(parts, this.concurrency, async (part, i) => {
+      const heading = parts.length > 1 ? `Part ${i + 1} of ${parts.length} of the transcript${about}` : `Transcript${about}`;
+      const partNotes = await this.requestNotes(getMapPrompt(timed, parts.length > 1), `${heading}:\n\n${part.join('\n')}`, signal);
+      if (parts.length > 1) {
+        console.log(`Summarized part ${++completed}/${parts.length}`);
+        onProgress({ type: 'summary', status: 'part', completed, total: parts.length });
+      }
+      return partNotes;
+    });
+
+    // Notes too large to combine at once are combined in groups first
+    let passes = 1;
+    while (notes.length > 1) {
+      passes++;
+      const serialized = notes.map(serializeNotes);
+      let groups = splitIntoParts(serialized, this.contextTokens);
+      if (groups.length === notes.length) {
+        groups = [];
+        for (let i = 0; i < serialized.length; i += 2) {
+          groups.push(serialized.slice(i, i + 2));
+        }
+      }
+      console.log(`Combining the notes of ${notes.length} parts${groups.length > 1 ? ` in ${groups.length} groups` : ''}...`);
+      notes = await mapWithConcurrency(groups, this.concurrency, group => this.requestNotes(
+        getReducePrompt(timed),
+        `Notes of consecutive parts of the transcript${about}, in order:\n\n${group.join('\n\n')}`,
+        signal
+      ));
+    }
+
+    return {
+      ...notes[0],
+      processing: {
+        model: this.model,
+        baseUrl: this.baseUrl,
+        contextTokens: this.contextTokens,
+        parts: parts.length,
+        passes,
+      },
+    };
+  }
+}
+
+/**
+ * Gets the paths of the summary files of a transcript document
+ * @param {string} documentPath Transcript document path (e.g. output/abc.transcript.json)
+ * @param {string} outputDir Directory to save to, or null for the document's directory
+ * @returns {Object} Paths ({ markdown, json }), e.g. output/abc.summary.md and output/abc.summary.json
+ */
+function getSummaryPaths(documentPath, outputDir = null) {
+  const base = path.basename(documentPath, '.transcript.json');
+  const dir = outputDir || path.dirname(documentPath);
+  return {
+    markdown: path.join(dir, `${base}.summary.md`),
+    json: path.join(dir, `${base}.summary.json`),
+  };
+}
+
+/**
+ * Formats a time for the Markdown notes, linking into the video for YouTube sources
+ * @param {number} seconds Time in seconds
+ * @param {Object} source Transcript document source
+ * @returns {string} Markdown
+ */
+function formatNoteTime(seconds, source) {
+  const time = formatClockTime(seconds);
+  return source.type === 'youtube' && source.videoId
+    ? `[${time}](https://www.youtube.com/watch?v=${source.videoId}&t=${Math.floor(seconds)}s)`
+    : time;
+}
+
+/**
+ * Renders notes as Markdown show notes
+ * @param {Object} notes Notes from Summarizer.summarize
+ * @param {string} title Heading
+ * @param {Object} source Transcript document source
+ * @returns {string} Markdown
+ */
+function formatSummaryMarkdown(notes, title, source) {
+  const lines = [`# ${title}`, '', '## Summary', '', notes.summary, ''];
+  if (notes.keyPoints.length > 0) {
+    lines.push('## Key Points', '', ...notes.keyPoints.map(point => `- ${point}`), '');
+  }
+  if (notes.chapters.length > 0) {
+    lines.push('## Chapters', '', ...notes.chapters.map(chapter => `- ${formatNoteTime(chapter.start, source)} ${chapter.title}`), '');
+  }
+  if (notes.quotes.length > 0) {
+    lines.push('## Quotes', '');
+    notes.quotes.forEach(quote => {
+      lines.push(`> ${quote.text}`);
+      if (quote.start !== null) {
+        lines.push('>', `> — ${formatNoteTime(quote.start, source)}`);
+      }
+      lines.push('');
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarizes a saved transcript and saves the notes next to it as <name>.summary.md and <name>.summary.json
+ * @param {string} input Transcript document, or any output saved next to one
+ * @param {Summarizer} summarizer Summarizer to use
+ * @param {Object} options Summary options
+ * @param {string} options.outputDir Directory to save to, or null for the transcript's directory
+ * @param {AbortSignal} options.signal Cancels the summary with an AbortError
+ * @param {Function} options.onProgress Called with { type: 'summary', status, ... } events
+ * @returns {Promise<Object>} Saved summary ({ markdown, json, notes })
+ */
+async function summarizeTranscriptFile(input, summarizer, options = {}) {
+  const { outputDir = null, signal, onProgress = () => {} } = options;
+  const { documentPath, document } = await readTranscriptDocument(input);
+  const source = document.source;
+  const title = source.title || source.fileName || path.basename(documentPath, '.transcript.json');
+
+  const notes = await summarizer.summarize(transcriptFromDocument(document), { title, signal, onProgress });
+  const paths = getSummaryPaths(documentPath, outputDir);
+  await fs.ensureDir(path.dirname(paths.json));
+  await fs.writeJson(paths.json, {
+    createdAt: new Date().toISOString(),
+    transcript: path.resolve(documentPath),
+    source,
+    language: document.language,
+    duration: document.duration,
+    ...notes,
+  }, { spaces: 2 });
+  await fs.writeFile(paths.markdown, formatSummaryMarkdown(notes, title, source));
+
+  console.log(`Summary saved to: ${paths.markdown}`);
+  onProgress({ type: 'summary', status: 'completed', path: paths.markdown });
+  return { ...paths, notes };
+}
+
+/**
+ * Writes the show notes of a transcript a job has just saved. The transcript is the job's result,
+ * so a failing chat model (a rate limit, a context that is too long) only warns: the job stays
+ * completed, and a later run fills in the missing notes.
+ * @param {string} outputPath Saved transcription
+ * @param {Summarizer} summarizer Summarizer to use
+ * @param {Object} options Summary options ({ signal, onProgress }, see summarizeTranscriptFile)
+ * @returns {Promise<Object|null>} Saved summary ({ markdown, json, notes }), or null when it failed
+ */
+async function summarizeSavedTranscript(outputPath, summarizer, options = {}) {
+  const { onProgress = () => {} } = options;
+  try {
+    return await summarizeTranscriptFile(outputPath, summarizer, options);
+  } catch (error) {
+    if (error instanceof AbortError) {
+      throw error;
+    }
+    console.warn(`Warning: show notes for ${outputPath} could not be written: ${error.message}`);
+    onProgress({ type: 'summary', status: 'failed', error: error.message, code: error.code || 'ERROR' });
+    return null;
+  }
+}
+
+/**
+ * Tells whether a saved transcript has its show notes next to it
+ * @param {string} outputPath Transcript document, or any output saved next to one
+ * @returns {Promise<boolean>} Whether the notes exist
+ */
+async function hasSummary(outputPath) {
+  return fs.pathExists(getSummaryPaths(resolveTranscriptDocumentPath(outputPath)).markdown);
+}
+
+module.exports = {
+  Summarizer,
+  getTranscriptLines,
+  splitIntoParts,
+  normalizeNotes,
+  getSummaryPaths,
+  formatSummaryMarkdown,
+  summarizeTranscriptFile,
+  summarizeSavedTranscript,
+  hasSummary
+};
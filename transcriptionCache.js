@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Local cache of transcription results keyed by audio content and transcription options
+ */
+class TranscriptionCache {
+  constructor(cacheDir = config.cacheDir) {
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Computes the SHA-256 hash of a file's content
+   * @param {string} filePath Path to the file
+   * @returns {Promise<string>} Hex-encoded hash
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', data => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Builds the cache key for an audio file transcribed with the given options
+   * @param {string} audioFilePath Path to the audio file
+   * @param {Object} options Options that affect the transcription result
+   * @returns {Promise<string>} Cache key
+   */
+  async getKey(audioFilePath, options) {
+    const contentHash = await TranscriptionCache.hashFile(audioFilePath);
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ contentHash, ...options }))
+      .digest('hex');
+  }
+
+  /**
+   * Looks up a cached transcription result
+   * @param {string} key Cache key
+   * @returns {Promise<Object|null>} Cached result, or null on a miss
+   */
+  async get(key) {
+    const entryPath = path.join(this.cacheDir, `${key}.json`);
+    if (!await fs.pathExists(entryPath)) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(entryPath);
+    } catch (error) {
+      console.warn(`Warning: Ignoring unreadable cache entry ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a transcription result
+   * @param {string} key Cache key
+   * @param {Object} result Transcription result
+   */
+  async set(key, result) {
+    await fs.ensureDir(this.cacheDir);
+    await fs.writeJson(path.join(this.cacheDir, `${key}.json`), result);
+  }
+}
+
+module.exports = TranscriptionCache;
@@ -0,0 +1,326 @@
+const { OpenAI } = require('openai');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { ValidationError, AudioError, AbortError, onAbort } = require('./errors');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+/**
+ * Normalizes an engine response to the shape shared by all engines:
+ * { text, language?, duration?, segments?: [{ id, start, end, text }], words?: [{ start, end, word }] }
+ * @param {Object} raw Engine response
+ * @returns {Object} Normalized transcription result
+ */
+function normalizeResult(raw) {
+  const result = { text: (raw.text || '').trim() };
+
+  if (raw.language) {
+    result.language = raw.language;
+  }
+  if (typeof raw.duration === 'number') {
+    result.duration = raw.duration;
+  }
+  if (Array.isArray(raw.segments)) {
+    result.segments = raw.segments.map((segment, id) => ({
+      id,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim(),
+    }));
+  }
+
+  // OpenAI lists words next to the segments, whisper.cpp and similar servers inside each segment
+  const words = Array.isArray(raw.words)
+    ? raw.words
+    : Array.isArray(raw.segments) && raw.segments.some(segment => Array.isArray(segment.words))
+      ? raw.segments.flatMap(segment => segment.words || [])
+      : null;
+  if (words) {
+    result.words = words
+      .map(word => ({ start: word.start, end: word.end, word: String(word.word).trim() }))
+      .filter(word => word.word);
+  }
+
+  return result;
+}
+
+/**
+ * Returns the language to pass to an engine, or null to let it detect the language
+ * @param {string} language Language code, or "auto"
+ * @returns {string|null} Language code
+ */
+function requestedLanguage(language) {
+  return language && language !== 'auto' ? language : null;
+}
+
+/**
+ * Transcribes with the OpenAI API or any server exposing the same API under a base URL
+ */
+class OpenAIEngine {
+  constructor(options = {}) {
+    const {
+      apiKey = config.openaiApiKey,
+      baseURL = config.openaiBaseUrl,
+      model = config.whisperModel,
+    } = options;
+
+    // Self-hosted OpenAI-compatible servers usually don't check the key
+    if (!apiKey && !baseURL) {
+      throw new ValidationError('OPENAI_API_KEY is required in .env file for the openai engine');
+    }
+
+    this.name = 'openai';
+    this.model = model;
+    this.baseURL = baseURL || null;
+    // Retries are handled by retryPolicy, not the client
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-needed',
+      maxRetries: 0,
+      ...(baseURL && { baseURL }),
+    });
+  }
+
+  get cacheId() {
+    return `${this.name}:${this.baseURL || 'default'}:${this.model}`;
+  }
+
+  async transcribe(audioFilePath, options = {}) {
+    const { language, prompt, temperature, responseFormat, translate = false, wordTimestamps = false, signal } = options;
+    const request = {
+      file: fs.createReadStream(audioFilePath),
+      model: this.model,
+      prompt,
+      temperature,
+      response_format: responseFormat,
+    };
+
+    // The translations endpoint always produces English and takes no language
+    if (translate) {
+      return normalizeResult(await this.client.audio.translations.create(request, { signal }));
+    }
+    const transcription = await this.client.audio.transcriptions.create({
+      ...request,
+      language: requestedLanguage(language) || undefined,
+      ...(wordTimestamps && { timestamp_granularities: ['word', 'segment'] }),
+    }, { signal });
+    return normalizeResult(transcription);
+  }
+}
+
+/**
+ * Transcribes with a whisper.cpp server through its /inference endpoint
+ */
+class WhisperServerEngine {
+  constructor(options = {}) {
+    const { serverUrl = config.whisperServerUrl } = options;
+    this.name = 'whisper-server';
+    this.serverUrl = serverUrl.replace(/\/+$/, '');
+  }
+
+  get cacheId() {
+    return `${this.name}:${this.serverUrl}`;
+  }
+
+  async transcribe(audioFilePath, options = {}) {
+    const { language, prompt, temperature, translate = false, wordTimestamps = false, signal } = options;
+
+    const form = new FormData();
+    form.append('file', new Blob([await fs.readFile(audioFilePath)]), path.basename(audioFilePath));
+    form.append('response_format', 'verbose_json');
+    form.append('temperature', String(temperature));
+    form.append('language', requestedLanguage(language) || 'auto');
+    if (prompt) form.append('prompt', prompt);
+    if (translate) form.append('translate', 'true');
+    // whisper.cpp adds per-word timings to each verbose_json segment when token timestamps are on
+    if (wordTimestamps) form.append('token_timestamps', 'true');
+
+    const response = await fetch(`${this.serverUrl}/inference`, { method: 'POST', body: form, signal });
+    if (!response.ok) {
+      const error = new Error(`whisper server responded with ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return normalizeResult(await response.json());
+  }
+}
+
+/**
+ * Transcribes by running a local whisper.cpp executable on each file
+ */
+class CommandEngine {
+  constructor(options = {}) {
+    const {
+      command = config.whisperCommand,
+      modelPath = config.whisperCommandModel,
+      tempDir = config.tempDir,
+    } = options;
+
+    if (!modelPath) {
+      throw new ValidationError('WHISPER_COMMAND_MODEL is required for the command engine');
+    }
+
+    this.name = 'command';
+    this.command = command;
+    this.modelPath = modelPath;
+    this.tempDir = tempDir;
+  }
+
+  get cacheId() {
+    return `${this.name}:${this.command}:${path.basename(this.modelPath)}`;
+  }
+
+  async transcribe(audioFilePath, options = {}) {
+    const { language, prompt, temperature, translate = false, wordTimestamps = false, signal } = options;
+
+    // whisper.cpp only reads 16 kHz mono WAV
+    const workDir = path.join(this.tempDir, 'engine');
+    await fs.ensureDir(workDir);
+    const baseName = path.join(workDir, crypto.randomBytes(8).toString('hex'));
+    const wavPath = `${baseName}.wav`;
+
+    try {
+      await convertToWav(audioFilePath, wavPath, signal);
+
+      // Full JSON output lists every token with its own timings
+      const args = ['-m', this.modelPath, '-f', wavPath, wordTimestamps ? '-ojf' : '-oj', '-of', baseName, '-np'];
+      args.push('-l', requestedLanguage(language) || 'auto');
+      if (prompt) args.push('--prompt', prompt);
+      if (translate) args.push('-tr');
+      if (temperature) args.push('-tp', String(temperature));
+
+      await runCommand(this.command, args, signal);
+      const output = await fs.readJson(`${baseName}.json`);
+
+      return normalizeResult({
+        text: output.transcription.map(item => item.text).join(''),
+        language: output.result && output.result.language,
+        segments: output.transcription.map(item => ({
+          start: item.offsets.from / 1000,
+          end: item.offsets.to / 1000,
+          text: item.text,
+        })),
+        ...(wordTimestamps && { words: getCommandWords(output.transcription) }),
+      });
+    } finally {
+      await Promise.all([fs.remove(wavPath), fs.remove(`${baseName}.json`)]);
+    }
+  }
+}
+
+/**
+ * Joins the tokens of whisper.cpp's full JSON output into timed words. A token starting
+ * with a space begins a new word; special tokens such as [_BEG_] are skipped.
+ * @param {Object[]} transcription Segments of the full JSON output, each with its tokens
+ * @returns {Object[]} Words ({ start, end, word })
+ */
+function getCommandWords(transcription) {
+  const words = [];
+  for (const item of transcription) {
+    // Words never continue across segments
+    let current = null;
+    for (const token of item.tokens || []) {
+      if (!token.text || token.text.startsWith('[_')) {
+        continue;
+      }
+      if (current && !/^\s/.test(token.text)) {
+        current.word += token.text;
+        current.end = token.offsets.to / 1000;
+      } else {
+        current = { start: token.offsets.from / 1000, end: token.offsets.to / 1000, word: token.text };
+        words.push(current);
+      }
+    }
+  }
+  return words;
+}
+
+/**
+ * Converts an audio file to 16 kHz mono WAV
+ * @param {string} inputPath Source audio file
+ * @param {string} outputPath Destination WAV file
+ * @param {AbortSignal} signal Stops the conversion when aborted
+ * @returns {Promise<void>}
+ */
+function convertToWav(inputPath, outputPath, signal) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .audioCodec('pcm_s16le')
+      .output(outputPath);
+    const stopListening = onAbort(signal, () => {
+      command.kill('SIGKILL');
+      reject(new AbortError());
+    });
+    command
+      .on('end', () => {
+        stopListening();
+        resolve();
+      })
+      .on('error', (err) => {
+        stopListening();
+        reject(new AudioError(`WAV conversion failed: ${err.message}`, { cause: err }));
+      })
+      .run();
+  });
+}
+
+/**
+ * Runs an executable, rejecting with its stderr on failure
+ * @param {string} command Executable to run
+ * @param {string[]} args Command arguments
+ * @param {AbortSignal} signal Kills the process when aborted
+ * @returns {Promise<string>} Standard output
+ */
+function runCommand(command, args, signal) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: 64 * 1024 * 1024, signal }, (err, stdout, stderr) => {
+      if (err && err.name === 'AbortError') {
+        return reject(new AbortError());
+      }
+      if (err) {
+        const error = new Error(`${command} failed: ${(stderr || err.message).trim()}`);
+        // A missing executable or a non-zero exit fails the same way on every attempt; a process killed by a signal may not
+        error.retryable = Boolean(err.signal);
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+const engines = {
+  'openai': OpenAIEngine,
+  'whisper-server': WhisperServerEngine,
+  'command': CommandEngine,
+};
+
+/**
+ * Creates a transcription engine by name
+ * @param {string} name Engine name (openai, whisper-server or command)
+ * @param {Object} options Engine-specific options
+ * @returns {Object} Engine exposing transcribe(audioFilePath, options)
+ */
+function createEngine(name = config.engine, options = {}) {
+  const Engine = engines[name];
+  if (!Engine) {
+    throw new ValidationError(`Unknown transcription engine: ${name}. Available engines: ${Object.keys(engines).join(', ')}`);
+  }
+  return new Engine(options);
+}
+
+module.exports = {
+  engineNames: Object.keys(engines),
+  createEngine,
+  normalizeResult,
+  requestedLanguage,
+  OpenAIEngine,
+  WhisperServerEngine,
+  CommandEngine
+};
@@ -0,0 +1,107 @@
+const path = require('path');
+
+/**
+ * Combines a translation with the original-language transcription of the same audio.
+ * Each translated segment is attached to the original segment it overlaps most, and original
+ * segments left without a translation are merged into a neighbour, so both languages end up
+ * with the same segment timings.
+ * @param {Object} original Original-language transcription with segments
+ * @param {Object} translation English translation with segments
+ * @returns {Object} Translation whose segments follow the original timings, each with its originalText
+ */
+function alignTranslation(original, translation) {
+  if (!Array.isArray(original.segments) || !Array.isArray(translation.segments)) {
+    throw new Error('Aligning a translation with the original needs segment timings from both');
+  }
+
+  const pairs = original.segments.map(segment => ({
+    start: segment.start,
+    end: segment.end,
+    originalText: segment.text.trim(),
+    translated: [],
+  }));
+
+  if (pairs.length > 0) {
+    for (const segment of translation.segments) {
+      // The largest overlap wins; with no overlap at all the nearest segment does
+      let best = 0;
+      let bestOverlap = -Infinity;
+      pairs.forEach((pair, i) => {
+        const overlap = Math.min(pair.end, segment.end) - Math.max(pair.start, segment.start);
+        if (overlap > bestOverlap) {
+          best = i;
+          bestOverlap = overlap;
+        }
+      });
+      pairs[best].translated.push(segment.text.trim());
+    }
+  }
+
+  const segments = [];
+  let pending = null;
+  for (const pair of pairs) {
+    if (pair.translated.length === 0) {
+      const target = segments.length > 0 ? segments[segments.length - 1] : null;
+      if (target) {
+        target.end = pair.end;
+        target.originalText = `${target.originalText} ${pair.originalText}`;
+      } else {
+        pending = pending
+          ? { start: pending.start, originalText: `${pending.originalText} ${pair.originalText}` }
+          : { start: pair.start, originalText: pair.originalText };
+      }
+      continue;
+    }
+
+    segments.push({
+      start: pending ? pending.start : pair.start,
+      end: pair.end,
+      text: pair.translated.join(' '),
+      originalText: pending ? `${pending.originalText} ${pair.originalText}` : pair.originalText,
+    });
+    pending = null;
+  }
+
+  return {
+    ...translation,
+    language: 'en',
+    segments: segments.map((segment, id) => ({ id, ...segment })),
+    original: {
+      language: original.language || null,
+      text: original.text,
+      ...(original.words && { words: original.words }),
+    },
+  };
+}
+
+/**
+ * Gets the original-language view of an aligned translation
+ * @param {Object} aligned Result of alignTranslation
+ * @returns {Object} Original-language transcription with the same segment timings
+ */
+function getOriginalTranscription(aligned) {
+  const { original, segments, ...rest } = aligned;
+  return {
+    ...rest,
+    text: original.text,
+    language: original.language,
+    segments: segments.map(({ id, start, end, originalText }) => ({ id, start, end, text: originalText })),
+    ...(original.words && { words: original.words }),
+  };
+}
+
+/**
+ * Gets the path the original-language transcript is saved under next to a translation
+ * @param {string} outputPath Translation output path (e.g. output/abc.srt)
+ * @returns {string} Original transcript path (e.g. output/abc.original.srt)
+ */
+function getOriginalOutputPath(outputPath) {
+  const ext = path.extname(outputPath);
+  return path.join(path.dirname(outputPath), `${path.basename(outputPath, ext)}.original${ext}`);
+}
+
+module.exports = {
+  alignTranslation,
+  getOriginalTranscription,
+  getOriginalOutputPath
+};
@@ -0,0 +1,58 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Append-only record of the audio minutes and cost of every transcription job,
+ * stored as one JSON object per line
+ */
+class UsageLedger {
+  /**
+   * @param {string} ledgerPath Ledger file (default: config.usageLedgerPath)
+   */
+  constructor(ledgerPath = config.usageLedgerPath) {
+    this.ledgerPath = ledgerPath;
+  }
+
+  /**
+   * Records a finished job
+   * @param {Object} entry Job usage ({ type, source, engine, model, task, transcriptSource, minutes, cost })
+   * @returns {Promise<Object>} The recorded entry
+   */
+  async record(entry) {
+    const recorded = { date: new Date().toISOString(), ...entry };
+    await fs.ensureDir(path.dirname(this.ledgerPath));
+    await fs.appendFile(this.ledgerPath, `${JSON.stringify(recorded)}\n`);
+    return recorded;
+  }
+
+  /**
+   * Reads all recorded jobs
+   * @returns {Promise<Object[]>} Entries, oldest first
+   */
+  async getEntries() {
+    if (!await fs.pathExists(this.ledgerPath)) {
+      return [];
+    }
+    const content = await fs.readFile(this.ledgerPath, 'utf8');
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Sums the cost of the jobs recorded in a calendar month (UTC)
+   * @param {Date} date Any day of the month (default: now)
+   * @returns {Promise<number>} USD spent
+   */
+  async getMonthlySpend(date = new Date()) {
+    const month = date.toISOString().slice(0, 7);
+    const entries = await this.getEntries();
+    return entries
+      .filter(entry => entry.date.slice(0, 7) === month)
+      .reduce((total, entry) => total + (entry.cost || 0), 0);
+  }
+}
+
+module.exports = UsageLedger;
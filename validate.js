@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+const { program } = require('commander');
+const path = require('path');
+const fs = require('fs-extra');
+const { SCHEMA_VERSION, validateTranscriptDocument } = require('./transcriptSchema');
+
+program
+  .name('transcript-validate')
+  .description(`Check transcript documents against the transcript JSON schema (v${SCHEMA_VERSION})`)
+  .version('1.0.0')
+  .argument('<paths...>', 'Transcript documents, or directories to search for *.transcript.json files')
+  .parse(process.argv);
+
+/**
+ * Expands directories into the transcript documents below them
+ * @param {string[]} paths Files and directories
+ * @returns {Promise<string[]>} Files to validate
+ */
+async function collectFiles(paths) {
+  const files = [];
+  for (const inputPath of paths) {
+    if (!await fs.pathExists(inputPath)) {
+      throw new Error(`Path does not exist: ${inputPath}`);
+    }
+    if (!(await fs.stat(inputPath)).isDirectory()) {
+      files.push(inputPath);
+      continue;
+    }
+    for (const entry of await fs.readdir(inputPath, { withFileTypes: true })) {
+      const entryPath = path.join(inputPath, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await collectFiles([entryPath]));
+      } else if (entry.name.endsWith('.transcript.json')) {
+        files.push(entryPath);
+      }
+    }
+  }
+  return files;
+}
+
+async function main() {
+  try {
+    const files = await collectFiles(program.args);
+    if (files.length === 0) {
+      throw new Error('No transcript documents found');
+    }
+
+    let invalid = 0;
+    for (const file of files) {
+      let errors;
+      try {
+        errors = validateTranscriptDocument(await fs.readJson(file));
+      } catch (error) {
+        errors = [`not valid JSON: ${error.message}`];
+      }
+
+      if (errors.length === 0) {
+        console.log(`✓ ${file}`);
+      } else {
+        invalid++;
+        console.log(`✗ ${file}`);
+        errors.forEach(error => console.log(`  - ${error}`));
+      }
+    }
+
+    console.log(`\n${files.length - invalid} valid, ${invalid} invalid`);
+    if (invalid > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
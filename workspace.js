@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+
+const INFO_FILE = 'workspace.json';
+
+// Workspaces of this process that haven't been released, removed if it exits mid-job (e.g. a second Ctrl-C)
+const openWorkspaces = new Set();
+
+/**
+ * Removes the workspaces that are still open and not kept. Runs on 'exit', so it has to be synchronous.
+ */
+function removeOpenWorkspaces() {
+  for (const workspace of openWorkspaces) {
+    if (!workspace.keep) {
+      fs.removeSync(workspace.dir);
+    }
+  }
+}
+
+/**
+ * Directory holding the workspaces under a temp directory
+ * @param {string} tempDir Temp directory (default: config.tempDir)
+ * @returns {string} Workspaces directory
+ */
+function getWorkspacesDir(tempDir = config.tempDir) {
+  return path.join(tempDir, 'workspaces');
+}
+
+/**
+ * A job's own directory under the temp directory for its downloads, extracted audio and chunks,
+ * so concurrent jobs never share files. It is removed when the job releases it, unless kept.
+ */
+class Workspace {
+  constructor(dir, info) {
+    this.dir = dir;
+    this.info = info;
+  }
+
+  get keep() {
+    return this.info.keep;
+  }
+
+  /**
+   * Creates a uniquely named workspace
+   * @param {string} name Readable part of the directory name, e.g. a video ID or file name
+   * @param {Object} options Workspace options
+   * @param {string} options.tempDir Temp directory (default: config.tempDir)
+   * @param {boolean} options.keep Keep the workspace when it is released
+   * @returns {Promise<Workspace>} Workspace
+   */
+  static async create(name, options = {}) {
+    const { tempDir = config.tempDir, keep = false } = options;
+    const safeName = name.replace(/[^\w.-]+/g, '_').slice(0, 40) || 'job';
+    const dir = path.join(getWorkspacesDir(tempDir), `${safeName}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`);
+    return Workspace.open(dir, { name, keep });
+  }
+
+  /**
+   * Takes over an existing workspace, e.g. one kept by an interrupted job that is being resumed
+   * @param {string} dir Workspace directory
+   * @param {Object} options Workspace options ({ name, keep })
+   * @returns {Promise<Workspace>} Workspace
+   */
+  static async open(dir, options = {}) {
+    const infoPath = path.join(dir, INFO_FILE);
+    const previous = await fs.pathExists(infoPath) ? await fs.readJson(infoPath).catch(() => ({})) : {};
+    const info = {
+      name: options.name || previous.name || path.basename(dir),
+      pid: process.pid,
+      keep: Boolean(options.keep),
+      createdAt: previous.createdAt || new Date().toISOString(),
+    };
+    await fs.ensureDir(dir);
+    await fs.writeJson(infoPath, info, { spaces: 2 });
+
+    if (openWorkspaces.size === 0) {
+      process.on('exit', removeOpenWorkspaces);
+    }
+    const workspace = new Workspace(dir, info);
+    openWorkspaces.add(workspace);
+    return workspace;
+  }
+
+  /**
+   * Ends the job's use of the workspace, removing it unless it is kept
+   */
+  async release() {
+    if (!openWorkspaces.delete(this)) {
+      return;
+    }
+    if (openWorkspaces.size === 0) {
+      process.off('exit', removeOpenWorkspaces);
+    }
+    if (this.keep) {
+      console.log(`Temporary files kept in: ${this.dir}`);
+    } else {
+      await fs.remove(this.dir);
+    }
+  }
+}
+
+/**
+ * Tells whether a process is still running
+ * @param {number} pid Process ID
+ * @returns {boolean} Whether it is running
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Lists the workspaces under a temp directory
+ * @param {string} tempDir Temp directory (default: config.tempDir)
+ * @returns {Promise<Object[]>} Workspaces ({ dir, name, pid, keep, createdAt, active, sizeBytes }), oldest first
+ */
+async function listWorkspaces(tempDir = config.tempDir) {
+  const workspacesDir = getWorkspacesDir(tempDir);
+  if (!await fs.pathExists(workspacesDir)) {
+    return [];
+  }
+
+  const workspaces = [];
+  for (const entry of await fs.readdir(workspacesDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const dir = path.join(workspacesDir, entry.name);
+    // A workspace without its info file is either being created or was left by a process that died creating it
+    const info = await fs.readJson(path.join(dir, INFO_FILE)).catch(() => null);
+    const stats = await fs.stat(dir);
+    const active = info ? isProcessRunning(info.pid) : Date.now() - stats.mtimeMs < 60 * 1000;
+    workspaces.push({
+      dir,
+      name: info ? info.name : entry.name,
+      pid: info ? info.pid : null,
+      keep: info ? Boolean(info.keep) : false,
+      createdAt: info ? info.createdAt : stats.mtime.toISOString(),
+      active,
+      sizeBytes: await getDirectorySize(dir),
+    });
+  }
+  return workspaces.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Adds up the size of the files in a directory tree
+ * @param {string} dir Directory
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getDirectorySize(dir) {
+  let size = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    size += entry.isDirectory() ? await getDirectorySize(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return size;
+}
+
+module.exports = {
+  Workspace,
+  getWorkspacesDir,
+  listWorkspaces
+};
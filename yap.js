@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+const { program } = require('commander');
+const path = require('path');
+const { runYouTube } = require('./youtubeCommand');
+const { runFile, runBatch, runWatch } = require('./fileCommand');
+const { runExport } = require('./exportCommand');
+const { runInfo } = require('./infoCommand');
+const { runEval } = require('./evalCommand');
+const { runClean } = require('./cleanCommand');
+const { runSummarize } = require('./summarizeCommand');
+const { addTranscribeOptions } = require('./commandOptions');
+const { EXIT_CODES, configureOutput, reportError, runCommand } = require('./cliOutput');
+const { engineNames } = require('./transcriptionEngines');
+const { supportedOutputFormats } = require('./outputFormatter');
+const { PREPROCESS_STAGES } = require('./audioPreprocessor');
+const config = require('./config');
+
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// Usage errors exit with 2 rather than commander's 1; subcommands copy this when created
+program
+  .name('yap')
+  .description('Transcribe YouTube videos, audio and video files with Whisper')
+  .version('1.0.0')
+  .exitOverride(error => process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.usage))
+  .option('--json', 'Write progress and result events to stdout as NDJSON; messages go to stderr')
+  .option('-q, --quiet', 'Only show warnings and errors')
+  .option('-v, --verbose', 'Also show debug messages and error stack traces')
+  .hook('preAction', () => configureOutput(program.opts()));
+
+/**
+ * Runs a subcommand action with the global and subcommand options merged, an interrupt signal,
+ * and its outcome mapped to the exit code
+ * @param {Function} handler Async function called with the arguments and the merged options, signal included
+ * @returns {Function} commander action handler
+ */
+function action(handler) {
+  return (...args) => {
+    const command = args[args.length - 1];
+    const options = { ...program.opts(), ...command.opts() };
+    return runCommand(signal => handler(args.slice(0, -2), { ...options, signal }), options);
+  };
+}
+
+addTranscribeOptions(
+  program
+    .command('youtube')
+    .description('Transcribe a YouTube video, playlist or channel, or a list of them')
+    .argument('[url]', 'YouTube video, playlist or channel URL')
+    .option('--list <file>', 'Text file with one YouTube video, playlist or channel URL per line')
+    .option('--since <date>', 'Only transcribe playlist/channel videos published on or after this date (YYYY-MM-DD)')
+    .option('--limit <number>', 'Transcribe at most this many playlist/channel videos')
+    .option('-o, --output <path>', 'Output file path for the transcription (single video only)')
+    .option('-d, --output-dir <path>', 'Output directory', config.outputDir)
+    .option('--start <time>', 'Only transcribe from this time, e.g. 12:30 (single video only)')
+    .option('--end <time>', 'Only transcribe up to this time, e.g. 45:00 (single video only)')
+    .option('--captions <mode>', 'Use YouTube caption tracks: prefer (fall back to Whisper), only, or never', 'never')
+    .option('--chapters', 'Group the transcript under the video\'s chapters')
+    .option('--split-by-chapters', 'Cut the audio along chapter boundaries instead of by size (implies --chapters)')
+    .option('--resume', 'Resume an interrupted job for this URL, failing if there is none'),
+  'video'
+).action(action(([url], options) => runYouTube({ ...options, url })));
+
+addTranscribeOptions(
+  program
+    .command('file')
+    .description('Transcribe an audio or video file, or a direct media / HLS (.m3u8) URL')
+    .argument('<input>', 'Audio or video file, or media URL')
+    .option('-o, --output <path>', 'Output file path for the transcription')
+    .option('-d, --output-dir <path>', 'Output directory', config.outputDir)
+    .option('--keep-filename', 'Keep original filename instead of adding timestamp'),
+  'file'
+).action(action(([input], options) => runFile(input, options)));
+
+addTranscribeOptions(
+  program
+    .command('batch')
+    .description('Transcribe every audio and video file of a directory, skipping those already up to date')
+    .argument('<dir>', 'Input directory')
+    .option('-d, --output-dir <path>', 'Output directory', config.outputDir)
+    .option('-r, --recursive', 'Also process files in subdirectories, mirroring them in the output directory')
+    .option('--include <glob>', 'Only process files matching this glob (repeatable)', collect, [])
+    .option('--exclude <glob>', 'Skip files and directories matching this glob (repeatable)', collect, [])
+    .option('--parallel <number>', 'Number of files transcribed at the same time', String(config.batchParallel))
+    .option('--force', 'Transcribe files again even when their output is up to date')
+    .option('--report <file>', 'Write a report of every file to a .json or .csv file (repeatable)', collect, [])
+    .option('--keep-filename', 'Keep original filename instead of adding timestamp'),
+  'file'
+).action(action(([dir], options) => runBatch(dir, options)));
+
+// Watching stops on its own after the current file, so it runs without the interrupt signal
+addTranscribeOptions(
+  program
+    .command('watch')
+    .description('Keep watching a directory and transcribe new files as they arrive')
+    .argument('<dir>', 'Directory to watch')
+    .option('-d, --output-dir <path>', 'Output directory', config.outputDir)
+    .option('--poll-interval <seconds>', 'Seconds between scans of the watched directory', String(config.watchPollInterval))
+    .option('--stable-time <seconds>', 'Seconds a new file must stop growing before it is transcribed', String(config.watchStableTime))
+    .option('--keep-filename', 'Keep original filename instead of adding timestamp'),
+  'file'
+).action((dir, commandOptions, command) => {
+  const options = { ...program.opts(), ...command.opts() };
+  return runWatch(dir, options).catch(error => reportError(error, options));
+});
+
+program
+  .command('export')
+  .description('Save transcripts again in another output format, from their transcript documents')
+  .argument('<transcripts...>', 'Transcript documents (*.transcript.json), or outputs saved next to them')
+  .requiredOption('--format <format>', `Output format (${supportedOutputFormats.join(', ')})`)
+  .option('-d, --output-dir <path>', 'Output directory (default: next to each transcript)')
+  .action(action(([transcripts], options) => runExport(transcripts, options)));
+
+program
+  .command('summarize')
+  .description('Write show notes (summary, key points, chapters, quotes) for saved transcripts with a chat model')
+  .argument('<transcripts...>', 'Transcript documents (*.transcript.json), or outputs saved next to them')
+  .option('-d, --output-dir <path>', 'Output directory (default: next to each transcript)')
+  .option('--model <name>', 'Chat model', config.summaryModel)
+  .option('--base-url <url>', 'Base URL of an OpenAI-compatible chat completions server', config.summaryBaseUrl)
+  .option('--context-tokens <number>', 'Transcript tokens sent per request; longer transcripts are summarized in parts', String(config.summaryContextTokens))
+  .option('--concurrency <number>', 'Number of parts summarized in parallel', String(config.concurrency))
+  .action(action(([transcripts], options) => runSummarize(transcripts, options)));
+
+program
+  .command('info')
+  .description('Show a YouTube video\'s details, captions and chapters, a file\'s duration, or a transcript\'s stats, with a cost estimate')
+  .argument('<input>', 'YouTube video URL, audio or video file, media URL, or transcript')
+  .option('--engine <name>', `Transcription engine to estimate for (${engineNames.join(', ')})`, config.engine)
+  .option('--base-url <url>', 'Base URL of an OpenAI-compatible transcription server', config.openaiBaseUrl)
+  .action(action(([input], options) => runInfo(input, options)));
+
+program
+  .command('eval')
+  .description('Score transcripts against reference transcripts with word and character error rates')
+  .argument('<set>', 'Directory of recordings with <name>.ref.txt references, or a JSON manifest of items')
+  .option('-d, --output-dir <path>', 'Directory for the transcripts of this run', path.join(config.outputDir, 'eval'))
+  .option('--reuse', 'Score transcripts already in the output directory instead of transcribing them again')
+  .option('--report <file>', 'Write the scores, alignments and settings of this run to a .json file')
+  .option('--baseline <file>', 'Report of an earlier run to show the change in error rates against')
+  .option('--diff', 'Print each alignment with substitutions, deletions and insertions marked')
+  .option('--no-normalize-numbers', 'Compare numbers as written instead of spelling them out')
+  .option('-l, --language <code>', 'Language code (e.g., "en", "fr", "de"), or "auto" to detect it', config.defaultLanguage)
+  .option('-t, --temperature <number>', 'Temperature for the model (0.0-1.0)', '0')
+  .option('--overlap <seconds>', 'Seconds of audio shared between consecutive chunks', String(config.chunkOverlap))
+  .option('--preprocess <stages>', `Comma-separated audio preprocessing before upload (${PREPROCESS_STAGES.join(', ')})`, config.preprocess)
+  .option('--tempo <factor>', 'Speed-up factor of the tempo preprocessing stage (0.5-2)', String(config.preprocessTempo))
+  .option('--captions <mode>', 'Use YouTube caption tracks: prefer (fall back to Whisper), only, or never', 'never')
+  .option('--concurrency <number>', 'Number of chunks transcribed in parallel', String(config.concurrency))
+  .option('--no-cache', 'Do not read or write the local transcription cache')
+  .option('--engine <name>', `Transcription engine (${engineNames.join(', ')})`, config.engine)
+  .option('--base-url <url>', 'Base URL of an OpenAI-compatible transcription server', config.openaiBaseUrl)
+  .option('--model <name>', 'Model of the openai engine (default: WHISPER_MODEL)')
+  .option('--glossary <file>', 'Text file of names and terms, one per line, seeded into every chunk\'s prompt', config.glossaryFile)
+  .option('--rules <file>', 'Text file of "find => replace" corrections applied to the transcript', config.correctionRulesFile)
+  .action(action(([set], options) => runEval(set, options)));
+
+program
+  .command('clean')
+  .description('Remove the temp workspaces that interrupted or crashed jobs left behind')
+  .option('--temp-dir <path>', 'Temp directory holding the workspaces', config.tempDir)
+  .option('--older-than <hours>', 'Only remove workspaces created at least this many hours ago', '0')
+  .option('--all', 'Also remove workspaces kept with --keep-audio')
+  .option('--dry-run', 'List the workspaces that would be removed without removing them')
+  .action(action((args, options) => runClean(options)));
+
+program.parse(process.argv);
@@ -0,0 +1,136 @@
+const sax = require('sax');
+const { DownloadError } = require('./errors');
+
+/**
+ * Lists the caption tracks of a video from its ytdl info
+ * @param {Object} info Video info from ytdl.getInfo
+ * @returns {Object[]} Caption tracks ({ baseUrl, languageCode, kind, name })
+ */
+function getCaptionTracks(info) {
+  const renderer = info.player_response?.captions?.playerCaptionsTracklistRenderer;
+  return (renderer && renderer.captionTracks) || [];
+}
+
+/**
+ * Picks the best caption track for a language, preferring human-authored over auto-generated
+ * @param {Object[]} tracks Caption tracks
+ * @param {string} language Language code (e.g. "en"), or "auto" for the spoken language
+ * @returns {Object|null} Selected track
+ */
+function selectCaptionTrack(tracks, language) {
+  // Auto-generated captions are in the language YouTube heard, so they identify the spoken language
+  if (language === 'auto') {
+    const spoken = tracks.find(track => track.kind === 'asr') || tracks[0];
+    if (!spoken) {
+      return null;
+    }
+    language = spoken.languageCode;
+  }
+
+  const matching = tracks.filter(track =>
+    track.languageCode === language || track.languageCode.startsWith(`${language}-`)
+  );
+  return matching.find(track => track.kind !== 'asr') || matching.find(track => track.kind === 'asr') || null;
+}
+
+/**
+ * Decodes the HTML entities YouTube leaves in caption text after XML parsing
+ * @param {string} text Caption text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses YouTube timed-text XML into segments. Handles both the legacy format
+ * (<text start dur> in seconds) and srv3 (<p t d> in milliseconds).
+ * @param {string} xml Caption XML
+ * @returns {Object[]} Segments ({ id, start, end, text })
+ */
+function parseTimedText(xml) {
+  const parser = sax.parser(false, { lowercase: true });
+  const segments = [];
+  let current = null;
+
+  parser.onopentag = node => {
+    if (node.name === 'text' && node.attributes.start !== undefined) {
+      const start = parseFloat(node.attributes.start);
+      current = { start, end: start + parseFloat(node.attributes.dur || '0'), text: '' };
+    } else if (node.name === 'p' && node.attributes.t !== undefined) {
+      const start = parseInt(node.attributes.t, 10) / 1000;
+      current = { start, end: start + parseInt(node.attributes.d || '0', 10) / 1000, text: '' };
+    }
+  };
+  parser.ontext = text => {
+    if (current) current.text += text;
+  };
+  parser.onclosetag = name => {
+    if (current && (name === 'text' || name === 'p')) {
+      const text = decodeEntities(current.text).replace(/\s+/g, ' ').trim();
+      if (text) segments.push({ ...current, text });
+      current = null;
+    }
+  };
+  parser.onerror = error => {
+    throw new DownloadError(`Failed to parse captions: ${error.message}`);
+  };
+
+  parser.write(xml).close();
+  return segments.map((segment, id) => ({ id, ...segment }));
+}
+
+/**
+ * Fetches a caption track and converts it to a transcription result
+ * @param {Object} track Caption track
+ * @returns {Promise<Object>} Transcription ({ text, language, segments, source, captionKind })
+ */
+async function fetchCaptionTrack(track) {
+  const url = new URL(track.baseUrl);
+  url.searchParams.delete('fmt');
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new DownloadError(`Failed to download captions: HTTP ${response.status}`);
+  }
+
+  const segments = parseTimedText(await response.text());
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language: track.languageCode,
+    segments,
+    source: 'youtube-captions',
+    captionKind: track.kind === 'asr' ? 'auto' : 'manual',
+  };
+}
+
+/**
+ * Gets a video's captions in a language as a transcription result
+ * @param {Object} info Video info from ytdl.getInfo
+ * @param {string} language Language code
+ * @returns {Promise<Object|null>} Transcription, or null when no usable track exists
+ */
+async function getCaptionTranscript(info, language) {
+  const track = selectCaptionTrack(getCaptionTracks(info), language);
+  if (!track) {
+    return null;
+  }
+
+  console.log(`Using ${track.kind === 'asr' ? 'auto-generated' : 'manual'} ${track.languageCode} captions`);
+  const transcript = await fetchCaptionTrack(track);
+  return transcript.segments.length > 0 ? transcript : null;
+}
+
+module.exports = {
+  getCaptionTracks,
+  selectCaptionTrack,
+  parseTimedText,
+  getCaptionTranscript
+};
@@ -0,0 +1,280 @@
+const path = require('path');
+const fs = require('fs-extra');
+const ytdl = require('ytdl-core');
+const { parseTimestamp } = require('./timeUtils');
+const { transcribeYouTubeVideo } = require('./pipeline');
+const { getVideoInfo } = require('./youtubeDownloader');
+const { parsePreprocessOptions } = require('./audioPreprocessor');
+const { estimateYouTubeVideo, formatEstimate } = require('./costEstimator');
+const IngestManifest = require('./ingestManifest');
+const { getTranscriptDocumentPath } = require('./transcriptSchema');
+const { summarizeSavedTranscript, hasSummary } = require('./transcriptSummarizer');
+const { isPlaylistUrl, isChannelUrl, resolveVideos } = require('./youtubePlaylist');
+const { isMediaUrl } = require('./mediaInput');
+const { getFileExtension } = require('./outputFormatter');
+const {
+  validateTranscribeOptions,
+  createSpendGuard,
+  loadVocabulary,
+  createTranscriber,
+  createSummarizer,
+  getEngineDescription,
+  printDryRunSummary,
+  createProgressHandler,
+} = require('./commandOptions');
+const { emit } = require('./cliOutput');
+const { ValidationError, SpendLimitError, BatchError } = require('./errors');
+const config = require('./config');
+
+/**
+ * Estimates one video with the command options
+ * @param {Object} options Parsed command options
+ * @param {string} url YouTube video URL
+ * @param {Object} engine Engine or engine description ({ name, baseURL, model })
+ * @param {Object} info Video info from getVideoInfo
+ * @param {Object} clip Section of the video to transcribe ({ start, end }) in seconds, or null for all of it
+ * @returns {Promise<Object>} Estimate
+ */
+function estimateVideo(options, url, engine, info, clip = null) {
+  return estimateYouTubeVideo(url, engine, {
+    info,
+    clip,
+    captions: options.captions,
+    language: options.language,
+    overlap: parseFloat(options.overlap),
+    translate: options.translate,
+    withOriginal: options.withOriginal,
+    preprocess: parsePreprocessOptions(options.preprocess, options.tempo),
+  });
+}
+
+/**
+ * Transcribes one video with the command options
+ * @param {Object} options Parsed command options
+ * @param {string} url YouTube video URL
+ * @param {string} outputPath Path to save the transcription
+ * @param {Transcriber} transcriber Transcriber to use
+ * @param {Object} clip Section of the video to transcribe ({ start, end }) in seconds, or null for all of it
+ * @param {Object} extra Further pipeline options ({ info, onProgress, glossary, rules })
+ * @returns {Promise<string>} Path to the saved transcription
+ */
+function transcribeVideo(options, url, outputPath, transcriber, clip = null, extra = {}) {
+  return transcribeYouTubeVideo(url, transcriber, {
+    ...extra,
+    outputPath,
+    format: options.format,
+    language: options.language,
+    temperature: parseFloat(options.temperature),
+    overlap: parseFloat(options.overlap),
+    concurrency: parseInt(options.concurrency),
+    captions: options.captions,
+    translate: options.translate,
+    withOriginal: options.withOriginal,
+    wordTimestamps: Boolean(options.wordTimestamps),
+    chapters: options.chapters,
+    splitByChapters: options.splitByChapters,
+    resume: options.resume,
+    keepAudio: options.keepAudio,
+    preprocess: parsePreprocessOptions(options.preprocess, options.tempo),
+    clip,
+    signal: options.signal,
+  });
+}
+
+/**
+ * Transcribes every video of the playlists, channels and URLs given, skipping those already transcribed
+ * and those that would go over the spend limits
+ * @param {Object} options Parsed command options
+ * @param {Transcriber} transcriber Transcriber to use, or null for a dry run
+ * @param {Object} engine Engine or engine description used for estimates
+ * @param {SpendGuard} guard Spend guard
+ * @param {Object} vocabulary Glossary and correction rules ({ glossary, rules })
+ * @param {Summarizer} summarizer Summarizer of --summarize, or null
+ */
+async function transcribeVideoList(options, transcriber, engine, guard, vocabulary, summarizer) {
+  const since = options.since ? new Date(options.since) : null;
+  if (since && isNaN(since)) {
+    throw new ValidationError(`Invalid --since date: ${options.since}`);
+  }
+  const limit = options.limit ? parseInt(options.limit) : Infinity;
+
+  const videos = await resolveVideos({ url: options.url, listFile: options.list }, { since, limit });
+  console.log(`Found ${videos.length} videos to process`);
+
+  const ingestManifest = await IngestManifest.load(options.outputDir);
+  const results = [];
+  const estimates = [];
+
+  for (let i = 0; i < videos.length; i++) {
+    const video = videos[i];
+    const outputPath = path.join(options.outputDir, `${video.id}.${getFileExtension(options.format)}`);
+    console.log(`\nProcessing ${i+1}/${videos.length}: ${video.title || video.id}`);
+
+    if (await fs.pathExists(outputPath)) {
+      console.log(`Skipping, already transcribed: ${outputPath}`);
+      // Show notes that failed, or weren't asked for, on an earlier run are filled in
+      if (summarizer && !await hasSummary(outputPath)) {
+        await summarizeSavedTranscript(outputPath, summarizer, { signal: options.signal, onProgress: createProgressHandler(guard, video.url) });
+      }
+      if (transcriber) {
+        await ingestManifest.updateVideo(video, { status: 'skipped', outputs: [outputPath] });
+      }
+      results.push({ video, success: true, skipped: true });
+      emit({ event: 'result', input: video.url, status: 'up-to-date', output: outputPath });
+      continue;
+    }
+
+    try {
+      // Videos that would go over a limit are skipped so cheaper ones later in the list still run
+      let info;
+      if (!transcriber || guard.active) {
+        info = await getVideoInfo(video.url);
+        const estimate = await estimateVideo(options, video.url, engine, info);
+        console.log(`Estimate: ${formatEstimate(estimate)}`);
+        const reason = await guard.check(estimate);
+        if (reason) {
+          console.log(`Skipping, ${reason}`);
+          if (transcriber) {
+            await ingestManifest.updateVideo(video, { status: 'skipped', error: `Over spend limit: ${reason}` });
+          }
+          results.push({ video, success: true, skipped: true });
+          emit({ event: 'result', input: video.url, status: 'over-limit', error: reason });
+          continue;
+        }
+        if (!transcriber) {
+          guard.reserve(estimate);
+          estimates.push(estimate);
+          emit({ event: 'result', input: video.url, status: 'estimated', estimate });
+          continue;
+        }
+      }
+
+      await ingestManifest.updateVideo(video, { status: 'processing' });
+      const onProgress = createProgressHandler(guard, video.url);
+      const savedPath = await transcribeVideo(options, video.url, outputPath, transcriber, null, { info, onProgress, summarizer, ...vocabulary });
+
+      const outputs = [savedPath, getTranscriptDocumentPath(savedPath)];
+      await ingestManifest.updateVideo(video, { status: 'completed', outputs });
+      results.push({ video, success: true });
+      emit({ event: 'result', input: video.url, status: 'completed', output: savedPath, transcript: outputs[1] });
+    } catch (error) {
+      // An interrupt stops the whole list rather than failing one video
+      if (options.signal && options.signal.aborted) {
+        throw error;
+      }
+      console.error(`✗ Failed: ${error.message}`);
+      await ingestManifest.updateVideo(video, { status: 'failed', error: error.message });
+      results.push({ video, success: false, error: error.message });
+      emit({ event: 'result', input: video.url, status: 'failed', error: error.message, code: error.code || 'ERROR' });
+    }
+  }
+
+  if (!transcriber) {
+    console.log(`\nSkipped: ${results.filter(r => r.skipped).length}, failed to estimate: ${results.filter(r => !r.success).length}`);
+    return printDryRunSummary(estimates, guard, engine, 'video');
+  }
+
+  const transcribed = results.filter(r => r.success && !r.skipped).length;
+  const skipped = results.filter(r => r.skipped).length;
+  const failed = results.filter(r => !r.success);
+  console.log('\nSummary:');
+  console.log(`✓ Transcribed: ${transcribed}`);
+  console.log(`- Skipped: ${skipped}`);
+  console.log(`✗ Failed: ${failed.length}`);
+  emit({ event: 'summary', total: videos.length, transcribed, skipped, failed: failed.length });
+
+  if (failed.length > 0) {
+    console.log('\nFailed videos:');
+    failed.forEach(r => {
+      console.log(`  - ${r.video.id} (${r.video.title || r.video.url}): ${r.error}`);
+    });
+    throw new BatchError(`${failed.length} of ${videos.length} videos failed`, { failed: failed.length, total: videos.length });
+  }
+}
+
+/**
+ * Transcribes a YouTube video, or every video of a playlist, channel or URL list
+ * @param {Object} options Parsed command options: url or list, outputDir (default: config.outputDir),
+ *   output, start and end, the shared transcription options, and signal to interrupt the run
+ */
+async function runYouTube(options) {
+  options = { outputDir: config.outputDir, ...options };
+
+  if (!options.url && !options.list) {
+    throw new ValidationError('Either a URL or --list is required');
+  }
+  if (!['prefer', 'only', 'never'].includes(options.captions)) {
+    throw new ValidationError(`Invalid --captions mode: ${options.captions}. Use prefer, only or never`);
+  }
+  const youtubeUrl = url => ytdl.validateURL(url) || isPlaylistUrl(url) || isChannelUrl(url);
+  if (options.url && isMediaUrl(options.url) && !youtubeUrl(options.url)) {
+    throw new ValidationError(`Not a YouTube URL: ${options.url}. Transcribe direct media and HLS URLs with: yap file "${options.url}"`);
+  }
+  validateTranscribeOptions(options);
+
+  // Create output directory
+  await fs.ensureDir(options.outputDir);
+
+  const guard = createSpendGuard(options);
+  const vocabulary = await loadVocabulary(options);
+
+  // Set up the engine first so configuration errors surface before downloading
+  const transcriber = options.dryRun ? null : createTranscriber(options);
+  const summarizer = options.dryRun ? null : createSummarizer(options);
+  const engine = transcriber ? transcriber.engine : getEngineDescription(options);
+
+  const isList = options.list || isPlaylistUrl(options.url) || isChannelUrl(options.url);
+  if (isList) {
+    if (options.output || options.start || options.end) {
+      throw new ValidationError('--output, --start and --end can only be used with a single video URL');
+    }
+    console.log(`Processing ${options.list ? `URL list: ${options.list}` : `URL: ${options.url}`}`);
+    await transcribeVideoList(options, transcriber, engine, guard, vocabulary, summarizer);
+    return;
+  }
+
+  console.log(`Processing URL: ${options.url}`);
+
+  // Only transcribe a section of the video when --start or --end is given
+  let clip = null;
+  if (options.start || options.end) {
+    clip = {};
+    if (options.start) clip.start = parseTimestamp(options.start);
+    if (options.end) clip.end = parseTimestamp(options.end);
+    if (clip.end !== undefined && clip.end <= (clip.start || 0)) {
+      throw new ValidationError('--end must be after --start');
+    }
+  }
+
+  // Generate output path if not provided
+  const videoId = ytdl.validateURL(options.url) ? ytdl.getVideoID(options.url) : 'video';
+  const clipSuffix = clip ? `_${Math.floor(clip.start || 0)}-${clip.end !== undefined ? Math.floor(clip.end) : 'end'}` : '';
+  const outputPath = options.output || path.join(
+    options.outputDir,
+    `${videoId}${clipSuffix}.${getFileExtension(options.format)}`
+  );
+
+  let info;
+  if (options.dryRun || guard.active) {
+    info = await getVideoInfo(options.url);
+    const estimate = await estimateVideo(options, options.url, engine, info, clip);
+    console.log(`Estimate: ${formatEstimate(estimate)}`);
+    const reason = await guard.check(estimate);
+    if (options.dryRun) {
+      if (reason) console.log(`Would abort, ${reason}`);
+      emit({ event: 'result', input: options.url, status: reason ? 'over-limit' : 'estimated', estimate, ...(reason && { error: reason }) });
+      await printDryRunSummary(reason ? [] : [estimate], guard, engine, 'video');
+      return;
+    }
+    if (reason) {
+      throw new SpendLimitError(`Not transcribing, ${reason}`);
+    }
+  }
+  const onProgress = createProgressHandler(guard, options.url);
+  const savedPath = await transcribeVideo(options, options.url, outputPath, transcriber, clip, { info, onProgress, summarizer, ...vocabulary });
+  emit({ event: 'result', input: options.url, status: 'completed', output: savedPath, transcript: getTranscriptDocumentPath(savedPath) });
+}
+
+module.exports = {
+  runYouTube
+};
@@ -4,123 +4,341 @@ const ffmpegPath = require('ffmpeg-static');
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('./config');
+const { createDownloadReporter } = require('./mediaInput');
+const { mapWithConcurrency } = require('./asyncPool');
+const { ValidationError, DownloadError, AudioError, SplitError, AbortError, throwIfAborted, onAbort } = require('./errors');
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
 /**
- * Downloads a YouTube video and extracts the audio
+ * Gets a YouTube video's info (details, formats and caption tracks)
  * @param {string} url YouTube video URL
- * @param {string} outputFileName Name of the output audio file
+ * @returns {Promise<Object>} Video info from ytdl
+ */
+async function getVideoInfo(url) {
+  if (!ytdl.validateURL(url)) {
+    throw new ValidationError('Invalid YouTube URL');
+  }
+  try {
+    return await ytdl.getInfo(url);
+  } catch (error) {
+    throw new DownloadError(`Failed to get video info: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Streams a YouTube video's best audio-only format through ffmpeg into an MP3
+ * @param {string} url YouTube video URL
+ * @param {Object} options Download options
+ * @param {string} options.outputFileName Name of the output audio file
+ * @param {Object} options.info Video info from getVideoInfo, fetched if not given
+ * @param {number} options.start Start of the section to keep, in seconds
+ * @param {number} options.end End of the section to keep, in seconds
+ * @param {string} options.tempDir Directory for the audio file (default: config.tempDir)
+ * @param {AbortSignal} options.signal Stops the download when aborted
+ * @param {Function} options.onProgress Called with { type: 'download', status: 'progress', downloaded, total } events
  * @returns {Promise<string>} Path to the extracted audio file
  */
-async function downloadAndExtractAudio(url, outputFileName) {
+async function downloadAndExtractAudio(url, options = {}) {
+  const { outputFileName, start, end, tempDir = config.tempDir, signal, onProgress = () => {} } = options;
   if (!ytdl.validateURL(url)) {
-    throw new Error('Invalid YouTube URL');
+    throw new ValidationError('Invalid YouTube URL');
+  }
+  if (start !== undefined && end !== undefined && end <= start) {
+    throw new ValidationError('End time must be after start time');
   }
 
   // Create temp directory if it doesn't exist
-  await fs.ensureDir(config.tempDir);
+  await fs.ensureDir(tempDir);
   
   // Get video info to validate and get title
-  const info = await ytdl.getInfo(url);
+  const info = options.info || await getVideoInfo(url);
+  throwIfAborted(signal);
   const videoTitle = info.videoDetails.title;
   console.log(`Downloading: ${videoTitle}`);
   
+  // Pick the best audio-only format rather than audio muxed into a video
+  const format = ytdl.chooseFormat(info.formats, { quality: 'highestaudio', filter: 'audioonly' });
+  console.log(`Audio format: ${format.mimeType || format.container} ${format.audioBitrate || '?'} kbps`);
+  
   // Generate file paths
   const videoId = ytdl.getVideoID(url);
-  const videoPath = path.join(config.tempDir, `${videoId}.mp4`);
-  const audioPath = path.join(config.tempDir, outputFileName || `${videoId}.mp3`);
+  const clipSuffix = start !== undefined || end !== undefined
+    ? `_${Math.floor(start || 0)}-${end !== undefined ? Math.floor(end) : 'end'}`
+    : '';
+  const audioPath = path.join(tempDir, outputFileName || `${videoId}${clipSuffix}.mp3`);
   
-  // Download video
+  // Stream the download straight into ffmpeg, without an intermediate file
   return new Promise((resolve, reject) => {
-    const videoStream = ytdl(url, {
-      quality: 'lowest', // We only need audio, so lowest video quality is fine
-      filter: 'audioandvideo',
+    const audioStream = ytdl.downloadFromInfo(info, { format });
+    let finished = false;
+    
+    audioStream.on('error', (err) => {
+      if (!finished) reject(new DownloadError(`Audio download failed: ${err.message}`, { cause: err }));
+    });
+    const reportDownload = createDownloadReporter(onProgress);
+    audioStream.on('progress', (chunkLength, downloaded, total) => reportDownload(downloaded, total));
+    
+    const command = ffmpeg(audioStream)
+      .noVideo()
+      .audioCodec('libmp3lame')
+      .audioBitrate(128);
+    if (start) {
+      command.setStartTime(start);
+    }
+    if (end !== undefined) {
+      command.setDuration(end - (start || 0));
+    }
+    const stopListening = onAbort(signal, () => {
+      finished = true;
+      audioStream.destroy();
+      command.kill('SIGKILL');
+      reject(new AbortError());
     });
     
-    videoStream.pipe(fs.createWriteStream(videoPath))
-      .on('finish', () => {
-        console.log('Video download complete, extracting audio...');
-        
-        // Extract audio using ffmpeg
-        ffmpeg(videoPath)
-          .noVideo()
-          .audioCodec('libmp3lame')
-          .audioBitrate(128)
-          .output(audioPath)
-          .on('end', () => {
-            console.log('Audio extraction complete');
-            // Clean up video file
-            fs.remove(videoPath)
-              .then(() => resolve(audioPath))
-              .catch(err => {
-                console.warn('Warning: Failed to clean up video file:', err.message);
-                resolve(audioPath); // Still resolve with the audio path
-              });
-          })
-          .on('error', (err) => reject(new Error(`Audio extraction failed: ${err.message}`)))
-          .run();
+    command
+      .output(audioPath)
+      .on('end', () => {
+        finished = true;
+        stopListening();
+        // ffmpeg stops reading once a clip's end is reached; drop the rest of the download
+        audioStream.destroy();
+        console.log('Audio extraction complete');
+        resolve(audioPath);
+      })
+      .on('error', (err) => {
+        finished = true;
+        stopListening();
+        audioStream.destroy();
+        reject(new AudioError(`Audio extraction failed: ${err.message}`, { cause: err }));
+      })
+      .run();
+  });
+}
+
+/**
+ * Gets the duration of an audio file using ffprobe
+ * @param {string} filePath Path to the audio file
+ * @returns {Promise<number>} Duration in seconds
+ */
+function probeDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(new AudioError(`Failed to probe audio file: ${err.message}`, { cause: err }));
+      resolve(metadata.format.duration);
+    });
+  });
+}
+
+/**
+ * Detects silent intervals in an audio file using ffmpeg's silencedetect filter
+ * @param {string} filePath Path to the audio file
+ * @param {Object} options Detection options (threshold, minDuration, and signal to stop detection)
+ * @returns {Promise<Object[]>} Array of silences ({ start, end })
+ */
+function detectSilences(filePath, options = {}) {
+  const {
+    threshold = config.silenceThreshold,
+    minDuration = config.silenceMinDuration,
+    signal,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let silenceStart = null;
+
+    const command = ffmpeg(filePath);
+    const stopListening = onAbort(signal, () => {
+      command.kill('SIGKILL');
+      reject(new AbortError());
+    });
+    command
+      .audioFilters(`silencedetect=noise=${threshold}:d=${minDuration}`)
+      .format('null')
+      .output('-')
+      .on('stderr', line => {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        if (startMatch) {
+          silenceStart = parseFloat(startMatch[1]);
+          return;
+        }
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+        if (endMatch && silenceStart !== null) {
+          silences.push({ start: silenceStart, end: parseFloat(endMatch[1]) });
+          silenceStart = null;
+        }
       })
-      .on('error', (err) => reject(new Error(`Video download failed: ${err.message}`)));
+      .on('end', () => {
+        stopListening();
+        resolve(silences);
+      })
+      .on('error', (err) => {
+        stopListening();
+        reject(new SplitError(`Silence detection failed: ${err.message}`, { cause: err }));
+      })
+      .run();
   });
 }
 
+/**
+ * Chooses split points, preferring the middle of a silence shortly before each target boundary
+ * @param {number} duration Total audio duration in seconds
+ * @param {number} maxChunkDuration Maximum chunk duration in seconds
+ * @param {Object[]} silences Detected silences ({ start, end })
+ * @param {number} searchWindow How far before a target boundary to look for a silence, in seconds
+ * @returns {number[]} Split points in seconds
+ */
+function chooseSplitPoints(duration, maxChunkDuration, silences, searchWindow = config.splitSearchWindow) {
+  const splitPoints = [];
+  let chunkStart = 0;
+
+  while (duration - chunkStart > maxChunkDuration) {
+    const target = chunkStart + maxChunkDuration;
+    const candidates = silences
+      .map(silence => (silence.start + silence.end) / 2)
+      .filter(point => point > chunkStart && point <= target && point >= target - searchWindow);
+
+    // Take the silence closest to the target, or cut at the target if there is none
+    const splitPoint = candidates.length > 0 ? Math.max(...candidates) : target;
+    splitPoints.push(splitPoint);
+    chunkStart = splitPoint;
+  }
+
+  return splitPoints;
+}
+
 /**
  * Splits an audio file into smaller chunks if needed
  * @param {string} filePath Path to the audio file
- * @returns {Promise<string[]>} Array of paths to audio chunks
+ * @param {Object} options Split options
+ * @param {number} options.overlap Seconds of audio each chunk repeats from the end of the previous one
+ * @param {string} options.namePrefix File name prefix for the chunks (default: "chunk")
+ * @param {string} options.tempDir Directory whose chunks/ subdirectory receives the chunks, normally the job's workspace
+ *   (default: config.tempDir)
+ * @param {AbortSignal} options.signal Stops splitting when aborted
+ * @returns {Promise<Object[]>} Array of chunks ({ path, start, duration }) with start offsets in seconds
  */
-async function splitAudioIfNeeded(filePath) {
+async function splitAudioIfNeeded(filePath, options = {}) {
+  const { overlap = config.chunkOverlap, namePrefix = 'chunk', tempDir = config.tempDir, signal } = options;
   const stats = await fs.stat(filePath);
   
   // If file is smaller than chunk size, no need to split
   if (stats.size <= config.chunkSize) {
-    return [filePath];
+    return [{ path: filePath, start: 0 }];
   }
   
   console.log(`Audio file size (${stats.size} bytes) exceeds chunk size (${config.chunkSize} bytes). Splitting...`);
   
   // Create directory for chunks
-  const chunkDir = path.join(config.tempDir, 'chunks');
+  const chunkDir = path.join(tempDir, 'chunks');
   await fs.ensureDir(chunkDir);
   
-  // Get audio duration to calculate split points
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
-      if (err) return reject(new Error(`Failed to probe audio file: ${err.message}`));
-      
-      const duration = metadata.format.duration;
-      const numChunks = Math.ceil(stats.size / config.chunkSize);
-      const chunkDuration = duration / numChunks;
-      
-      const chunkPaths = [];
-      let completedChunks = 0;
-      
-      // Create each chunk
-      for (let i = 0; i < numChunks; i++) {
-        const start = i * chunkDuration;
-        const chunkPath = path.join(chunkDir, `chunk_${i}.mp3`);
-        chunkPaths.push(chunkPath);
-        
-        ffmpeg(filePath)
-          .setStartTime(start)
-          .setDuration(chunkDuration)
-          .output(chunkPath)
-          .on('end', () => {
-            completedChunks++;
-            console.log(`Chunk ${i+1}/${numChunks} complete`);
-            if (completedChunks === numChunks) {
-              resolve(chunkPaths);
-            }
-          })
-          .on('error', (err) => reject(new Error(`Failed to create chunk ${i+1}: ${err.message}`)))
-          .run();
+  // Get audio duration and silences to calculate split points
+  const duration = await probeDuration(filePath);
+  const silences = await detectSilences(filePath, { signal });
+  console.log(`Detected ${silences.length} silences`);
+  
+  // Leave headroom for the overlap and for bitrate variation across the file
+  const bytesPerSecond = stats.size / duration;
+  const maxChunkDuration = (config.chunkSize * 0.95) / bytesPerSecond - overlap;
+  if (maxChunkDuration <= 0) {
+    throw new ValidationError(`Chunk overlap of ${overlap}s does not fit within the chunk size`);
+  }
+  
+  const splitPoints = chooseSplitPoints(duration, maxChunkDuration, silences);
+  const boundaries = [0, ...splitPoints, duration];
+  const numChunks = boundaries.length - 1;
+  
+  // Each chunk starts `overlap` seconds before its boundary
+  const chunks = [];
+  for (let i = 0; i < numChunks; i++) {
+    const start = Math.max(0, boundaries[i] - (i > 0 ? overlap : 0));
+    chunks.push({ path: path.join(chunkDir, `${namePrefix}_${i}.mp3`), start, duration: boundaries[i + 1] - start });
+  }
+  
+  // Only a few ffmpeg processes run at a time; the first failure stops the others
+  const running = new Set();
+  let failure = null;
+  const stopListening = onAbort(signal, () => running.forEach(command => command.kill('SIGKILL')));
+  try {
+    await mapWithConcurrency(chunks, config.ffmpegConcurrency, (chunk, i) => new Promise((resolve, reject) => {
+      if (failure || (signal && signal.aborted)) {
+        reject(failure || new AbortError());
+        return;
       }
+      const command = ffmpeg(filePath)
+        .setStartTime(chunk.start)
+        .setDuration(chunk.duration)
+        .output(chunk.path)
+        .on('end', () => {
+          running.delete(command);
+          console.log(`Chunk ${i+1}/${numChunks} complete`);
+          resolve();
+        })
+        .on('error', (err) => {
+          running.delete(command);
+          failure = failure || (signal && signal.aborted
+            ? new AbortError()
+            : new SplitError(`Failed to create chunk ${i+1}: ${err.message}`, { cause: err }));
+          running.forEach(other => other.kill('SIGKILL'));
+          reject(failure);
+        });
+      running.add(command);
+      command.run();
+    }));
+  } finally {
+    stopListening();
+  }
+  
+  return chunks;
+}
+
+/**
+ * Cuts an audio file along chapter boundaries, splitting chapters that are still too large
+ * @param {string} filePath Path to the audio file
+ * @param {Object[]} chapters Chapters ({ title, start, end }) in seconds
+ * @param {Object} options Split options for oversized chapters ({ overlap, tempDir, signal })
+ * @returns {Promise<Object[]>} Array of chunks ({ path, start, duration, chapter }) with start offsets in seconds
+ */
+async function splitAudioByChapters(filePath, chapters, options = {}) {
+  const chunkDir = path.join(options.tempDir || config.tempDir, 'chunks');
+  await fs.ensureDir(chunkDir);
+  
+  const chunks = [];
+  for (let i = 0; i < chapters.length; i++) {
+    throwIfAborted(options.signal);
+    const { start, end } = chapters[i];
+    const chapterPath = path.join(chunkDir, `chapter_${i}.mp3`);
+    
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(filePath).setStartTime(start);
+      if (Number.isFinite(end)) {
+        command.setDuration(end - start);
+      }
+      command
+        .output(chapterPath)
+        .on('end', () => resolve())
+        .on('error', (err) => reject(new SplitError(`Failed to cut chapter ${i+1}: ${err.message}`, { cause: err })))
+        .run();
     });
-  });
+    console.log(`Chapter ${i+1}/${chapters.length} cut: ${chapters[i].title}`);
+    
+    const chapterChunks = await splitAudioIfNeeded(chapterPath, { ...options, namePrefix: `chapter_${i}_chunk` });
+    chapterChunks.forEach(chunk => {
+      const duration = chunk.duration !== undefined || !Number.isFinite(end) ? chunk.duration : end - start;
+      chunks.push({ ...chunk, start: start + chunk.start, duration, chapter: i });
+    });
+  }
+  
+  return chunks;
 }
 
 module.exports = {
+  getVideoInfo,
   downloadAndExtractAudio,
-  splitAudioIfNeeded
+  probeDuration,
+  detectSilences,
+  chooseSplitPoints,
+  splitAudioIfNeeded,
+  splitAudioByChapters
 };
\ No newline at end of file
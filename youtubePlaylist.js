@@ -0,0 +1,292 @@
+const ytdl = require('ytdl-core');
+const fs = require('fs-extra');
+const { ValidationError, DownloadError } = require('./errors');
+
+const YOUTUBE_BASE = 'https://www.youtube.com';
+
+// Headers that get the regular desktop page, past the EU consent screen
+const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Cookie': 'CONSENT=YES+1',
+};
+
+// Renderers YouTube uses for a single video entry in playlists and channel tabs
+const VIDEO_RENDERERS = ['playlistVideoRenderer', 'videoRenderer', 'gridVideoRenderer'];
+
+/**
+ * Checks whether a URL points to a playlist page
+ * @param {string} url URL to check
+ * @returns {boolean} True for youtube.com/playlist?list=... URLs
+ */
+function isPlaylistUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname === '/playlist' && parsed.searchParams.has('list');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a URL points to a channel
+ * @param {string} url URL to check
+ * @returns {boolean} True for /@handle, /channel/, /c/ and /user/ URLs
+ */
+function isChannelUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return /youtube\.com$/.test(parsed.hostname) && /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)/.test(parsed.pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Extracts a JSON object assigned to a variable in a page's inline script
+ * @param {string} html Page HTML
+ * @param {string} name Variable name
+ * @returns {Object} Parsed object
+ */
+function extractJsonVariable(html, name) {
+  const start = html.search(new RegExp(`(?:var |window\\[")${name}(?:"\\])? = \\{`));
+  if (start === -1) {
+    throw new DownloadError(`Could not find ${name} in YouTube page`);
+  }
+
+  // Walk the braces to find where the object literal ends
+  const jsonStart = html.indexOf('{', start);
+  let depth = 0;
+  let inString = false;
+  for (let i = jsonStart; i < html.length; i++) {
+    const char = html[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return JSON.parse(html.slice(jsonStart, i + 1));
+    }
+  }
+  throw new DownloadError(`Could not parse ${name} in YouTube page`);
+}
+
+/**
+ * Collects video entries and the continuation token from a YouTube data object
+ * @param {Object} data ytInitialData or a browse continuation response
+ * @returns {Object} { videos: [{ id, title, url }], continuation }
+ */
+function collectVideos(data) {
+  const videos = [];
+  let continuation = null;
+
+  const walk = node => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (VIDEO_RENDERERS.includes(key) && value.videoId) {
+        const title = value.title && (value.title.simpleText || (value.title.runs || []).map(run => run.text).join(''));
+        videos.push({ id: value.videoId, title: title || value.videoId, url: `${YOUTUBE_BASE}/watch?v=${value.videoId}` });
+      } else if (key === 'continuationCommand' && value.token) {
+        continuation = value.token;
+      } else {
+        walk(value);
+      }
+    }
+  };
+  walk(data);
+
+  return { videos, continuation };
+}
+
+/**
+ * Lists the videos of a playlist or channel page, following continuations
+ * @param {string} pageUrl Playlist or channel videos URL
+ * @param {Object} options Listing options
+ * @param {number} options.limit Stop after this many videos
+ * @returns {Promise<Object[]>} Videos ({ id, title, url })
+ */
+async function listPageVideos(pageUrl, options = {}) {
+  const { limit = Infinity } = options;
+
+  const response = await fetch(pageUrl, { headers: PAGE_HEADERS });
+  if (!response.ok) {
+    throw new DownloadError(`Failed to load ${pageUrl}: HTTP ${response.status}`);
+  }
+  const html = await response.text();
+
+  const apiKey = (html.match(/"INNERTUBE_API_KEY":"([^"]+)"/) || [])[1];
+  const clientVersion = (html.match(/"INNERTUBE_CLIENT_VERSION":"([^"]+)"/) || [])[1] || '2.20240101.00.00';
+
+  let { videos, continuation } = collectVideos(extractJsonVariable(html, 'ytInitialData'));
+  const seen = new Set(videos.map(video => video.id));
+
+  while (continuation && apiKey && seen.size < limit) {
+    const pageResponse = await fetch(`${YOUTUBE_BASE}/youtubei/v1/browse?key=${apiKey}`, {
+      method: 'POST',
+      headers: { ...PAGE_HEADERS, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        context: { client: { clientName: 'WEB', clientVersion, hl: 'en' } },
+        continuation,
+      }),
+    });
+    if (!pageResponse.ok) {
+      throw new DownloadError(`Failed to load more videos from ${pageUrl}: HTTP ${pageResponse.status}`);
+    }
+
+    const page = collectVideos(await pageResponse.json());
+    for (const video of page.videos) {
+      if (!seen.has(video.id)) {
+        seen.add(video.id);
+        videos.push(video);
+      }
+    }
+    continuation = page.continuation;
+  }
+
+  return videos.filter((video, index) => videos.findIndex(other => other.id === video.id) === index);
+}
+
+/**
+ * Lists the videos of a playlist
+ * @param {string} url Playlist URL
+ * @param {Object} options Listing options ({ limit })
+ * @returns {Promise<Object[]>} Videos ({ id, title, url })
+ */
+async function listPlaylistVideos(url, options = {}) {
+  const listId = new URL(url).searchParams.get('list');
+  return listPageVideos(`${YOUTUBE_BASE}/playlist?list=${encodeURIComponent(listId)}`, options);
+}
+
+/**
+ * Lists the uploads of a channel, newest first
+ * @param {string} url Channel URL
+ * @param {Object} options Listing options ({ limit })
+ * @returns {Promise<Object[]>} Videos ({ id, title, url })
+ */
+async function listChannelVideos(url, options = {}) {
+  const channelPath = new URL(url).pathname.match(/^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)/)[1];
+  return listPageVideos(`${YOUTUBE_BASE}/${channelPath}/videos`, options);
+}
+
+/**
+ * Reads video URLs from a text file, one per line; blank lines and # comments are ignored
+ * @param {string} filePath Path to the list file
+ * @returns {Promise<string[]>} URLs
+ */
+async function readUrlList(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new ValidationError(`URL list does not exist: ${filePath}`);
+  }
+  const content = await fs.readFile(filePath, 'utf8');
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Gets a video's title and publish date
+ * @param {string} videoId YouTube video id
+ * @returns {Promise<Object>} { title, publishDate } where publishDate is null if YouTube doesn't report one
+ */
+async function getVideoDetails(videoId) {
+  const info = await ytdl.getBasicInfo(videoId);
+  const { title, publishDate, uploadDate } = info.videoDetails;
+  const date = new Date(publishDate || uploadDate);
+  return { title, publishDate: isNaN(date) ? null : date };
+}
+
+/**
+ * Resolves the videos to transcribe from a video, playlist or channel URL and/or a URL list file
+ * @param {Object} source Sources ({ url, listFile })
+ * @param {Object} options Filters
+ * @param {Date} options.since Only include videos published on or after this date
+ * @param {number} options.limit Include at most this many videos
+ * @returns {Promise<Object[]>} Videos ({ id, title, url, publishDate? })
+ */
+async function resolveVideos(source, options = {}) {
+  const { since = null, limit = Infinity } = options;
+  let candidates = [];
+
+  // Without a date filter only `limit` videos are needed up front
+  const listLimit = since ? Infinity : limit;
+
+  if (source.url) {
+    if (isPlaylistUrl(source.url)) {
+      console.log('Listing playlist videos...');
+      candidates.push(...await listPlaylistVideos(source.url, { limit: listLimit }));
+    } else if (isChannelUrl(source.url)) {
+      console.log('Listing channel videos...');
+      candidates.push(...await listChannelVideos(source.url, { limit: listLimit }));
+    } else {
+      candidates.push(toVideo(source.url));
+    }
+  }
+
+  if (source.listFile) {
+    for (const url of await readUrlList(source.listFile)) {
+      if (isPlaylistUrl(url)) {
+        candidates.push(...await listPlaylistVideos(url, { limit: listLimit }));
+      } else if (isChannelUrl(url)) {
+        candidates.push(...await listChannelVideos(url, { limit: listLimit }));
+      } else {
+        candidates.push(toVideo(url));
+      }
+    }
+  }
+
+  candidates = candidates.filter((video, index) => candidates.findIndex(other => other.id === video.id) === index);
+
+  const videos = [];
+  for (const video of candidates) {
+    if (videos.length >= limit) break;
+
+    // Details are only looked up when a filter or a missing title needs them
+    if (!since && video.title) {
+      videos.push(video);
+      continue;
+    }
+    const details = await getVideoDetails(video.id);
+    if (!since || (details.publishDate && details.publishDate >= since)) {
+      videos.push({
+        ...video,
+        title: video.title || details.title,
+        ...(details.publishDate && { publishDate: details.publishDate.toISOString() }),
+      });
+    }
+  }
+  return videos;
+}
+
+/**
+ * Turns a single video URL into a video entry
+ * @param {string} url YouTube video URL
+ * @returns {Object} Video ({ id, title, url })
+ */
+function toVideo(url) {
+  if (!ytdl.validateURL(url)) {
+    throw new ValidationError(`Invalid YouTube URL: ${url}`);
+  }
+  const id = ytdl.getVideoID(url);
+  return { id, title: null, url };
+}
+
+module.exports = {
+  isPlaylistUrl,
+  isChannelUrl,
+  collectVideos,
+  listPlaylistVideos,
+  listChannelVideos,
+  readUrlList,
+  resolveVideos
+};